@@ -0,0 +1,172 @@
+import http from 'http';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Local stand-in for the Django KYC backend. Records everything the proxy
+// sends it and answers the handful of endpoints the proxy calls.
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks).toString();
+            try {
+                resolve(raw ? JSON.parse(raw) : null);
+            } catch (error) {
+                resolve(raw);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function createDjangoMock({ users = {}, serviceToken = 'test-service-token', adminToken = 'test-admin-token' } = {}) {
+    // token -> user returned by /api/auth/validate-token/
+    const tokens = new Map(Object.entries({
+        'user-token': { id: 42, email: 'user@example.com', role: 'user' },
+        'admin-token': { id: 1, email: 'admin@example.com', role: 'admin', permissions: ['kyc.view_verification'] },
+        ...users
+    }));
+    const verifications = new Map();
+    const requests = [];
+    const webhooks = [];
+    let server = null;
+    let baseUrl = null;
+
+    // Set to an HTTP status to make the webhook endpoint fail, e.g. 503
+    const failures = { webhook: null, initiate: null, health: null, jwks: null };
+
+    // RS256 keys for locally verifiable access tokens, published at /api/auth/jwks/
+    const signingKeys = [];
+
+    function rotateSigningKey() {
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        const kid = `mock-key-${signingKeys.length + 1}`;
+        signingKeys.push({ kid, privateKey, publicKey });
+        return kid;
+    }
+
+    function signToken(claims, options = {}) {
+        const { kid, privateKey } = signingKeys.at(-1);
+        return jwt.sign({ token_type: 'access', ...claims }, privateKey, {
+            algorithm: 'RS256',
+            keyid: kid,
+            issuer: 'django-mock',
+            expiresIn: '5m',
+            ...options
+        });
+    }
+
+    rotateSigningKey();
+
+    function bearer(req) {
+        return req.headers.authorization?.replace(/^Bearer /, '');
+    }
+
+    async function handle(req, res) {
+        const body = await readJson(req);
+        const path = req.url.split('?')[0];
+        requests.push({ method: req.method, path, headers: req.headers, body });
+
+        if (req.method === 'GET' && path === '/api/auth/validate-token/') {
+            const user = tokens.get(bearer(req));
+            return user ? send(res, 200, { valid: true, user }) : send(res, 401, { detail: 'Invalid token' });
+        }
+
+        if (req.method === 'GET' && path === '/api/auth/jwks/') {
+            if (failures.jwks) return send(res, failures.jwks, { detail: 'JWKS unavailable' });
+            return send(res, 200, {
+                keys: signingKeys.map(({ kid, publicKey }) => ({
+                    ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256'
+                }))
+            });
+        }
+
+        if (req.method === 'GET' && path === '/kyc/health/') {
+            return send(res, failures.health || 200, { status: failures.health ? 'down' : 'ok' });
+        }
+
+        if (req.method === 'POST' && path === '/kyc/webhook/sumsub/') {
+            if (bearer(req) !== serviceToken) return send(res, 401, { detail: 'Invalid service token' });
+            if (failures.webhook) return send(res, failures.webhook, { detail: 'Webhook processing unavailable' });
+
+            webhooks.push(body);
+            return send(res, 200, { received: true });
+        }
+
+        if (req.method === 'POST' && path === '/kyc/verifications/initiate/') {
+            if (bearer(req) !== serviceToken) return send(res, 401, { detail: 'Invalid service token' });
+            if (failures.initiate) return send(res, failures.initiate, { detail: 'Initiation unavailable' });
+            return send(res, 201, { initiated: true });
+        }
+
+        if (req.method === 'POST' && path === '/kyc/verifications/') {
+            const user = tokens.get(bearer(req));
+            if (!user) return send(res, 401, { detail: 'Invalid token' });
+            if (!body?.email || !body?.level_name) return send(res, 400, { email: ['This field is required.'] });
+
+            const record = { id: verifications.size + 1, user_id: user.id, status: 'pending', ...body };
+            verifications.set(String(user.id), record);
+            return send(res, 201, record);
+        }
+
+        if (req.method === 'GET' && path === '/kyc/verifications/') {
+            if (bearer(req) !== adminToken) return send(res, 403, { detail: 'Forbidden' });
+            return send(res, 200, [...verifications.values()]);
+        }
+
+        const detail = req.method === 'GET' && path.match(/^\/kyc\/verifications\/([^/]+)\/$/);
+        if (detail) {
+            if (bearer(req) !== adminToken) return send(res, 403, { detail: 'Forbidden' });
+            const record = verifications.get(decodeURIComponent(detail[1]));
+            return record ? send(res, 200, record) : send(res, 404, { detail: 'Not found.' });
+        }
+
+        send(res, 404, { detail: `No mock route for ${req.method} ${path}` });
+    }
+
+    return {
+        serviceToken,
+        adminToken,
+        tokens,
+        verifications,
+        requests,
+        webhooks,
+        failures,
+        signToken,
+        rotateSigningKey,
+
+        get baseUrl() {
+            return baseUrl;
+        },
+
+        start(port = 0) {
+            return new Promise(resolve => {
+                server = http.createServer((req, res) => {
+                    handle(req, res).catch(error => send(res, 500, { detail: error.message }));
+                });
+                server.listen(port, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        }
+    };
+}
+
+export {
+    createDjangoMock
+};
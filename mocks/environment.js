@@ -0,0 +1,51 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSumsubMock } from './sumsubMock.js';
+import { createDjangoMock } from './djangoMock.js';
+
+// Start both stand-ins and point the proxy's configuration at them. Must run
+// before the client or server modules are imported, since the configuration
+// is read from process.env when they load.
+async function startMockEnvironment(env = {}) {
+    const sumsub = createSumsubMock();
+    const django = createDjangoMock();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sumsub-proxy-test-'));
+
+    await sumsub.start();
+    await django.start();
+
+    Object.assign(process.env, {
+        SUMSUB_BASE_URL: sumsub.baseUrl,
+        SUMSUB_APP_TOKEN: sumsub.appToken,
+        SUMSUB_SECRET_KEY: sumsub.secretKey,
+        SUMSUB_WEBHOOK_SECRET: sumsub.webhookSecret,
+        DJANGO_API_BASE_URL: django.baseUrl,
+        DJANGO_SERVICE_TOKEN: django.serviceToken,
+        DJANGO_ADMIN_TOKEN: django.adminToken,
+        DEAD_LETTER_DIR: path.join(dataDir, 'dead-letters'),
+        VERIFICATION_CACHE_DIR: path.join(dataDir, 'cache'),
+        ADMIN_ACCESS_LOG_FILE: path.join(dataDir, 'admin-access.log'),
+        AUDIT_LOG_FILE: path.join(dataDir, 'audit.log'),
+        SUMSUB_RATE_LIMIT_PER_SEC: '1000',
+        SUMSUB_RATE_LIMIT_BURST: '1000',
+        SUMSUB_RETRY_BASE_DELAY_MS: '1',
+        ...env
+    });
+
+    return {
+        sumsub,
+        django,
+        dataDir,
+
+        async stop() {
+            await sumsub.stop();
+            await django.stop();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+export {
+    startMockEnvironment
+};
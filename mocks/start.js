@@ -0,0 +1,24 @@
+import { createSumsubMock } from './sumsubMock.js';
+import { createDjangoMock } from './djangoMock.js';
+
+// Run both stand-ins for local development:
+//   npm run mock
+// then start the proxy with the printed variables.
+
+const sumsub = createSumsubMock();
+const django = createDjangoMock();
+
+const sumsubUrl = await sumsub.start(parseInt(process.env.SUMSUB_MOCK_PORT, 10) || 4010);
+const djangoUrl = await django.start(parseInt(process.env.DJANGO_MOCK_PORT, 10) || 4020);
+
+console.log('Sumsub mock:', sumsubUrl);
+console.log('Django mock:', djangoUrl);
+console.log('\nUse with:');
+console.log(`  SUMSUB_BASE_URL=${sumsubUrl}`);
+console.log(`  SUMSUB_APP_TOKEN=${sumsub.appToken}`);
+console.log(`  SUMSUB_SECRET_KEY=${sumsub.secretKey}`);
+console.log(`  SUMSUB_WEBHOOK_SECRET=${sumsub.webhookSecret}`);
+console.log(`  DJANGO_API_BASE_URL=${djangoUrl}`);
+console.log(`  DJANGO_SERVICE_TOKEN=${django.serviceToken}`);
+console.log(`  DJANGO_ADMIN_TOKEN=${django.adminToken}`);
+console.log('\nUser bearer tokens: user-token, admin-token');
@@ -0,0 +1,365 @@
+import http from 'http';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+
+// Local stand-in for the Sumsub API. It checks X-App-Access-* signatures the
+// same way Sumsub does, keeps applicants in memory and can emit signed webhooks.
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Buffers are sent as-is (document images), anything else as JSON
+function send(res, status, body, contentType = 'application/octet-stream') {
+    if (Buffer.isBuffer(body)) {
+        res.writeHead(status, { 'Content-Type': contentType });
+        return res.end(body);
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function createSumsubMock({
+    appToken = 'test-app-token',
+    secretKey = 'test-secret-key',
+    webhookSecret = 'test-webhook-secret',
+    levels = ['kyc_verification', 'basic-kyc', 'kyc_enhanced', 'kyc_eu']
+} = {}) {
+    const applicants = new Map();
+    const requests = [];
+    let server = null;
+    let baseUrl = null;
+
+    // Set to an HTTP status to make every API call fail, e.g. 503
+    const failures = { api: null };
+
+    function verifySignature(req, body) {
+        const ts = req.headers['x-app-access-ts'];
+        const received = req.headers['x-app-access-sig'];
+
+        if (req.headers['x-app-token'] !== appToken || !ts || !received) {
+            return false;
+        }
+
+        const expected = crypto.createHmac('sha256', secretKey)
+            .update(`${ts}${req.method}${req.url}`)
+            .update(body)
+            .digest('hex');
+
+        return received.length === expected.length &&
+            crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+    }
+
+    function getOrCreateApplicant(externalUserId, levelName = 'kyc_verification') {
+        if (!applicants.has(externalUserId)) {
+            applicants.set(externalUserId, {
+                id: crypto.randomBytes(12).toString('hex'),
+                inspectionId: crypto.randomBytes(12).toString('hex'),
+                externalUserId,
+                levelName,
+                createdAt: new Date().toISOString().replace('T', ' ').slice(0, 19),
+                review: { reviewStatus: 'init' },
+                documents: [],
+                images: []
+            });
+        }
+        return applicants.get(externalUserId);
+    }
+
+    // Sumsub's own applicant ID only; an externalUserId here is a client bug
+    function findByApplicantId(id) {
+        return [...applicants.values()].find(applicant => applicant.id === id);
+    }
+
+    // Routes are matched on the raw path, since Sumsub's `-;externalUserId=`
+    // addressing doesn't fit a normal router
+    const routes = [
+        ['POST', /^\/resources\/sdkIntegrations\/levels\/([^/]+)\/websdkLink$/, (match, body) => {
+            const levelName = decodeURIComponent(match[1]);
+            const applicant = getOrCreateApplicant(body.externalUserId, levelName);
+            applicant.levelName = levelName;
+            return [200, { url: `${baseUrl}/websdk/${applicant.id}?level=${encodeURIComponent(levelName)}` }];
+        }],
+
+        ['POST', /^\/resources\/accessTokens\?(.*)$/, (match) => {
+            const params = new URLSearchParams(match[1]);
+            getOrCreateApplicant(params.get('userId'), params.get('levelName'));
+            return [200, { token: `_act-${crypto.randomUUID()}`, userId: params.get('userId') }];
+        }],
+
+        ['POST', /^\/resources\/applicants\/([^/]+)\/reset$/, (match) => {
+            const applicant = findByApplicantId(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            applicant.review = { reviewStatus: 'init' };
+            applicant.documents = [];
+            applicant.images = [];
+            return [200, { ok: 1 }];
+        }],
+
+        ['POST', /^\/resources\/applicants\/([^/]+)\/moveToLevel\?name=(.+)$/, (match) => {
+            const applicant = findByApplicantId(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            const levelName = decodeURIComponent(match[2]);
+            if (!levels.includes(levelName)) return [400, { description: `Level ${levelName} not found`, code: 400 }];
+
+            applicant.levelName = levelName;
+            applicant.review = { reviewStatus: 'init' };
+            return [200, { id: applicant.id, externalUserId: applicant.externalUserId, review: { ...applicant.review, levelName } }];
+        }],
+
+        ['GET', /^\/resources\/applicants\/-\/levels$/, () => {
+            const items = levels.map(name => ({ id: name, name }));
+            return [200, { list: { items, totalItems: items.length } }];
+        }],
+
+        ['POST', /^\/resources\/applicants\/([^/]+)\/info\/idDoc$/, (match, body) => {
+            const applicant = findByApplicantId(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            applicant.documents.push(body.metadata);
+            if (body.content) {
+                applicant.images.push({ id: String(100000 + applicant.images.length), metadata: body.metadata, ...body.content });
+            }
+            return [200, body.metadata];
+        }],
+
+        ['GET', /^\/resources\/applicants\/([^/]+)\/metadata\/resources$/, (match) => {
+            const applicant = findByApplicantId(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            return [200, {
+                items: applicant.images.map(image => ({
+                    id: image.id,
+                    fileMetadata: { fileName: image.fileName, fileType: image.contentType, fileSize: image.buffer.length },
+                    idDocDef: {
+                        country: image.metadata.country,
+                        idDocType: image.metadata.idDocType,
+                        idDocSubType: image.metadata.idDocSubType
+                    }
+                }))
+            }];
+        }],
+
+        ['GET', /^\/resources\/inspections\/([^/]+)\/resources\/([^/]+)$/, (match) => {
+            const applicant = [...applicants.values()].find(a => a.inspectionId === decodeURIComponent(match[1]));
+            const image = applicant?.images.find(i => i.id === decodeURIComponent(match[2]));
+            if (!image) return [404, { description: 'Image not found', code: 404 }];
+
+            return [200, image.buffer, image.contentType];
+        }],
+
+        ['DELETE', /^\/resources\/applicants\/([^/;]+)$/, (match) => {
+            const applicant = findByApplicantId(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            applicants.delete(applicant.externalUserId);
+            return [200, { ok: 1 }];
+        }],
+
+        ['GET', /^\/resources\/applicants\/-;externalUserId=([^/]+)\/one$/, (match) => {
+            const applicant = applicants.get(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            return [200, {
+                id: applicant.id,
+                inspectionId: applicant.inspectionId,
+                externalUserId: applicant.externalUserId,
+                levelName: applicant.levelName,
+                createdAt: applicant.createdAt,
+                review: applicant.review,
+                reviewStatus: applicant.review.reviewStatus
+            }];
+        }],
+
+        ['GET', /^\/resources\/applicants\/-;externalUserId=([^/]+)\/requiredIdDocsStatus$/, (match) => {
+            const applicant = applicants.get(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            return [200, {
+                IDENTITY: applicant.documents.length
+                    ? { reviewResult: applicant.review.reviewResult || null, country: applicant.documents[0].country, idDocType: applicant.documents[0].idDocType }
+                    : null,
+                SELFIE: null
+            }];
+        }],
+
+        ['GET', /^\/resources\/applicants\/-;externalUserId=([^/]+)\/status$/, (match) => {
+            const applicant = applicants.get(decodeURIComponent(match[1]));
+            if (!applicant) return [404, { description: 'Applicant not found', code: 404 }];
+
+            return [200, {
+                createDate: applicant.createdAt,
+                reviewStatus: applicant.review.reviewStatus,
+                reviewResult: applicant.review.reviewResult,
+                levelName: applicant.levelName
+            }];
+        }]
+    ];
+
+    // Pull the `metadata` and `content` fields out of a multipart body; enough
+    // for idDoc uploads
+    function parseMultipart(req, raw) {
+        const boundary = req.headers['content-type'].split('boundary=')[1];
+        const sections = raw.toString('latin1').split(`--${boundary}`);
+        const field = (name) => sections.find(section => section.includes(`name="${name}"`));
+
+        const metadata = field('metadata');
+        const content = field('content');
+        const body = { metadata: metadata ? JSON.parse(metadata.split('\r\n\r\n')[1].trim()) : {} };
+
+        if (content) {
+            const [head, ...rest] = content.split('\r\n\r\n');
+            body.content = {
+                fileName: head.match(/filename="([^"]*)"/)?.[1],
+                contentType: head.match(/Content-Type: (.+)/i)?.[1].trim(),
+                buffer: Buffer.from(rest.join('\r\n\r\n').replace(/\r\n$/, ''), 'latin1')
+            };
+        }
+        return body;
+    }
+
+    async function handle(req, res) {
+        const raw = await readBody(req);
+        const record = { method: req.method, url: req.url, headers: req.headers, signatureValid: verifySignature(req, raw) };
+        requests.push(record);
+
+        if (!record.signatureValid) {
+            return send(res, 401, { description: 'Request signature mismatch', code: 401 });
+        }
+        if (failures.api) {
+            return send(res, failures.api, { description: 'Service unavailable', code: failures.api });
+        }
+
+        for (const [method, pattern, handler] of routes) {
+            const match = req.method === method && req.url.match(pattern);
+            if (!match) continue;
+
+            let body = {};
+            if (req.headers['content-type']?.startsWith('multipart/form-data')) {
+                body = parseMultipart(req, raw);
+            } else if (raw.length) {
+                body = JSON.parse(raw.toString());
+            }
+
+            const [status, response, contentType] = handler(match, body);
+            return send(res, status, response, contentType);
+        }
+
+        send(res, 404, { description: `No mock route for ${req.method} ${req.url}`, code: 404 });
+    }
+
+    // algorithm: sha1, sha256 or sha512, as named by X-Payload-Digest-Alg
+    function signWebhook(rawBody, secret = webhookSecret, algorithm = 'sha256') {
+        return crypto.createHmac(algorithm, secret).update(rawBody).digest('hex');
+    }
+
+    // Sumsub's webhook timestamp format: "2024-01-01 12:00:00.000", UTC
+    function timestamp(date = new Date()) {
+        return date.toISOString().replace('T', ' ').replace('Z', '');
+    }
+
+    // Move an applicant to a review outcome and build the matching webhook
+    function review(externalUserId, reviewAnswer, { rejectLabels = [], reviewRejectType } = {}) {
+        const applicant = getOrCreateApplicant(externalUserId);
+        applicant.review = {
+            reviewStatus: 'completed',
+            reviewResult: { reviewAnswer, rejectLabels, reviewRejectType }
+        };
+
+        return buildWebhook('applicantReviewed', externalUserId, {
+            reviewStatus: 'completed',
+            reviewResult: applicant.review.reviewResult
+        });
+    }
+
+    function buildWebhook(type, externalUserId, fields = {}) {
+        const applicant = getOrCreateApplicant(externalUserId);
+        return {
+            applicantId: applicant.id,
+            inspectionId: crypto.randomBytes(12).toString('hex'),
+            correlationId: crypto.randomUUID(),
+            externalUserId,
+            levelName: applicant.levelName,
+            type,
+            sandboxMode: true,
+            reviewStatus: applicant.review.reviewStatus,
+            createdAtMs: timestamp(),
+            ...fields
+        };
+    }
+
+    // POST a webhook the way Sumsub does: raw JSON body plus x-payload-digest
+    async function sendWebhook(targetUrl, event, { secret = webhookSecret, algorithm = 'sha256', headers = {} } = {}) {
+        const rawBody = JSON.stringify(event);
+        const response = await fetch(targetUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Payload-Digest': signWebhook(rawBody, secret, algorithm),
+                'X-Payload-Digest-Alg': `HMAC_${algorithm.toUpperCase()}_HEX`,
+                ...headers
+            },
+            body: rawBody
+        });
+
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            body = text;
+        }
+        return { status: response.status, body };
+    }
+
+    return {
+        appToken,
+        secretKey,
+        webhookSecret,
+        applicants,
+        levels,
+        requests,
+        failures,
+
+        get baseUrl() {
+            return baseUrl;
+        },
+
+        start(port = 0) {
+            return new Promise(resolve => {
+                server = http.createServer((req, res) => {
+                    handle(req, res).catch(error => send(res, 500, { description: error.message }));
+                });
+                server.listen(port, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => {
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        },
+
+        getOrCreateApplicant,
+        review,
+        buildWebhook,
+        signWebhook,
+        sendWebhook,
+        timestamp
+    };
+}
+
+export {
+    createSumsubMock
+};
@@ -0,0 +1,44 @@
+import { parseArgs } from 'util';
+import { getConfig } from '../src/config.js';
+import { verifyAuditLog, exportAuditLog } from '../src/auditLog.js';
+
+// Audit trail tooling:
+//   npm run audit -- verify [--file path]
+//   npm run audit -- export --user <id> [--from <date>] [--to <date>] [--file path]
+// Dates are anything Date.parse accepts, e.g. 2024-05-01 or 2024-05-01T12:00:00Z.
+
+const { positionals, values } = parseArgs({
+    allowPositionals: true,
+    options: {
+        file: { type: 'string' },
+        user: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' }
+    }
+});
+
+const command = positionals[0];
+const file = values.file || getConfig().AUDIT_LOG_FILE;
+
+if (command === 'verify') {
+    const result = await verifyAuditLog(file);
+    for (const error of result.errors) {
+        console.error(`line ${error.line}${error.seq ? ` (seq ${error.seq})` : ''}: ${error.reason}`);
+    }
+    console.log(`${result.valid ? 'OK' : 'TAMPERED'}: ${result.records} records, last hash ${result.lastHash}`);
+    process.exitCode = result.valid ? 0 : 1;
+} else if (command === 'export') {
+    for (const date of [values.from, values.to]) {
+        if (date && Number.isNaN(Date.parse(date))) {
+            console.error(`Invalid date: ${date}`);
+            process.exit(2);
+        }
+    }
+    const records = await exportAuditLog({ file, userId: values.user, from: values.from, to: values.to });
+    for (const record of records) {
+        console.log(JSON.stringify(record));
+    }
+} else {
+    console.error('Usage: npm run audit -- verify | export --user <id> [--from <date>] [--to <date>] [--file <path>]');
+    process.exitCode = 2;
+}
@@ -0,0 +1,8 @@
+import { createLogger, setLogger } from '../src/logger.js';
+import { runCli } from '../src/opsCli.js';
+
+// Support tooling for applicants and webhooks; see `npm run ops -- --help`.
+// Logs go to stderr so stdout carries only the command's output.
+setLogger(createLogger({ write: (line) => process.stderr.write(`${line}\n`) }));
+
+process.exitCode = await runCli(process.argv.slice(2));
@@ -1,17 +1,46 @@
 import express from 'express';
+import { createHash, randomUUID } from 'crypto';
 import cors from 'cors';
-import axios from 'axios';
-import { createHmac } from 'crypto';
-import { generate, reGenerate, handleWebhookEvent, verifyWebhookSignature, checkUserStatus } from './src/SumsubApiClient.js';
+import { getTenantClient, listTenants } from './src/tenants.js';
+import { getDeadLetterStore } from './src/deadLetterStore.js';
+import { startRetryWorker, retryEntry } from './src/webhookRetryWorker.js';
+import { redeliverDeadLetter, flushDeliveries } from './src/webhookSubscribers.js';
+import { checkEventFreshness, claimWebhookEvent } from './src/webhookDeduplicator.js';
+import { parseDocumentUpload } from './src/documentUpload.js';
+import { createCache, getVerificationCache, onVerificationInvalidated } from './src/verificationCache.js';
+import { authorizeAdmin, authorizeErase, logAdminAccess } from './src/adminAccess.js';
+import { recordAudit } from './src/auditLog.js';
+import { runWithRequestContext, getRequestContext } from './src/requestContext.js';
+import { createAuthenticator } from './src/userAuth.js';
+import { normalizeStatus, normalizeDocuments, normalizeHistory } from './src/verificationView.js';
+import { streamStatusEvents, attachStatusWebSocket } from './src/statusStream.js';
+import { selectLevel } from './src/levelRouting.js';
+import { createWindowLimiter } from './src/rateLimiter.js';
+import { startReconciliation, getReconciliationStatus, startReconciliationJob } from './src/reconciliation.js';
+import { collectApplicantData, bundleApplicantExport, eraseApplicantData } from './src/applicantPrivacy.js';
+import { djangoClient } from './src/djangoClient.js';
+import { checkDependencies } from './src/health.js';
+import { assertWebhookSecrets } from './src/webhookSignature.js';
+import { assertConfig } from './src/config.js';
+import { logger } from './src/logger.js';
+import { describeMetric, incrementCounter, getCounter, setGauge, registerCollector, renderMetrics } from './src/metrics.js';
 import getRawBody from 'raw-body';
+import { fileURLToPath } from 'url';
+
+// Refuse to start with missing or invalid settings, listing all of them, or
+// with a Sumsub app whose webhooks can't be verified
+const config = assertConfig();
+assertWebhookSecrets(listTenants().map(name => getTenantClient(name)));
 
 const app = express();
-const port = process.env.PORT || 3000; 
+const port = config.PORT;
 
-const DJANGO_API_BASE_URL = "https://cheetahx.onrender.com";
+const DJANGO_API_BASE_URL = config.DJANGO_API_BASE_URL;
 // ========================
 // Authentication Middleware
 // ========================
+const authenticator = createAuthenticator();
+
 const authenticateUser = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -24,21 +53,19 @@ const authenticateUser = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
     
-    // Verify the token with Django
-    const response = await axios.get("https://cheetahx.onrender.com/api/auth/validate-token/", {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      }
-    });
-    
-    if (response.status !== 200) {
-      throw new Error('Invalid token');
-    }
-
-    req.user = response.data.user;
+    // Verified locally or by Django, depending on AUTH_MODE
+    req.user = await authenticator.authenticate(token);
+    getRequestContext().actor = req.user?.id;
     next();
   } catch (error) {
-    console.error('Authentication error:', error);
+    logger.warn('Authentication failed', { error: error.message, status: error.status });
+
+    if (error.status === 503) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        details: 'Unable to validate token, try again shortly'
+      });
+    }
     return res.status(401).json({ 
       error: 'Unauthorized',
       details: 'Invalid or expired token' 
@@ -49,13 +76,59 @@ const authenticateUser = async (req, res, next) => {
 // ========================
 // Server Configuration
 // ========================
+// Behind a load balancer, TRUST_PROXY makes req.ip the client's address
+// (e.g. "1" for one hop, or "loopback"); the per-IP link limits depend on it
+if (config.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(config.TRUST_PROXY) ? Number(config.TRUST_PROXY) : config.TRUST_PROXY);
+}
+
+// Correlation ID for every log line made for this request, also sent as
+// X-Request-Id on its calls to Django and to webhook subscribers; a
+// caller-supplied X-Request-Id is kept if it looks sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', requestId);
+  runWithRequestContext({ requestId }, next);
+});
+
 app.use(cors({
-  origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
-  methods: ['GET', 'POST', 'PUT', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  origin: config.ALLOWED_ORIGINS.length ? config.ALLOWED_ORIGINS : '*',
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Sumsub-Tenant', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'Retry-After'],
   credentials: true
 }));
 
+// ========================
+// Tenant Resolution
+// ========================
+// Each brand has its own Sumsub app. The app is picked by a /tenants/:tenant
+// route prefix (stripped before routing) or the X-Sumsub-Tenant header.
+function resolveTenant(url, headers) {
+  const match = url.match(/^\/tenants\/([^/?]+)(.*)$/);
+  const tenant = match ? decodeURIComponent(match[1]) : headers['x-sumsub-tenant'] || 'default';
+
+  return {
+    tenant,
+    client: getTenantClient(tenant),
+    url: match ? (match[2].startsWith('/') ? match[2] : `/${match[2]}`) : url
+  };
+}
+
+app.use((req, res, next) => {
+  const { tenant, client, url } = resolveTenant(req.url, req.headers);
+  req.url = url;
+  req.sumsub = client;
+
+  if (!req.sumsub) {
+    return res.status(404).json({ error: 'Unknown tenant', details: tenant });
+  }
+  next();
+});
+
 app.use(express.urlencoded({ extended: true }));
 
 // ========================
@@ -71,75 +144,67 @@ app.post('/sumsub-webhook',
       });
       next();
     } catch (err) {
-      console.error('Error reading raw body:', err);
+      logger.warn('Could not read webhook body', { error: err });
       res.status(400).json({ error: 'Invalid request body' });
     }
   },
   async (req, res) => {
+    let payload = null;
+
     try {
       const rawBody = req.rawBody;
-      const receivedSignature = req.headers['x-payload-digest'];
-      const webhookSecret = process.env.SUMSUB_WEBHOOK_SECRET;
-
-      if (!webhookSecret) {
-        throw new Error('SUMSUB_WEBHOOK_SECRET is not configured');
-      }
-
-      if (process.env.DEBUG_WEBHOOK === 'true') {
-        console.warn('⚠️ Webhook verification bypassed for debugging');
-        const parsed = JSON.parse(rawBody);
-        console.log('Debug webhook payload:', {
-          type: parsed.type,
-          applicantId: parsed.applicantId,
-          externalUserId: parsed.externalUserId
-        });
-
-        const result = await handleWebhookEvent(parsed);
-        await forwardToDjango(result);
-        return res.status(200).send('Webhook received (debug mode)');
-      }
-
-      const isValid = verifyWebhookSignature(rawBody, receivedSignature, webhookSecret);
-      if (!isValid) {
-        const computedSignature = createHmac('sha256', webhookSecret)
-          .update(rawBody)
-          .digest('hex');
-          
-        console.error('Invalid webhook signature', {
-          received: receivedSignature,
-          computed: computedSignature
-        });
-        return res.status(403).json({ error: 'Invalid webhook signature' });
-      }
+      const signature = await req.sumsub.verifyWebhookSignature(rawBody, req.headers['x-payload-digest'], {
+        algorithm: req.headers['x-payload-digest-alg']
+      });
 
-      const payload = JSON.parse(rawBody);
-      console.log('Received webhook:', {
+      payload = JSON.parse(rawBody);
+      logger.info('Received webhook', {
         type: payload.type,
         applicantId: payload.applicantId,
         externalUserId: payload.externalUserId,
-        reviewStatus: payload.reviewStatus
+        reviewStatus: payload.reviewStatus,
+        signatureKey: signature.keyId
       });
 
-      const result = await handleWebhookEvent(payload);
-
-      // Enhanced Django forwarding with retry logic
-      try {
-        await forwardToDjango(result);
-        res.status(200).send('Webhook processed successfully');
-      } catch (djangoError) {
-        await storeFailedWebhook(payload);
-        res.status(200).json({ 
-          error: 'Webhook received but Django processing failed',
-          details: djangoError.message
+      // Reject old events so a captured, validly signed payload can't be replayed
+      const freshness = checkEventFreshness(payload);
+      if (!freshness.fresh) {
+        logger.warn('Rejected stale webhook', {
+          type: payload.type,
+          applicantId: payload.applicantId,
+          reason: freshness.reason
         });
+        await auditWebhook(req, payload, 'stale', { reason: freshness.reason });
+        return res.status(400).json({ error: 'Stale webhook event', details: freshness.reason });
       }
 
+      // Sumsub retries deliveries; acknowledge repeats without reprocessing
+      const { key, duplicate } = await claimWebhookEvent(payload);
+      if (duplicate) {
+        logger.info('Duplicate webhook acknowledged', { key });
+        await auditWebhook(req, payload, 'duplicate');
+        return res.status(200).json({ status: 'duplicate' });
+      }
+
+      // handleWebhookEvent hands the event to Django and the other subscribers
+      // in the background, so Sumsub is acknowledged without waiting for them
+      await auditWebhook(req, payload, 'accepted');
+      await req.sumsub.handleWebhookEvent(payload);
+      res.status(200).send('Webhook processed successfully');
+
     } catch (error) {
-      console.error('❌ Webhook processing error:', error.message);
+      logger.error('Webhook processing error', { error: error.message });
       
-      if (error.message.includes('Invalid webhook signature')) {
+      if (error.message.includes('Invalid webhook signature') || error.message.includes('x-payload-digest')) {
+        // The body is unauthenticated, so only its digest is worth keeping
+        await auditWebhook(req, null, 'invalid_signature');
         res.status(403).json({ error: error.message });
+      } else if (error.message.includes('Webhook secret is not configured')) {
+        // Let Sumsub retry once the secret is in place
+        await auditWebhook(req, null, 'not_configured');
+        res.status(500).json({ error: error.message });
       } else {
+        await auditWebhook(req, payload, 'error', { error: error.message });
         res.status(200).json({ 
           error: error.message,
           details: 'Webhook received but encountered processing error'
@@ -161,65 +226,100 @@ app.use((req, res, next) => {
 // User-Facing Routes
 // ========================
 
+// Link generation and regeneration share per-user and per-IP limits, so a
+// frontend stuck in a loop can't burn the Sumsub quota
+const linkLimitWindowMs = config.LINK_RATE_LIMIT_WINDOW_SECONDS * 1000;
+const linkLimits = [
+  { scope: 'user', limit: config.LINK_RATE_LIMIT_PER_USER, key: (req) => req.user.id },
+  { scope: 'ip', limit: config.LINK_RATE_LIMIT_PER_IP, key: (req) => req.ip }
+]
+  .filter(({ limit }) => limit > 0)
+  .map(entry => ({ ...entry, limiter: createWindowLimiter({ limit: entry.limit, windowMs: linkLimitWindowMs }) }));
+
+// Must run after authenticateUser, which sets req.user
+function limitLinkIssuance(req, res, next) {
+  for (const { scope, key, limiter } of linkLimits) {
+    const { allowed, retryAfterMs } = limiter.hit(String(key(req)));
+    if (allowed) continue;
+
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    incrementCounter('link_issuance_throttled_total', { route: req.path, scope });
+    logger.warn('Link issuance limit reached', { scope, userId: req.user.id, path: req.path, retryAfter });
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      error: 'Too many requests',
+      details: `Too many verification links requested for this ${scope}; retry in ${retryAfter}s`,
+      retryAfter
+    });
+  }
+  next();
+}
+
 // Generate SumSub link
-app.post('/api/generate-sumsub-link', authenticateUser, async (req, res) => {
+app.post('/api/generate-sumsub-link', authenticateUser, limitLinkIssuance, async (req, res) => {
   try {
-    const { userId, levelName, email, phone } = req.body;
+    const { userId, email, phone, country, product } = req.body;
     
     // Validate required fields
-    if (!userId || !levelName || !email) {
+    if (!userId || !email) {
       return res.status(400).json({ 
         error: 'Validation failed',
-        details: 'userId, levelName, and email are required'
+        details: 'userId and email are required'
       });
     }
 
-    // First create verification record in Django
-    const djangoResponse = await axios.post(
-      `${DJANGO_API_BASE_URL}/kyc/verifications/`,
-      {
-        email: email,
-        level_name: levelName,
-        phone: phone  // Optional, depending on your Django model
-      },
-      {
-        headers: {
-          'Authorization': req.headers.authorization,
-          'Content-Type': 'application/json'
-        },
-        timeout: 5000
-      }
-    );
-
-    console.log('Django verification record created:', {
-      status: djangoResponse.status,
-      data: djangoResponse.data
+    // Without an explicit level, the level rules decide. The risk tier only
+    // comes from the authenticated user, never from the request body.
+    const levelName = req.body.levelName || selectLevel({
+      country: country || req.user.country,
+      product,
+      riskTier: req.user.risk_tier ?? req.user.riskTier
     });
 
-    // Then generate SumSub link
-    const sumsubPayload = {
-      userId: userId,
-      levelName: levelName,
-      email: email,
-      phone: phone
-    };
-
-    const url = await generate(sumsubPayload);
+    // Hand out a SumSub link, reusing an unexpired one for the same level. A
+    // Django verification record is only created along with a new link.
+    let djangoResponse;
+    const { url, expiresAt, reused } = await req.sumsub.issueWebSDKLink(userId, levelName, {
+      beforeIssue: async () => {
+        djangoResponse = await djangoClient.post(
+          '/kyc/verifications/',
+          {
+            email: email,
+            level_name: levelName,
+            phone: phone  // Optional, depending on your Django model
+          },
+          {
+            headers: {
+              'Authorization': req.headers.authorization,
+              'Content-Type': 'application/json'
+            },
+            timeout: 5000
+          }
+        );
+
+        logger.info('Django verification record created', { userId, status: djangoResponse.status });
+      }
+    });
     
     res.json({ 
       url,
+      expiresAt,
+      reused,
       verificationId: userId,
-      djangoRecord: djangoResponse.data  // Optional: include Django response for debugging
+      levelName,
+      djangoRecord: djangoResponse?.data  // Optional: include Django response for debugging
     });
     
   } catch (error) {
-    console.error('Error in generate-sumsub-link:', {
-      message: error.message,
-      stack: error.stack,
+    logger.error('Error in generate-sumsub-link', {
+      error,
       response: error.response?.data
     });
 
     // Handle different error scenarios
+    if (error.code === 'ECIRCUITOPEN') {
+      return sendDjangoUnavailable(res, error);
+    }
     if (error.response) {
       // Forward Django validation errors
       if (error.response.config?.url.includes(DJANGO_API_BASE_URL)) {
@@ -230,23 +330,23 @@ app.post('/api/generate-sumsub-link', authenticateUser, async (req, res) => {
         });
       }
       
-      // SumSub API errors
-      return res.status(error.response.status).json({ 
+      // SumSub API errors carry the status on the error and the body in `response`
+      return res.status(error.status || 500).json({ 
         error: error.message,
-        details: error.response.data
+        details: error.response
       });
     }
 
     // Other errors (network, etc.)
     res.status(500).json({ 
       error: 'Internal server error',
-      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      details: config.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 // Regenerate SumSub link
-app.post('/api/regenerate-sumsub-link', authenticateUser, async (req, res) => {
+app.post('/api/regenerate-sumsub-link', authenticateUser, limitLinkIssuance, async (req, res) => {
   try {
     const { userId, levelName } = req.body;
     
@@ -257,14 +357,14 @@ app.post('/api/regenerate-sumsub-link', authenticateUser, async (req, res) => {
       });
     }
 
-    const url = await reGenerate(userId, levelName);
+    const url = await req.sumsub.reGenerate(userId, levelName);
     res.json({ 
       url,
       verificationId: userId
     });
     
   } catch (error) {
-    console.error('Error regenerating SumSub link:', error.message);
+    logger.error('Error regenerating SumSub link', { error: error.message });
     const statusCode = error.response?.status || 500;
     res.status(statusCode).json({ 
       error: error.message,
@@ -273,29 +373,152 @@ app.post('/api/regenerate-sumsub-link', authenticateUser, async (req, res) => {
   }
 });
 
-const verificationCache = new Map();
+// The caller's own applicant, derived from the authenticated user the same
+// way generate() names it. These routes never take a user ID from the request.
+const ownExternalUserId = (req) => `user_${req.user.id}`;
+
+// Issue an access token for the mobile (iOS/Android) SDKs, always for the
+// caller's own applicant
+app.post('/api/sumsub-access-token', authenticateUser, async (req, res) => {
+  try {
+    const { levelName, ttlInSecs = 600 } = req.body;
+
+    if (!levelName) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: 'levelName is required'
+      });
+    }
+
+    const ttl = Number(ttlInSecs);
+    if (!Number.isInteger(ttl) || ttl <= 0 || ttl > 86400) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: 'ttlInSecs must be an integer between 1 and 86400'
+      });
+    }
+
+    const { token, expiresAt } = await req.sumsub.createAccessToken(req.user.id, levelName, ttl);
+    res.json({
+      token,
+      userId: ownExternalUserId(req),
+      levelName,
+      expiresAt
+    });
+
+  } catch (error) {
+    logger.error('Error creating SumSub access token', { error: error.message });
+    const statusCode = error.status || 500;
+    res.status(statusCode).json({
+      error: error.message,
+      details: error.response || 'Check server logs'
+    });
+  }
+});
+
+async function sendVerificationView(req, res, read, normalize) {
+  const externalUserId = ownExternalUserId(req);
+
+  try {
+    res.json(normalize(await read(externalUserId), externalUserId));
+  } catch (error) {
+    // No applicant yet: the user hasn't started verification
+    if (error.status === 404) {
+      return res.json(normalize(null, externalUserId));
+    }
+
+    logger.error('Error reading verification data', { externalUserId, error: error.message });
+    res.status(error.status || 500).json({
+      error: error.message,
+      details: error.response || 'Check server logs'
+    });
+  }
+}
+
+app.get('/api/verification/status', authenticateUser, (req, res) =>
+  sendVerificationView(req, res, (id) => req.sumsub.getVerificationStatus(id), normalizeStatus));
+
+app.get('/api/verification/documents', authenticateUser, (req, res) =>
+  sendVerificationView(req, res, (id) => req.sumsub.getApplicantDocs(id), normalizeDocuments));
+
+app.get('/api/verification/history', authenticateUser, (req, res) =>
+  sendVerificationView(req, res, (id) => req.sumsub.getVerificationHistory(id), normalizeHistory));
+
+// Live status changes for the caller, pushed as each webhook is processed.
+// EventSource and browser WebSockets can't set headers, so these endpoints
+// also take the bearer token as ?access_token=.
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+}
+
+app.get('/api/verification/events', tokenFromQuery, authenticateUser, (req, res) => {
+  streamStatusEvents(req, res, req.sumsub.cacheKey(ownExternalUserId(req)));
+});
+
+// Upgrade requests bypass Express, so the WebSocket endpoint resolves the
+// tenant and the user itself
+async function authenticateStatusSocket(req) {
+  const { client, url } = resolveTenant(req.url, req.headers);
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+  if (pathname !== '/api/verification/ws' || !client) {
+    throw Object.assign(new Error('Not found'), { status: 404 });
+  }
+
+  const header = req.headers.authorization;
+  const token = header?.startsWith('Bearer ') ? header.split(' ')[1] : searchParams.get('access_token');
+  if (!token) {
+    throw Object.assign(new Error('Missing token'), { status: 401 });
+  }
+
+  const user = await authenticator.authenticate(token);
+  return client.cacheKey(`user_${user.id}`);
+}
+
+function attachWebSockets(server) {
+  return attachStatusWebSocket(server, { authenticate: authenticateStatusSocket });
+}
+
+// ========================
+// Admin Routes
+// ========================
+// Every /admin route requires a Django-validated user with an admin role or
+// permission, and every request is written to the admin access log
+app.use('/admin', authenticateUser, logAdminAccess, authorizeAdmin);
+
+// Short-lived copies of Django's admin views, shared with other instances
+// when the file cache backend is configured
+const adminCache = createCache({ namespace: 'admin', ttlMs: 30000 });
+
+// Django records are keyed differently from Sumsub's externalUserId, so any
+// verification change simply drops every cached admin view
+onVerificationInvalidated(() => adminCache.clear());
+
+async function readAdminCache(key) {
+  const cached = await adminCache.get(key);
+  incrementCounter('verification_cache_lookups_total', { cache: 'admin', result: cached ? 'hit' : 'miss' });
+  return cached;
+}
 
 app.get('/admin/verifications', async (req, res) => {
   try {
     const cacheKey = 'all_verifications';
     
-    if (verificationCache.has(cacheKey)) {
-      const cached = verificationCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 30000) {
-        return res.json(cached.data);
-      }
+    const cached = await readAdminCache(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    const response = await axios.get(`${DJANGO_API_BASE_URL}/kyc/verifications/`, {
+    const response = await djangoClient.get('/kyc/verifications/', {
       headers: {
-        'Authorization': `Bearer ${process.env.DJANGO_ADMIN_TOKEN}`
+        'Authorization': `Bearer ${config.DJANGO_ADMIN_TOKEN}`
       }
     });
 
-    verificationCache.set(cacheKey, {
-      data: response.data,
-      timestamp: Date.now()
-    });
+    await adminCache.set(cacheKey, response.data);
     
     res.json(response.data);
   } catch (error) {
@@ -308,23 +531,18 @@ app.get('/admin/verifications/:userId', async (req, res) => {
     const { userId } = req.params;
     const cacheKey = `verification_${userId}`;
     
-    if (verificationCache.has(cacheKey)) {
-      const cached = verificationCache.get(cacheKey);
-      if (Date.now() - cached.timestamp < 30000) {
-        return res.json(cached.data);
-      }
+    const cached = await readAdminCache(cacheKey);
+    if (cached) {
+      return res.json(cached);
     }
 
-    const response = await axios.get(`${DJANGO_API_BASE_URL}/kyc/verifications/${userId}/`, {
+    const response = await djangoClient.get(`/kyc/verifications/${userId}/`, {
       headers: {
-        'Authorization': `Bearer ${process.env.DJANGO_ADMIN_TOKEN}`
+        'Authorization': `Bearer ${config.DJANGO_ADMIN_TOKEN}`
       }
     });
 
-    verificationCache.set(cacheKey, {
-      data: response.data,
-      timestamp: Date.now()
-    });
+    await adminCache.set(cacheKey, response.data);
     
     res.json(response.data);
   } catch (error) {
@@ -332,51 +550,235 @@ app.get('/admin/verifications/:userId', async (req, res) => {
   }
 });
 
+// Attach an identity document collected outside the WebSDK, e.g. by the
+// back-office. :userId is the Django user ID, as above.
+app.post('/admin/verifications/:userId/documents', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const externalUserId = `user_${userId}`;
+    const { file, fields } = await parseDocumentUpload(req);
+    const { idDocType, country, side, idDocSubType, number, issuedDate, validUntil } = fields;
+
+    if (!idDocType || !country) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: 'idDocType and country are required'
+      });
+    }
+
+    if (side && !['front', 'back'].includes(side)) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: 'side must be "front" or "back"'
+      });
+    }
+
+    const document = await req.sumsub.addIdDocument(externalUserId, file, {
+      idDocType,
+      country,
+      side,
+      idDocSubType,
+      number,
+      issuedDate,
+      validUntil
+    });
+
+    res.status(201).json({
+      userId,
+      externalUserId,
+      document
+    });
+
+  } catch (error) {
+    logger.error('Error uploading document', { userId: req.params.userId, error: error.message });
+    const statusCode = error.status || error.response?.status || 500;
+    res.status(statusCode).json({
+      error: error.message,
+      details: error.response || undefined
+    });
+  }
+});
+
 // ========================
-// Helper Functions
+// Data Subject Requests (GDPR)
 // ========================
-async function forwardToDjango(data) {
+// :userId is the Django user ID, as above; the tenant comes from the usual
+// route prefix or X-Sumsub-Tenant header
+app.get('/admin/verifications/:userId/export', async (req, res) => {
+  const externalUserId = `user_${req.params.userId}`;
+
   try {
-    const response = await axios.post(
-      `${DJANGO_API_BASE_URL}/kyc/webhook/sumsub/`,
-      data,
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${process.env.DJANGO_SERVICE_TOKEN}`,
-          'X-Webhook-Source': 'sumsub'
-        },
-        timeout: 5000
-      }
-    );
+    const { archive } = bundleApplicantExport(await collectApplicantData(req.sumsub, externalUserId));
+
+    res.set({
+      'Content-Type': 'application/gzip',
+      'Content-Disposition': `attachment; filename="${externalUserId.replace(/[^\w.-]/g, '_')}-export.tar.gz"`,
+      'Cache-Control': 'no-store'
+    });
+    res.send(archive);
+  } catch (error) {
+    handleSumsubError(res, error, 'exporting applicant data');
+  }
+});
 
-    console.log('Forwarded to Django:', response.status);
-    return response;
+// Irreversible, so it needs the erase permission on top of admin access
+app.delete('/admin/verifications/:userId', authorizeErase, async (req, res) => {
+  try {
+    res.json(await eraseApplicantData(req.sumsub, `user_${req.params.userId}`));
   } catch (error) {
-    console.error('Django forwarding failed:', {
-      status: error.response?.status,
-      data: error.response?.data,
-      message: error.message
+    handleSumsubError(res, error, 'erasing applicant data');
+  }
+});
+
+// ========================
+// Reconciliation
+// ========================
+// Re-check Django's pending verifications against Sumsub now. `dryRun` (body
+// or query) reports what would be forwarded without sending anything. A run
+// can take minutes, so it is started in the background; GET has the report.
+app.post('/admin/reconcile', (req, res) => {
+  const dryRun = req.body?.dryRun === true || req.query.dryRun === 'true';
+  // From the body or the query string; either way it must be a positive integer
+  const rawLimit = req.body?.limit ?? req.query.limit;
+  const limit = rawLimit === undefined ? undefined : Number(rawLimit);
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return res.status(400).json({ error: 'Validation failed', details: 'limit must be a positive integer' });
+  }
+
+  const run = startReconciliation({ dryRun, ...(limit !== undefined && { maxPerRun: limit }) });
+  if (!run) {
+    return res.status(409).json({ error: 'A reconciliation run is already in progress' });
+  }
+  res.status(202).json(run);
+});
+
+app.get('/admin/reconcile', (req, res) => {
+  res.json(getReconciliationStatus());
+});
+
+// ========================
+// Dead-Letter Admin Routes
+// ========================
+app.get('/admin/dead-letters', async (req, res) => {
+  try {
+    const { status, type, subscriber } = req.query;
+    const entries = await getDeadLetterStore().list({ status, type, subscriber });
+
+    res.json({
+      count: entries.length,
+      results: entries.map(({ payload, ...summary }) => summary)
     });
-    throw error;
+  } catch (error) {
+    handleDjangoError(res, error, 'listing dead-lettered webhooks');
   }
+});
+
+app.get('/admin/dead-letters/:id', async (req, res) => {
+  try {
+    const entry = await getDeadLetterStore().get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    handleDjangoError(res, error, 'fetching dead-lettered webhook');
+  }
+});
+
+app.post('/admin/dead-letters/:id/replay', async (req, res) => {
+  try {
+    const entry = await getDeadLetterStore().get(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    // A manual replay is always attempted, even for entries marked dead,
+    // unless the subscriber's circuit breaker is open
+    const result = await retryEntry(entry, redeliverDeadLetter);
+    const statusCode = { delivered: 200, parked: 503 }[result.status] || 502;
+    res.status(statusCode).json(result);
+  } catch (error) {
+    handleDjangoError(res, error, 'replaying dead-lettered webhook');
+  }
+});
+
+app.delete('/admin/dead-letters/:id', async (req, res) => {
+  try {
+    const removed = await getDeadLetterStore().remove(req.params.id);
+    if (!removed) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    handleDjangoError(res, error, 'deleting dead-lettered webhook');
+  }
+});
+
+app.delete('/admin/dead-letters', async (req, res) => {
+  try {
+    const { status, type, subscriber } = req.query;
+    const removed = await getDeadLetterStore().purge({ status, type, subscriber });
+    res.json({ removed });
+  } catch (error) {
+    handleDjangoError(res, error, 'purging dead-lettered webhooks');
+  }
+});
+
+// ========================
+// Helper Functions
+// ========================
+// Record which Sumsub decision arrived, tied to the exact bytes received, and
+// count it by type and outcome
+function auditWebhook(req, payload, outcome, extra = {}) {
+  incrementCounter('sumsub_webhooks_total', {
+    tenant: req.sumsub.name,
+    type: payload?.type || 'unknown',
+    outcome
+  });
+
+  return recordAudit('webhook.received', {
+    userId: payload?.externalUserId || null,
+    tenant: req.sumsub.name,
+    outcome,
+    bodySha256: createHash('sha256').update(req.rawBody || '').digest('hex'),
+    type: payload?.type,
+    applicantId: payload?.applicantId,
+    inspectionId: payload?.inspectionId,
+    correlationId: payload?.correlationId,
+    levelName: payload?.levelName,
+    reviewStatus: payload?.reviewStatus,
+    // The decision only; moderation and client comments can hold personal data
+    reviewAnswer: payload?.reviewResult?.reviewAnswer,
+    reviewRejectType: payload?.reviewResult?.reviewRejectType,
+    rejectLabels: payload?.reviewResult?.rejectLabels,
+    createdAtMs: payload?.createdAtMs,
+    ...extra
+  });
 }
 
-async function storeFailedWebhook(payload) {
-  console.warn('Storing failed webhook for retry:', {
-    type: payload.type,
-    applicantId: payload.applicantId,
-    timestamp: new Date().toISOString()
+// Django's circuit breaker is open: tell the caller when to come back
+function sendDjangoUnavailable(res, error) {
+  res.set('Retry-After', String(Math.max(1, Math.ceil(error.retryAfterMs / 1000))));
+  return res.status(503).json({
+    error: 'Django API unavailable',
+    details: error.message
   });
 }
 
 function handleDjangoError(res, error, context) {
-  console.error(`Error ${context}:`, {
-    message: error.message,
+  logger.error(`Error ${context}`, {
+    error: error.message,
     status: error.response?.status,
     data: error.response?.data
   });
 
+  if (error.code === 'ECIRCUITOPEN') {
+    return sendDjangoUnavailable(res, error);
+  }
+
   if (error.response) {
     const statusCode = error.response.status;
     if (statusCode === 404) {
@@ -390,58 +792,146 @@ function handleDjangoError(res, error, context) {
 
   res.status(500).json({ 
     error: 'Internal server error',
-    details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    details: config.NODE_ENV === 'development' ? error.message : undefined
+  });
+}
+
+function handleSumsubError(res, error, context) {
+  logger.error(`Error ${context}`, { error: error.message, status: error.status });
+
+  if (error.status === 404) {
+    return res.status(404).json({ error: 'Applicant not found' });
+  }
+  res.status(error.status || 500).json({
+    error: error.message,
+    details: error.response || 'Check server logs'
   });
 }
 
 // ========================
 // Health Check
 // ========================
+// /health/live only says the process is serving requests; /health/ready and
+// /health answer 503 while Django or any Sumsub app is unreachable, or while
+// the Django circuit breaker is open
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+});
+
+app.get('/health/ready', async (req, res) => {
+  const { healthy, django, sumsub } = await checkDependencies();
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'ready' : 'not_ready',
+    django: django.status,
+    sumsub: Object.fromEntries(Object.entries(sumsub).map(([tenant, check]) => [tenant, check.status]))
+  });
+});
+
 app.get('/health', async (req, res) => {
   try {
-    const djangoHealth = await axios.get(`${DJANGO_API_BASE_URL}/kyc/health/`, {
-      timeout: 3000
-    }).catch(() => ({ status: 503 }));
+    const { healthy, checkedAt, django, sumsub } = await checkDependencies();
 
-    res.status(200).json({ 
-      status: 'healthy',
+    res.status(healthy ? 200 : 503).json({
+      status: healthy ? 'healthy' : 'unhealthy',
+      checkedAt,
       services: {
-        django: djangoHealth.status === 200 ? 'healthy' : 'unavailable',
-        webhook: !!process.env.SUMSUB_WEBHOOK_SECRET ? 'configured' : 'not_configured',
-        cache: verificationCache.size > 0 ? 'active' : 'inactive'
+        django,
+        sumsub,
+        webhook: req.sumsub.webhookSecrets.length ? 'configured' : 'not_configured',
+        cache: await getVerificationCache().size() > 0 ? 'active' : 'inactive'
       },
       uptime: process.uptime()
     });
   } catch (error) {
     res.status(503).json({
-      status: 'degraded',
+      status: 'unhealthy',
       error: error.message
     });
   }
 });
 
+// ========================
+// Metrics
+// ========================
+describeMetric('sumsub_webhooks_total', 'counter', 'Webhooks received on /sumsub-webhook by tenant, type and outcome');
+describeMetric('link_issuance_throttled_total', 'counter', 'Link requests turned away with 429, by route and limit scope');
+describeMetric('verification_cache_entries', 'gauge', 'Entries in the verification cache');
+describeMetric('verification_cache_hit_ratio', 'gauge', 'Share of verification cache lookups served from the cache');
+
+registerCollector(async () => {
+  setGauge('verification_cache_entries', {}, await getVerificationCache().size());
+
+  for (const cache of ['verifications', 'admin']) {
+    const hits = getCounter('verification_cache_lookups_total', { cache, result: 'hit' });
+    const misses = getCounter('verification_cache_lookups_total', { cache, result: 'miss' });
+    setGauge('verification_cache_hit_ratio', { cache }, hits + misses ? hits / (hits + misses) : 0);
+  }
+});
+
+// Prometheus scrape target; set METRICS_TOKEN to require it as a bearer token
+app.get('/metrics', async (req, res) => {
+  if (config.METRICS_TOKEN && req.headers.authorization !== `Bearer ${config.METRICS_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    res.type('text/plain; version=0.0.4').send(await renderMetrics());
+  } catch (error) {
+    logger.error('Failed to render metrics', { error });
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
 // ========================
 // Error Handling
 // ========================
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', {
-    message: err.message,
-    stack: err.stack,
+  logger.error('Unhandled error', {
+    error: err,
     url: req.originalUrl,
     method: req.method
   });
 
   res.status(500).json({ 
     error: 'Internal server error',
-    reference: `ERR-${Date.now()}`
+    reference: getRequestContext().requestId
   });
 });
 
 // ========================
 // Server Startup
 // ========================
-app.listen(port, () => {
-  console.log(`🚀 Server running on port ${port}`);
-  console.log(`🔐 Authentication Mode: User token forwarding`);
-  console.log(`🌐 Django API: ${DJANGO_API_BASE_URL}`);
-});
\ No newline at end of file
+// Only start listening when run directly, so tests can import the app
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const retryWorker = startRetryWorker(redeliverDeadLetter);
+  const reconciliationJob = startReconciliationJob();
+
+  const server = app.listen(port, () => {
+    logger.info('Server running', {
+      port,
+      authMode: authenticator.mode,
+      djangoApi: DJANGO_API_BASE_URL
+    });
+  });
+  attachWebSockets(server);
+
+  // Stop taking requests and let background deliveries finish before exiting;
+  // anything cut off anyway is still in the outbox for the next start
+  let shuttingDown = false;
+  const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down, waiting for webhook deliveries', { signal });
+
+    retryWorker.stop();
+    reconciliationJob.stop();
+    server.close();
+    await flushDeliveries();
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+export { app, attachWebSockets };
\ No newline at end of file
@@ -1,429 +1,825 @@
 import crypto from 'crypto';
 import fetch from 'node-fetch';
 import FormData from 'form-data';
-import dotenv from 'dotenv';
-import axios from 'axios';
+import { getVerificationCache, invalidateVerification } from './verificationCache.js';
+import { createTokenBucket } from './rateLimiter.js';
+import { interpretReview, processWebhookEvent } from './webhookEvents.js';
+import { recordAudit } from './auditLog.js';
+import { getRequestContext } from './requestContext.js';
+import { normalizeStatus } from './verificationView.js';
+import { publishStatusChange } from './statusStream.js';
+import { dispatchWebhook } from './webhookSubscribers.js';
+import { parseWebhookSecrets, isInsecureDevMode, verifyPayloadDigest } from './webhookSignature.js';
+import { incrementCounter, observeHistogram, addToGauge, describeMetric } from './metrics.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+const log = logger.child({ component: 'sumsub' });
+
+describeMetric('sumsub_request_duration_seconds', 'histogram', 'Sumsub API call latency per attempt, by endpoint and response status');
+describeMetric('sumsub_webhook_signature_total', 'counter', 'Webhook signature checks by tenant, algorithm, matching key and result');
+describeMetric('verification_cache_lookups_total', 'counter', 'Verification cache lookups by result');
+describeMetric('websdk_links_total', 'counter', 'WebSDK links handed out by tenant, new or reused');
+describeMetric('verification_review_outcomes', 'gauge', 'Applicants seen by this process, by level and latest review outcome');
+
+const config = getConfig();
+const REQUEST_TIMEOUT_MS = config.SUMSUB_REQUEST_TIMEOUT_MS;
+const MAX_RETRIES = config.SUMSUB_MAX_RETRIES;
+const RETRY_BASE_DELAY_MS = config.SUMSUB_RETRY_BASE_DELAY_MS;
+const RETRY_MAX_DELAY_MS = config.SUMSUB_RETRY_MAX_DELAY_MS;
+const RETRY_AFTER_MAX_MS = config.SUMSUB_RETRY_AFTER_MAX_MS;
+const RATE_LIMIT_BURST = config.SUMSUB_RATE_LIMIT_BURST;
+const RATE_LIMIT_PER_SEC = config.SUMSUB_RATE_LIMIT_PER_SEC;
+
+// Failures that happen before the request reaches Sumsub, so even a POST is
+// safe to send again
+const CONNECTION_ERRORS = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+
+const DOCUMENT_SIDES = {
+    front: 'FRONT_SIDE',
+    back: 'BACK_SIDE'
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-dotenv.config();
+// Exponential backoff with full jitter
+function backoffDelay(attempt) {
+    return Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+}
 
-const SUMSUB_APP_TOKEN = process.env.SUMSUB_APP_TOKEN;
-const SUMSUB_SECRET_KEY = process.env.SUMSUB_SECRET_KEY;
-const SUMSUB_BASE_URL = process.env.SUMSUB_BASE_URL;
-const SUMSUB_WEBHOOK_SECRET = process.env.SUMSUB_WEBHOOK_SECRET;
-const DJANGO_API_BASE_URL = process.env.DJANGO_API_BASE_URL;
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
 
-const verificationCache = new Map();
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(seconds * 1000, 0);
 
-function createSignature(url, method, data = null) {
-    const ts = Math.floor(Date.now() / 1000);
-    const signature = crypto.createHmac('sha256', SUMSUB_SECRET_KEY);
-    signature.update(`${ts}${method.toUpperCase()}${url}`);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
 
-    if (data instanceof FormData) {
-        signature.update(data.getBuffer());
-    } else if (data) {
-        signature.update(JSON.stringify(data));
+// How long to wait before retrying, or null if the error is final
+function getRetryDelay(error, method, attempt) {
+    if (error.status === 429) {
+        return Math.min(error.retryAfterMs ?? backoffDelay(attempt), RETRY_AFTER_MAX_MS);
+    }
+    if (CONNECTION_ERRORS.has(error.code)) {
+        return backoffDelay(attempt);
+    }
+    if (method.toUpperCase() === 'GET' && (error.code === 'ETIMEDOUT' || error.type === 'system' || error.status >= 500)) {
+        return backoffDelay(attempt);
     }
+    return null;
+}
+
+// The user a Sumsub call is about, for the audit trail
+function extractUserId(url, body) {
+    const fromPath = url.match(/externalUserId=([^/?]+)/) || url.match(/[?&]userId=([^&]+)/);
+    if (fromPath) return decodeURIComponent(fromPath[1]);
+    if (body && !(body instanceof FormData) && body.externalUserId) return body.externalUserId;
+
+    const applicant = url.match(/^\/resources\/applicants\/([^/;?]+)/);
+    return applicant ? decodeURIComponent(applicant[1]) : null;
+}
+
+// Path with applicant IDs replaced, so metrics have one series per endpoint
+function endpointLabel(url) {
+    return url.split('?')[0]
+        .replace(/^\/resources\/applicants\/(?!-\/)[^/]+/, '/resources/applicants/:applicant')
+        .replace(/^\/resources\/inspections\/[^/]+\/resources\/[^/]+$/, '/resources/inspections/:inspection/resources/:image');
+}
+
+// Latest outcome and level per applicant, behind the review outcome gauge.
+// Kept in update order and capped at METRICS_REVIEW_OUTCOMES_MAX_SIZE: the
+// applicant updated longest ago drops out of the gauge first.
+const reviewOutcomes = new Map();
+
+function trackReviewOutcome(key, level, outcome) {
+    const previous = reviewOutcomes.get(key);
+    if (previous?.level === level && previous?.outcome === outcome) return;
+
+    if (previous) {
+        addToGauge('verification_review_outcomes', previous, -1);
+        reviewOutcomes.delete(key);
+    }
+    addToGauge('verification_review_outcomes', { level, outcome }, 1);
+    reviewOutcomes.set(key, { level, outcome });
+
+    while (reviewOutcomes.size > config.METRICS_REVIEW_OUTCOMES_MAX_SIZE) {
+        forgetReviewOutcome(reviewOutcomes.keys().next().value);
+    }
+}
+
+// Takes the applicant out of the gauge, e.g. when its data is erased
+function forgetReviewOutcome(key) {
+    const previous = reviewOutcomes.get(key);
+    if (!previous) return false;
 
-    return {
-        'X-App-Access-Ts': ts,
-        'X-App-Access-Sig': signature.digest('hex'),
-        'X-App-Token': SUMSUB_APP_TOKEN,
-        'Accept': 'application/json',
-        'Content-Type': data instanceof FormData ? data.getHeaders()['content-type'] : 'application/json'
-    };
+    addToGauge('verification_review_outcomes', previous, -1);
+    reviewOutcomes.delete(key);
+    return true;
 }
 
-async function sumsubRequest(url, method, body = null) {
-    // Add URL validation
-    if (!url) {
-        throw new Error('Request URL cannot be empty');
+// Cache entries holding a WebSDK link expire with the link. Anything merged
+// into one keeps that expiry; other entries get the cache's default TTL.
+function remainingTtlMs(entry) {
+    return entry?.expiresAt ? Math.max(Date.parse(entry.expiresAt) - Date.now(), 0) : undefined;
+}
+
+// One Sumsub app. Each instance has its own credentials, rate limiter and
+// cache namespace, so a single process can serve several apps side by side.
+class SumsubClient {
+    constructor({
+        name = 'default',
+        appToken,
+        secretKey,
+        baseUrl = 'https://api.sumsub.com',
+        webhookSecret,
+        timeoutMs = REQUEST_TIMEOUT_MS,
+        maxRetries = MAX_RETRIES,
+        rateLimit = { capacity: RATE_LIMIT_BURST, refillPerSec: RATE_LIMIT_PER_SEC }
+    } = {}) {
+        this.name = name;
+        this.appToken = appToken;
+        this.secretKey = secretKey;
+        this.baseUrl = baseUrl;
+        // One secret, or several (array or comma-separated) during a rotation
+        this.webhookSecrets = parseWebhookSecrets(webhookSecret);
+        this.timeoutMs = timeoutMs;
+        this.maxRetries = maxRetries;
+        this.rateLimiter = createTokenBucket(rateLimit);
     }
 
-    const headers = createSignature(url, method, body);
-    const options = {
-        method,
-        headers,
-        timeout: 15000
-    };
+    // The default app keeps bare user IDs as cache keys; other apps are prefixed
+    cacheKey(userId) {
+        return this.name === 'default' ? userId : `${this.name}:${userId}`;
+    }
+
+    createSignature(url, method, data = null) {
+        const ts = Math.floor(Date.now() / 1000);
+        const signature = crypto.createHmac('sha256', this.secretKey);
+        signature.update(`${ts}${method.toUpperCase()}${url}`);
+
+        if (data instanceof FormData) {
+            signature.update(data.getBuffer());
+        } else if (data) {
+            signature.update(JSON.stringify(data));
+        }
 
-    if (body) {
-        options.body = body instanceof FormData ? body : JSON.stringify(body);
+        return {
+            'X-App-Access-Ts': ts,
+            'X-App-Access-Sig': signature.digest('hex'),
+            'X-App-Token': this.appToken,
+            'Accept': 'application/json',
+            'Content-Type': data instanceof FormData ? data.getHeaders()['content-type'] : 'application/json'
+        };
     }
 
-    try {
-        const fullUrl = SUMSUB_BASE_URL + url;
-        console.log(`Making SumSub request to: ${method} ${fullUrl}`);
+    // With `binary`, resolves to { buffer, contentType } instead of parsed JSON.
+    // `onStatus` is called with the HTTP status of any response received.
+    async send(url, method, body, { binary = false, timeoutMs = this.timeoutMs, onStatus } = {}) {
+        // Signed per attempt, since the signature covers the timestamp
+        const headers = this.createSignature(url, method, body);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        const options = {
+            method,
+            headers,
+            signal: controller.signal
+        };
 
-        const response = await fetch(fullUrl, options);
+        if (body) {
+            // Send the exact bytes that were signed
+            options.body = body instanceof FormData ? body.getBuffer() : JSON.stringify(body);
+        }
 
-        if (!response.ok) {
-            let errorData;
-            try {
-                errorData = await response.json();
-            } catch (e) {
-                errorData = { description: await response.text() };
+        try {
+            const response = await fetch(this.baseUrl + url, options);
+            onStatus?.(response.status);
+
+            if (!response.ok) {
+                const text = await response.text();
+                let errorData;
+                try {
+                    errorData = JSON.parse(text);
+                } catch (e) {
+                    errorData = { description: text };
+                }
+
+                const error = new Error(`Sumsub API error: ${response.status} - ${errorData.description || 'Unknown error'}`);
+                error.status = response.status;
+                error.response = errorData;
+                error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                throw error;
             }
 
-            const error = new Error(`Sumsub API error: ${response.status} - ${errorData.description || 'Unknown error'}`);
-            error.status = response.status;
-            error.response = errorData;
+            if (binary) {
+                return {
+                    buffer: Buffer.from(await response.arrayBuffer()),
+                    contentType: response.headers.get('content-type')
+                };
+            }
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                const timeoutError = new Error(`Sumsub API request timed out after ${timeoutMs}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
             throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async request(url, method, body = null, options = {}) {
+        // Add URL validation
+        if (!url) {
+            throw new Error('Request URL cannot be empty');
         }
 
-        return await response.json();
-    } catch (error) {
-        console.error(`Sumsub API request failed: ${method} ${url}`, {
-            error: error.message,
-            stack: error.stack
+        log.debug('Sumsub request', { tenant: this.name, method, path: url });
+        const startedAt = Date.now();
+        const audit = (outcome, attempts, error) => recordAudit('sumsub.request', {
+            userId: extractUserId(url, body),
+            actor: getRequestContext().actor,
+            tenant: this.name,
+            method,
+            path: url,
+            outcome,
+            attempts,
+            status: error?.status,
+            error: error?.message,
+            durationMs: Date.now() - startedAt
         });
-        throw error;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.take();
+
+            const attemptStartedAt = process.hrtime.bigint();
+            const observe = (status) => observeHistogram('sumsub_request_duration_seconds', {
+                tenant: this.name,
+                method,
+                endpoint: endpointLabel(url),
+                status
+            }, Number(process.hrtime.bigint() - attemptStartedAt) / 1e9);
+
+            try {
+                let status;
+                const response = await this.send(url, method, body, { ...options, onStatus: (received) => { status = received; } });
+                observe(status);
+                await audit('success', attempt + 1);
+                return response;
+            } catch (error) {
+                observe(error.status || error.code || 'error');
+                const delay = attempt < this.maxRetries ? getRetryDelay(error, method, attempt) : null;
+
+                if (delay === null) {
+                    log.error('Sumsub API request failed', {
+                        tenant: this.name,
+                        method,
+                        path: url,
+                        attempts: attempt + 1,
+                        error
+                    });
+                    await audit('failed', attempt + 1, error);
+                    throw error;
+                }
+
+                // Hold back every caller, not just this one, while Sumsub is throttling us
+                if (error.status === 429) {
+                    this.rateLimiter.pause(delay);
+                }
+
+                log.warn('Sumsub request failed, retrying', {
+                    tenant: this.name,
+                    method,
+                    path: url,
+                    error: error.message,
+                    retry: attempt + 1,
+                    maxRetries: this.maxRetries,
+                    delayMs: Math.round(delay)
+                });
+                await sleep(delay);
+            }
+        }
     }
-}
 
-async function getWebSDKLink(levelName, userId, options = {}) {
-    const url = `/resources/sdkIntegrations/levels/${encodeURIComponent(levelName)}/websdkLink`;
-    const requestBody = {
-        externalUserId: userId,
-        ...options
-    };
-
-    console.log(`Creating WebSDK link for ${userId} with level ${levelName}`);
-    const response = await sumsubRequest(url, 'POST', requestBody);
-
-    // Cache the verification URL
-    verificationCache.set(userId, {
-        url: response.url,
-        createdAt: new Date(),
-        levelName,
-        status: 'pending'
-    });
-
-    return response;
-}
+    // Links are always issued with a TTL (WEBSDK_LINK_TTL_SECONDS unless
+    // options.ttlInSecs says otherwise) and cached for exactly that long
+    async getWebSDKLink(levelName, userId, options = {}) {
+        const url = `/resources/sdkIntegrations/levels/${encodeURIComponent(levelName)}/websdkLink`;
+        const ttlInSecs = options.ttlInSecs ?? config.WEBSDK_LINK_TTL_SECONDS;
+        const requestBody = {
+            externalUserId: userId,
+            ...options,
+            ttlInSecs
+        };
 
-async function resetUserProfile(userId) {
-    if (!userId) {
-        throw new Error('User ID is required for profile reset');
+        log.info('Creating WebSDK link', { tenant: this.name, userId, levelName, ttlInSecs });
+        const response = await this.request(url, 'POST', requestBody);
+        incrementCounter('websdk_links_total', { tenant: this.name, result: 'created' });
+
+        const issuedAt = Date.now();
+        const expiresAt = new Date(issuedAt + ttlInSecs * 1000).toISOString();
+        await getVerificationCache().set(this.cacheKey(userId), {
+            url: response.url,
+            createdAt: new Date(issuedAt).toISOString(),
+            expiresAt,
+            levelName,
+            status: 'pending'
+        }, ttlInSecs * 1000);
+
+        return { ...response, expiresAt };
     }
 
-    const url = `/resources/applicants/${encodeURIComponent(userId)}/reset`;
-    const response = await sumsubRequest(url, 'POST');
+    // The cached link for this applicant and level, if it stays valid for at
+    // least WEBSDK_LINK_MIN_REMAINING_SECONDS. A webhook or reset replaces the
+    // cache entry, so a link is never reused past a status change.
+    async getReusableLink(userId, levelName) {
+        const cached = await getVerificationCache().get(this.cacheKey(userId));
+        if (!cached?.url || !cached.expiresAt || cached.levelName !== levelName) {
+            return null;
+        }
 
-    // Clear cache for this user
-    verificationCache.delete(userId);
+        const remainingMs = Date.parse(cached.expiresAt) - Date.now();
+        return remainingMs >= config.WEBSDK_LINK_MIN_REMAINING_SECONDS * 1000
+            ? { url: cached.url, expiresAt: cached.expiresAt }
+            : null;
+    }
 
-    return response;
-}
+    // Resolves to { url, expiresAt, reused }. `beforeIssue` runs only when a
+    // new link is about to be created, not when a cached one is reused.
+    async issueWebSDKLink(userId, levelName = 'kyc_verification', { beforeIssue } = {}) {
+        const externalUserId = `user_${userId}`;
 
-async function checkUserStatus(userId) {
-    const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/one`;
-    const response = await sumsubRequest(url, 'GET');
+        const reusable = await this.getReusableLink(externalUserId, levelName);
+        if (reusable) {
+            incrementCounter('websdk_links_total', { tenant: this.name, result: 'reused' });
+            log.info('Reusing WebSDK link', { tenant: this.name, userId: externalUserId, levelName });
+            return { ...reusable, reused: true };
+        }
 
-    // Update cache with latest status
-    if (verificationCache.has(userId)) {
-        verificationCache.set(userId, {
-            ...verificationCache.get(userId),
-            status: response.reviewStatus || 'unknown',
-            lastChecked: new Date()
+        await beforeIssue?.();
+        const { url, expiresAt } = await this.getWebSDKLink(levelName, externalUserId, {
+            lang: 'en',
+            fixedFlow: true
         });
+        return { url, expiresAt, reused: false };
     }
 
-    return response;
-}
+    // Takes the Django user ID and, like issueWebSDKLink, acts on user_<id>
+    async createAccessToken(userId, levelName = 'kyc_verification', ttlInSecs = 600) {
+        if (!userId) {
+            throw new Error('User ID is required for access token generation');
+        }
 
-async function getApplicantDocs(userId) {
-    const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/requiredIdDocsStatus`;
-    return await sumsubRequest(url, 'GET');
-}
+        const externalUserId = `user_${userId}`;
+        const params = new URLSearchParams({
+            userId: externalUserId,
+            levelName,
+            ttlInSecs: String(ttlInSecs)
+        });
+        const url = `/resources/accessTokens?${params}`;
+
+        log.info('Creating SDK access token', { tenant: this.name, userId: externalUserId, levelName });
+        const response = await this.request(url, 'POST');
+
+        // Record what was issued alongside any WebSDK link entry, never the token itself
+        const cache = getVerificationCache();
+        const key = this.cacheKey(externalUserId);
+        const issuedAt = Date.now();
+        const expiresAt = new Date(issuedAt + ttlInSecs * 1000).toISOString();
+        const cached = await cache.get(key);
+        await cache.set(key, {
+            status: 'pending',
+            ...cached,
+            accessToken: {
+                levelName,
+                issuedAt: new Date(issuedAt).toISOString(),
+                expiresAt
+            }
+        }, remainingTtlMs(cached));
 
-async function verifyWebhookSignature(rawBody, receivedSignature, webhookSecret = SUMSUB_WEBHOOK_SECRET) {
-    if (!webhookSecret) {
-        console.warn('⚠️ Webhook verification skipped - no secret key set');
-        return true;
+        return { ...response, expiresAt };
     }
 
-    if (!receivedSignature) {
-        console.error('⚠️ Missing x-payload-digest header');
-        throw new Error('Missing x-payload-digest header');
+    async resetUserProfile(userId) {
+        if (!userId) {
+            throw new Error('User ID is required for profile reset');
+        }
+
+        // The reset endpoint is addressed by Sumsub's applicant ID, not ours
+        const applicant = await this.checkUserStatus(userId);
+        const url = `/resources/applicants/${encodeURIComponent(applicant.id)}/reset`;
+        const response = await this.request(url, 'POST');
+
+        // Clear cache for this user
+        await invalidateVerification(this.cacheKey(userId));
+
+        return response;
     }
 
-    try {
-        const payload = rawBody.toString();
-        const computedDigest = crypto
-            .createHmac('sha256', webhookSecret)
-            .update(payload)
-            .digest('hex');
-
-        // Secure comparison
-        const receivedBuffer = Buffer.from(receivedSignature, 'utf8');
-        const computedBuffer = Buffer.from(computedDigest, 'utf8');
-
-        if (receivedBuffer.length !== computedBuffer.length ||
-            !crypto.timingSafeEqual(receivedBuffer, computedBuffer)) {
-            console.error(`Signature verification failed:
-                Received: ${receivedSignature}
-                Computed: ${computedDigest}
-            `);
-            throw new Error('Invalid webhook signature');
+    async checkUserStatus(userId) {
+        const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/one`;
+        const response = await this.request(url, 'GET');
+
+        // Update cache with latest status
+        const cache = getVerificationCache();
+        const key = this.cacheKey(userId);
+        const cached = await cache.get(key);
+        if (cached) {
+            await cache.set(key, {
+                ...cached,
+                status: response.reviewStatus || 'unknown',
+                lastChecked: new Date().toISOString()
+            }, remainingTtlMs(cached));
         }
 
-        return true;
-    } catch (error) {
-        console.error('Error during signature verification:', error);
-        throw error;
+        return response;
     }
-}
 
+    // Everything Sumsub holds on the applicant (info, documents, review), for data
+    // export; unlike checkUserStatus this leaves the cache alone
+    async getApplicantData(userId) {
+        const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/one`;
+        return await this.request(url, 'GET');
+    }
 
-async function handleWebhookEvent(event) {
-    console.log('Processing SumSub webhook event:', {
-        type: event.type,
-        applicantId: event.applicantId,
-        timestamp: new Date().toISOString()
-    });
-
-    const { type, applicantId, reviewResult = {}, inspectionId } = event;
-    const externalUserId = applicantId.includes(';externalUserId=')
-        ? applicantId.split(';externalUserId=')[1]
-        : applicantId;
-
-    // Enhanced payload construction
-    const webhookPayload = {
-        // Core identification fields
-        type,
-        applicantId,
-        externalUserId,
-        inspectionId,
-
-        // Status information
-        reviewStatus: reviewResult?.reviewStatus || 'pending',
-        reviewResult,
-
-        // Additional metadata
-        levelName: reviewResult?.levelName || 'kyc_verification',
-        createdAt: new Date().toISOString(),
-
-        // Original event for debugging
-        originalEvent: event
-    };
-
-    try {
-        console.log('Forwarding webhook to Django with payload:', {
-            type: webhookPayload.type,
-            applicantId: webhookPayload.applicantId,
-            reviewStatus: webhookPayload.reviewStatus
+    // Every image uploaded for the applicant, addressed by Sumsub's applicant ID
+    async getInspectionDocuments(applicantId) {
+        const url = `/resources/applicants/${encodeURIComponent(applicantId)}/metadata/resources`;
+        const response = await this.request(url, 'GET');
+        return response.items || [];
+    }
+
+    // Resolves to { buffer, contentType }
+    async getDocumentImage(inspectionId, imageId) {
+        const url = `/resources/inspections/${encodeURIComponent(inspectionId)}/resources/${encodeURIComponent(imageId)}`;
+        return await this.request(url, 'GET', null, { binary: true });
+    }
+
+    // Permanently removes the applicant and its documents from Sumsub
+    async deleteApplicant(userId) {
+        if (!userId) {
+            throw new Error('User ID is required for applicant deletion');
+        }
+
+        const applicant = await this.getApplicantData(userId);
+        await this.request(`/resources/applicants/${encodeURIComponent(applicant.id)}`, 'DELETE');
+
+        await invalidateVerification(this.cacheKey(userId));
+        log.info('Deleted applicant', { tenant: this.name, userId, applicantId: applicant.id });
+        return { applicantId: applicant.id };
+    }
+
+    async getApplicantDocs(userId) {
+        const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/requiredIdDocsStatus`;
+        return await this.request(url, 'GET');
+    }
+
+    // file: { buffer, filename, mimeType }
+    // metadata: { idDocType, country, side ('front' | 'back') or idDocSubType, ...other Sumsub idDoc fields }
+    async addIdDocument(userId, file, metadata = {}) {
+        if (!userId) {
+            throw new Error('User ID is required for document upload');
+        }
+        if (!file?.buffer?.length) {
+            throw new Error('Document file is required');
+        }
+
+        const { idDocType, country, side, idDocSubType, ...details } = metadata;
+        if (!idDocType || !country) {
+            throw new Error('idDocType and country are required for document upload');
+        }
+        if (side && !DOCUMENT_SIDES[side]) {
+            throw new Error(`Invalid document side: ${side}`);
+        }
+
+        // The idDoc endpoint is addressed by Sumsub's applicant ID, not ours
+        const applicant = await this.checkUserStatus(userId);
+
+        const form = new FormData();
+        form.append('metadata', JSON.stringify({
+            ...details,
+            idDocType,
+            idDocSubType: idDocSubType || DOCUMENT_SIDES[side],
+            country
+        }));
+        form.append('content', file.buffer, {
+            filename: file.filename || 'document',
+            contentType: file.mimeType
         });
 
-        const response = await axios.post(
-            `${DJANGO_API_BASE_URL}/kyc/webhook/sumsub/`, // Uses the env variable
-            webhookPayload,
-
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.DJANGO_SERVICE_TOKEN}`,
-                    'Content-Type': 'application/json',
-                    'X-Webhook-Source': 'sumsub-node-proxy'
-                },
-                timeout: 40000 // 40 seconds timeout
+        log.info('Uploading document', { tenant: this.name, userId, idDocType });
+        const url = `/resources/applicants/${encodeURIComponent(applicant.id)}/info/idDoc`;
+        return await this.request(url, 'POST', form);
+    }
+
+    // Move an existing applicant to another level, e.g. to ask for more checks
+    async changeApplicantLevel(userId, levelName) {
+        if (!userId || !levelName) {
+            throw new Error('User ID and level name are required to change level');
+        }
+
+        const applicant = await this.checkUserStatus(userId);
+        const url = `/resources/applicants/${encodeURIComponent(applicant.id)}/moveToLevel?name=${encodeURIComponent(levelName)}`;
+        const response = await this.request(url, 'POST');
+
+        // The cached status belongs to the old level
+        await invalidateVerification(this.cacheKey(userId));
+        log.info('Moved applicant to level', { tenant: this.name, userId, levelName });
+        return response;
+    }
+
+    // Levels configured for this app in the Sumsub dashboard
+    async listLevels() {
+        const response = await this.request('/resources/applicants/-/levels', 'GET');
+        return response.list?.items || response.items || [];
+    }
+
+    // A single signed request, without retries or an audit record, for health
+    // checks: proves Sumsub is reachable and accepts this app's credentials
+    async checkConnectivity({ timeoutMs } = {}) {
+        await this.rateLimiter.take();
+        const startedAt = Date.now();
+        await this.send('/resources/applicants/-/levels', 'GET', null, { timeoutMs });
+        return { latencyMs: Date.now() - startedAt };
+    }
+
+    // options: { algorithm: the X-Payload-Digest-Alg header, secrets: defaults
+    // to this app's }. Resolves to { verified, algorithm, keyId }.
+    async verifyWebhookSignature(rawBody, receivedSignature, options = {}) {
+        // A bare secret, or list of them, is still accepted in place of options
+        const { algorithm, secrets = this.webhookSecrets } = typeof options === 'string' || Array.isArray(options)
+            ? { secrets: parseWebhookSecrets(options) }
+            : options;
+
+        if (!secrets.length) {
+            if (!isInsecureDevMode()) {
+                throw new Error(`Webhook secret is not configured for tenant ${this.name}`);
             }
-        );
+            log.warn('Webhook verification skipped: insecure dev mode and no secret set', { tenant: this.name });
+            incrementCounter('sumsub_webhook_signature_total', { tenant: this.name, algorithm: 'none', key: 'none', result: 'skipped' });
+            return { verified: false, algorithm: null, keyId: null };
+        }
 
-        console.log('Webhook forwarded successfully. Django response:', {
-            status: response.status,
-            data: response.data
+        try {
+            const result = verifyPayloadDigest(rawBody.toString(), receivedSignature, { algorithm: algorithm || undefined, secrets });
+            incrementCounter('sumsub_webhook_signature_total', { tenant: this.name, algorithm: result.algorithm, key: result.keyId, result: 'valid' });
+            return { verified: true, ...result };
+        } catch (error) {
+            incrementCounter('sumsub_webhook_signature_total', { tenant: this.name, algorithm: algorithm || 'default', key: 'none', result: 'invalid' });
+            log.error('Webhook signature verification failed', { tenant: this.name, error: error.message });
+            throw error;
+        }
+    }
+
+    async handleWebhookEvent(event) {
+        log.info('Processing Sumsub webhook event', {
+            tenant: this.name,
+            type: event.type,
+            applicantId: event.applicantId
         });
 
-        // Cache verification data with enhanced structure
-        const verificationData = {
-            ...webhookPayload,
-            djangoResponse: response.data,
-            processedAt: new Date().toISOString()
+        const { type, applicantId, reviewResult = {}, inspectionId } = event;
+        const review = interpretReview(event);
+        const externalUserId = event.externalUserId || (applicantId.includes(';externalUserId=')
+            ? applicantId.split(';externalUserId=')[1]
+            : applicantId);
+        const cacheKey = this.cacheKey(externalUserId);
+
+        // Whatever we had cached for this user is stale as of this event
+        await invalidateVerification(cacheKey);
+
+        // Enhanced payload construction
+        const webhookPayload = {
+            // Core identification fields
+            type,
+            tenant: this.name,
+            applicantId,
+            externalUserId,
+            inspectionId,
+
+            // Status information
+            reviewStatus: review.reviewStatus,
+            reviewAnswer: review.reviewAnswer,
+            reviewOutcome: review.outcome,
+            reviewResult,
+
+            // Additional metadata
+            levelName: event.levelName || 'kyc_verification',
+            createdAt: new Date().toISOString(),
+
+            // Original event for debugging
+            originalEvent: event
         };
 
-        verificationCache.set(externalUserId, verificationData);
-        console.log(`Cached verification data for ${externalUserId}`);
+        // The Sumsub decision stands whether or not Django has it yet, so
+        // subscribed browsers hear about it right away
+        trackReviewOutcome(cacheKey, webhookPayload.levelName, review.outcome);
+        publishStatusChange(cacheKey, normalizeStatus({ ...webhookPayload, processedAt: webhookPayload.createdAt }, externalUserId));
+
+        // Django and any other subscribers are notified in the background,
+        // once each delivery is saved to the outbox; failed deliveries stay
+        // queued per subscriber and are retried
+        const deliveries = await dispatchWebhook(webhookPayload, { source: 'handleWebhookEvent' });
+
+        try {
+            const verificationData = {
+                ...webhookPayload,
+                processedAt: new Date().toISOString()
+            };
+
+            await getVerificationCache().set(cacheKey, verificationData);
+            log.debug('Cached verification data', { tenant: this.name, externalUserId });
+
+            // Run the handlers registered for this event type
+            await processWebhookEvent(event, {
+                externalUserId,
+                tenant: this.name,
+                client: this,
+                review
+            });
+
+            return {
+                status: 'processed',
+                deliveries,
+                verificationData
+            };
+
+        } catch (error) {
+            const errorDetails = {
+                message: error.message,
+                stack: error.stack,
+                response: error.response?.data,
+                payload: webhookPayload,
+                timestamp: new Date().toISOString()
+            };
+
+            // The payload stays on the thrown error; the log only says which event failed
+            log.error('Webhook processing failed', {
+                tenant: this.name,
+                type,
+                externalUserId,
+                error,
+                response: error.response?.data
+            });
+
+            // Throw enriched error
+            const processingError = new Error(`Webhook processing failed: ${error.message}`);
+            processingError.details = errorDetails;
+            throw processingError;
+        }
+    }
 
-        // Enhanced event processing with better logging
-        await processWebhookEvent(type, externalUserId, reviewResult?.reviewStatus, event);
+    async generate(userId, levelName = 'kyc_verification') {
+        try {
+            const { url } = await this.issueWebSDKLink(userId, levelName);
+            return url;
+        } catch (error) {
+            log.error('Error generating verification link', { tenant: this.name, userId, error });
+            throw error;
+        }
+    }
 
-        return {
-            status: 'processed',
-            djangoResponse: response.data,
-            verificationData
-        };
+    async reGenerate(userId, levelName = 'kyc_verification') {
+        try {
+            if (!userId) {
+                throw new Error('User ID is required for regeneration');
+            }
 
-    } catch (error) {
-        const errorDetails = {
-            message: error.message,
-            stack: error.stack,
-            response: error.response?.data,
-            payload: webhookPayload,
-            timestamp: new Date().toISOString()
-        };
+            log.info('Regenerating verification', { tenant: this.name, userId });
 
-        console.error('Webhook processing failed:', errorDetails);
+            await this.resetUserProfile(userId);
 
-        // Enhanced failed webhook storage
-        await storeFailedWebhook({
-            ...webhookPayload,
-            error: errorDetails,
-            retryCount: 0
-        });
+            const response = await this.getWebSDKLink(levelName, userId);
+            return response.url;
+        } catch (error) {
+            log.error('Error regenerating verification link', { tenant: this.name, userId, error });
+            throw error;
+        }
+    }
 
-        // Throw enriched error
-        const processingError = new Error(`Webhook processing failed: ${error.message}`);
-        processingError.details = errorDetails;
-        throw processingError;
+    async getVerificationStatus(userId) {
+        // An entry holding only access-token metadata doesn't know the review status
+        const cached = await getVerificationCache().get(this.cacheKey(userId));
+        if (cached?.reviewStatus) {
+            incrementCounter('verification_cache_lookups_total', { cache: 'verifications', result: 'hit' });
+            return cached;
+        }
+        incrementCounter('verification_cache_lookups_total', { cache: 'verifications', result: 'miss' });
+        return await this.checkUserStatus(userId);
+    }
+
+    async getVerificationHistory(userId) {
+        const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/status`;
+        return await this.request(url, 'GET');
     }
 }
 
-// Extracted event processor for better organization
-async function processWebhookEvent(type, externalUserId, reviewStatus, originalEvent) {
-    const logPrefix = `[${type.toUpperCase()}] ${externalUserId}`;
+// The app configured through SUMSUB_* variables; backs the function exports below
+const defaultClient = new SumsubClient({
+    appToken: config.SUMSUB_APP_TOKEN,
+    secretKey: config.SUMSUB_SECRET_KEY,
+    baseUrl: config.SUMSUB_BASE_URL,
+    webhookSecret: config.SUMSUB_WEBHOOK_SECRET
+});
 
-    try {
-        console.log(`${logPrefix} - Processing event`);
+function getDefaultClient() {
+    return defaultClient;
+}
 
-        switch (type) {
-            case 'applicantReviewed':
-                console.log(`${logPrefix} - Review status: ${reviewStatus}`);
+function generate(userId, levelName) {
+    return defaultClient.generate(userId, levelName);
+}
 
-                if (reviewStatus === 'completed') {
-                    await handleCompletedVerification(externalUserId, originalEvent);
-                } else if (reviewStatus === 'rejected') {
-                    await handleRejectedVerification(externalUserId, originalEvent);
-                }
-                break;
-
-            case 'applicantPending':
-                console.log(`${logPrefix} - Verification pending`);
-                await handlePendingVerification(externalUserId, originalEvent);
-                break;
-
-            case 'applicantCreated':
-                console.log(`${logPrefix} - New applicant created`);
-                await handleNewApplicant(externalUserId, originalEvent);
-                break;
-
-            case 'applicantOnHold':
-                console.log(`${logPrefix} - Verification on hold`);
-                await handleOnHoldVerification(externalUserId, originalEvent);
-                break;
-
-            default:
-                console.warn(`${logPrefix} - Unhandled event type`);
-                await handleUnknownEvent(type, externalUserId, originalEvent);
-        }
+function reGenerate(userId, levelName) {
+    return defaultClient.reGenerate(userId, levelName);
+}
 
-        console.log(`${logPrefix} - Event processed successfully`);
-    } catch (error) {
-        console.error(`${logPrefix} - Event processing failed:`, error);
-        throw error;
-    }
+function createAccessToken(userId, levelName, ttlInSecs) {
+    return defaultClient.createAccessToken(userId, levelName, ttlInSecs);
 }
 
-async function handleCompletedVerification(userId, event) {
-    console.log(`Handling completed verification for ${userId}`);
+function verifyWebhookSignature(rawBody, receivedSignature, options) {
+    return defaultClient.verifyWebhookSignature(rawBody, receivedSignature, options);
 }
 
-async function handleRejectedVerification(userId, event) {
-    console.log(`Handling rejected verification for ${userId}`);
-    const reasons = event.reviewResult?.rejectLabels?.join(', ') || 'unknown';
-    console.log(`Rejection reasons: ${reasons}`);
+function handleWebhookEvent(event) {
+    return defaultClient.handleWebhookEvent(event);
 }
 
-async function handleNewApplicant(userId, event) {
-    try {
-        const response = await axios.post(
-            `${DJANGO_API_BASE_URL}/kyc/verifications/initiate/`,
-            { /* payload */ },
-            {
-                headers: {
-                    'Authorization': `Bearer ${process.env.DJANGO_SERVICE_TOKEN}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
-        
-        if (response.status === 401) {
-            throw new Error('Invalid Django service token - check .env configuration');
-        }
-        
-        return response.data;
-    } catch (error) {
-        console.error(`Auth failed for ${userId}:`, {
-            error: error.message,
-            status: error.response?.status,
-            data: error.response?.data
-        });
-        throw error;
-    }
+function checkUserStatus(userId) {
+    return defaultClient.checkUserStatus(userId);
 }
-async function storeFailedWebhook(failedWebhook) {
-    console.warn('Storing failed webhook for retry:', {
-        type: failedWebhook.type,
-        applicantId: failedWebhook.applicantId,
-        timestamp: failedWebhook.timestamp
-    });
-
-    return { status: 'logged', webhook: failedWebhook };
+
+function resetUserProfile(userId) {
+    return defaultClient.resetUserProfile(userId);
 }
 
+function getApplicantDocs(userId) {
+    return defaultClient.getApplicantDocs(userId);
+}
 
-async function generate(userId, levelName = 'kyc_verification') {
-    try {
-        const externalUserId = `user_${userId}`;
-        
-        const response = await getWebSDKLink(levelName, externalUserId, {
-            lang: 'en',
-            fixedFlow: true
-        });
-        return response.url;
-    } catch (error) {
-        console.error("Error generating verification link:", error);
-        throw error;
-    }
+function getApplicantData(userId) {
+    return defaultClient.getApplicantData(userId);
 }
 
-async function reGenerate(userId, levelName = 'kyc_verification') {
-    try {
-        if (!userId) {
-            throw new Error('User ID is required for regeneration');
-        }
+function getInspectionDocuments(applicantId) {
+    return defaultClient.getInspectionDocuments(applicantId);
+}
 
-        console.log(`Attempting to regenerate verification for user: ${userId}`);
+function getDocumentImage(inspectionId, imageId) {
+    return defaultClient.getDocumentImage(inspectionId, imageId);
+}
 
-        await resetUserProfile(userId);
+function deleteApplicant(userId) {
+    return defaultClient.deleteApplicant(userId);
+}
 
-        const response = await getWebSDKLink(levelName, userId);
-        return response.url;
-    } catch (error) {
-        console.error("Error regenerating verification link:", error);
-        throw error;
-    }
+function addIdDocument(userId, file, metadata) {
+    return defaultClient.addIdDocument(userId, file, metadata);
 }
 
-async function getVerificationStatus(userId) {
-    if (verificationCache.has(userId)) {
-        return verificationCache.get(userId);
-    }
-    return await checkUserStatus(userId);
+function changeApplicantLevel(userId, levelName) {
+    return defaultClient.changeApplicantLevel(userId, levelName);
+}
+
+function listLevels() {
+    return defaultClient.listLevels();
+}
+
+function getVerificationStatus(userId) {
+    return defaultClient.getVerificationStatus(userId);
 }
 
-async function getVerificationHistory(userId) {
-    const url = `/resources/applicants/-;externalUserId=${encodeURIComponent(userId)}/status`;
-    return await sumsubRequest(url, 'GET');
+function getVerificationHistory(userId) {
+    return defaultClient.getVerificationHistory(userId);
 }
 
 export {
+    SumsubClient,
+    getDefaultClient,
     generate,
     reGenerate,
+    createAccessToken,
     verifyWebhookSignature,
     handleWebhookEvent,
     checkUserStatus,
     resetUserProfile,
     getApplicantDocs,
+    getApplicantData,
+    getInspectionDocuments,
+    getDocumentImage,
+    deleteApplicant,
+    addIdDocument,
+    changeApplicantLevel,
+    listLevels,
     getVerificationStatus,
-    getVerificationHistory
-};
\ No newline at end of file
+    getVerificationHistory,
+    forgetReviewOutcome,
+    endpointLabel
+};
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { recordAudit } from './auditLog.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// A caller may use the admin routes if Django's token validation reports one
+// of these roles, a staff/superuser flag, or the required permission.
+const ADMIN_ROLES = getConfig().ADMIN_ROLES;
+const ADMIN_PERMISSION = getConfig().ADMIN_PERMISSION;
+const ADMIN_ACCESS_LOG_FILE = getConfig().ADMIN_ACCESS_LOG_FILE;
+const ERASE_ROLES = getConfig().ADMIN_ERASE_ROLES;
+const ERASE_PERMISSION = getConfig().ADMIN_ERASE_PERMISSION;
+
+function hasAdminScope(user, { roles = ADMIN_ROLES, permission = ADMIN_PERMISSION } = {}) {
+    if (!user) return false;
+    if (user.is_superuser || user.is_staff) return true;
+
+    const userRoles = [user.role, ...(user.roles || [])].filter(Boolean);
+    if (userRoles.some(role => roles.includes(role))) return true;
+
+    return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+// Must run after authenticateUser, which sets req.user
+function authorizeAdmin(req, res, next) {
+    if (!hasAdminScope(req.user)) {
+        logger.warn('Admin access denied', {
+            userId: req.user?.id,
+            method: req.method,
+            path: req.originalUrl
+        });
+        return res.status(403).json({
+            error: 'Forbidden',
+            details: 'Admin role or permission required'
+        });
+    }
+    next();
+}
+
+// Erasure can't be undone, so viewing rights aren't enough: it takes a
+// superuser, one of ADMIN_ERASE_ROLES or ADMIN_ERASE_PERMISSION
+function hasEraseScope(user, { roles = ERASE_ROLES, permission = ERASE_PERMISSION } = {}) {
+    if (!user) return false;
+    if (user.is_superuser) return true;
+
+    const userRoles = [user.role, ...(user.roles || [])].filter(Boolean);
+    if (userRoles.some(role => roles.includes(role))) return true;
+
+    return Array.isArray(user.permissions) && user.permissions.includes(permission);
+}
+
+// For routes under /admin, after authorizeAdmin
+function authorizeErase(req, res, next) {
+    if (!hasEraseScope(req.user)) {
+        logger.warn('Erasure denied', {
+            userId: req.user?.id,
+            method: req.method,
+            path: req.originalUrl
+        });
+        return res.status(403).json({
+            error: 'Forbidden',
+            details: 'Erase role or permission required'
+        });
+    }
+    next();
+}
+
+async function writeAdminAccessLog(entry, file = ADMIN_ACCESS_LOG_FILE) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+}
+
+// The user whose verification data an admin request reads, if any, as the
+// user_<id> external user ID the other audit records use. Admin routes take
+// the Django user ID, with or without a /tenants/:tenant prefix.
+function getAdminSubject(url) {
+    const match = url.split('?')[0]
+        .replace(/^\/tenants\/[^/]+/, '')
+        .match(/^\/admin\/verifications\/([^/]+)/);
+    return match ? `user_${decodeURIComponent(match[1])}` : null;
+}
+
+// Record every admin request, with the caller's identity, once it completes
+function logAdminAccess(req, res, next) {
+    const startedAt = new Date();
+
+    res.on('finish', () => {
+        recordAudit('admin.access', {
+            userId: getAdminSubject(req.originalUrl),
+            actor: req.user?.id ?? null,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode
+        });
+
+        writeAdminAccessLog({
+            timestamp: startedAt.toISOString(),
+            userId: req.user?.id,
+            email: req.user?.email,
+            role: req.user?.role,
+            method: req.method,
+            path: req.originalUrl,
+            status: res.statusCode,
+            ip: req.ip
+        }).catch(error => logger.error('Failed to write admin access log', { error }));
+    });
+
+    next();
+}
+
+export {
+    hasAdminScope,
+    authorizeAdmin,
+    hasEraseScope,
+    authorizeErase,
+    logAdminAccess,
+    writeAdminAccessLog
+};
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import path from 'path';
+import { getDeadLetterStore } from './deadLetterStore.js';
+import { invalidateVerification } from './verificationCache.js';
+import { clearStatusChanges } from './statusStream.js';
+import { forgetReviewOutcome } from './SumsubApiClient.js';
+import { recordAudit } from './auditLog.js';
+import { getRequestContext } from './requestContext.js';
+import { createTarGz } from './tarArchive.js';
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'applicantPrivacy' });
+
+// Data subject requests (GDPR access and erasure) for one applicant:
+//   collectApplicantData + bundleApplicantExport - everything Sumsub holds, as
+//     a .tar.gz with a manifest.json listing each file and its SHA-256
+//   eraseApplicantData - delete the applicant in Sumsub and drop the proxy's
+//     own copies (verification cache, dead-lettered webhooks, buffered live
+//     status events, the review outcome metric)
+// The audit trail is kept, since the hash chain must stay intact. Its records
+// name the user and applicant, and carry review decisions and payload
+// digests, but not the webhook payloads or review comments themselves.
+
+const EXPORT_FORMAT = 'sumsub-applicant-export/1';
+
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/heic': '.heic',
+    'image/webp': '.webp',
+    'application/pdf': '.pdf',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm'
+};
+
+function sha256(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Named after the image ID; the uploaded file name only supplies the extension
+function documentPath(item, contentType) {
+    const id = String(item.id).replace(/[^\w.-]/g, '_');
+    const fromName = path.extname(item.fileMetadata?.fileName || '').toLowerCase();
+    const extension = /^\.[a-z0-9]{1,5}$/.test(fromName)
+        ? fromName
+        : EXTENSIONS[contentType?.split(';')[0].trim()] || '.bin';
+    return `documents/${id}${extension}`;
+}
+
+// Images are fetched one at a time so an export doesn't eat the rate limit
+async function collectApplicantData(client, externalUserId) {
+    const applicant = await client.getApplicantData(externalUserId);
+    const documents = await client.getInspectionDocuments(applicant.id);
+
+    const images = [];
+    for (const item of documents) {
+        images.push({ item, ...await client.getDocumentImage(applicant.inspectionId, item.id) });
+    }
+
+    return { tenant: client.name, externalUserId, applicant, documents, images };
+}
+
+// Resolves to { manifest, archive } where archive is the .tar.gz Buffer
+function bundleApplicantExport({ tenant, externalUserId, applicant, documents, images }) {
+    const files = [
+        { path: 'applicant.json', contentType: 'application/json', content: JSON.stringify(applicant, null, 2) },
+        { path: 'documents.json', contentType: 'application/json', content: JSON.stringify(documents, null, 2) },
+        ...images.map(({ item, buffer, contentType }) => ({
+            path: documentPath(item, contentType),
+            contentType,
+            imageId: item.id,
+            idDocType: item.idDocDef?.idDocType,
+            idDocSubType: item.idDocDef?.idDocSubType,
+            country: item.idDocDef?.country,
+            content: buffer
+        }))
+    ];
+
+    const manifest = {
+        format: EXPORT_FORMAT,
+        generatedAt: new Date().toISOString(),
+        tenant,
+        externalUserId,
+        applicantId: applicant.id,
+        inspectionId: applicant.inspectionId,
+        files: files.map(({ content, ...file }) => ({
+            ...file,
+            size: Buffer.byteLength(content),
+            sha256: sha256(content)
+        }))
+    };
+
+    const archive = createTarGz([
+        { path: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+        ...files
+    ]);
+
+    recordAudit('applicant.exported', {
+        userId: externalUserId,
+        actor: getRequestContext().actor,
+        tenant,
+        applicantId: applicant.id,
+        files: files.length,
+        sha256: sha256(archive)
+    });
+
+    return { manifest, archive };
+}
+
+// An applicant Sumsub no longer knows is still cleared locally, so a retried
+// erasure finishes the job
+async function eraseApplicantData(client, externalUserId) {
+    let applicantId = null;
+    let sumsub = 'deleted';
+
+    try {
+        ({ applicantId } = await client.deleteApplicant(externalUserId));
+    } catch (error) {
+        if (error.status !== 404) throw error;
+        sumsub = 'not_found';
+    }
+
+    await invalidateVerification(client.cacheKey(externalUserId));
+    clearStatusChanges(client.cacheKey(externalUserId));
+    forgetReviewOutcome(client.cacheKey(externalUserId));
+
+    const store = getDeadLetterStore();
+    let deadLettersRemoved = 0;
+    for (const entry of await store.list()) {
+        const matches = entry.payload?.externalUserId === externalUserId ||
+            (applicantId && entry.applicantId === applicantId);
+        if (matches && await store.remove(entry.id)) {
+            deadLettersRemoved++;
+        }
+    }
+
+    const result = { externalUserId, applicantId, sumsub, deadLettersRemoved };
+    log.info('Erased applicant data', { tenant: client.name, ...result });
+    await recordAudit('applicant.erased', {
+        userId: externalUserId,
+        actor: getRequestContext().actor,
+        tenant: client.name,
+        applicantId,
+        sumsub,
+        deadLettersRemoved
+    });
+
+    return result;
+}
+
+export {
+    collectApplicantData,
+    bundleApplicantExport,
+    eraseApplicantData
+};
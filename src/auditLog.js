@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// Append-only compliance audit trail. Each line is a JSON record carrying a
+// sequence number and the hash of the previous record, so an edited, removed
+// or reordered line breaks the chain. With AUDIT_LOG_HMAC_KEY set the hashes
+// are keyed, and the chain can't be recomputed by someone without the key.
+//
+// A log file must have a single writer; give each proxy instance its own file.
+
+const AUDIT_LOG_FILE = getConfig().AUDIT_LOG_FILE;
+const GENESIS_HASH = '0'.repeat(64);
+
+function hashRecord(record, key = getConfig().AUDIT_LOG_HMAC_KEY) {
+    const hash = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+    return hash.update(JSON.stringify(record)).digest('hex');
+}
+
+function parseLines(content) {
+    return content.split('\n').filter(Boolean);
+}
+
+function createAuditLog(file = AUDIT_LOG_FILE) {
+    let state = null;
+    let queue = Promise.resolve();
+
+    async function loadState() {
+        let content = '';
+        try {
+            content = await fs.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const lines = parseLines(content);
+        if (!lines.length) {
+            return { seq: 0, hash: GENESIS_HASH };
+        }
+
+        const last = JSON.parse(lines.at(-1));
+        return { seq: last.seq, hash: last.hash };
+    }
+
+    async function append(event, { userId = null, actor = null, ...data } = {}) {
+        if (!state) {
+            state = await loadState();
+            await fs.mkdir(path.dirname(file), { recursive: true });
+        }
+
+        const record = {
+            seq: state.seq + 1,
+            timestamp: new Date().toISOString(),
+            event,
+            userId,
+            actor,
+            data,
+            prevHash: state.hash
+        };
+        const hash = hashRecord(record);
+
+        await fs.appendFile(file, `${JSON.stringify({ ...record, hash })}\n`);
+        state = { seq: record.seq, hash };
+        return { ...record, hash };
+    }
+
+    return {
+        file,
+
+        // Writes are serialized so the chain stays linear under concurrency
+        record(event, details) {
+            const result = queue.then(() => append(event, details));
+            queue = result.catch(() => {});
+            return result;
+        }
+    };
+}
+
+// Check the whole chain. Reports every record whose sequence number doesn't
+// follow its predecessor (gaps, removed or reordered lines) and every record
+// whose hash doesn't match its content (edits).
+async function verifyAuditLog(file = AUDIT_LOG_FILE) {
+    const lines = parseLines(await fs.readFile(file, 'utf8'));
+    const errors = [];
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+
+    lines.forEach((line, index) => {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            errors.push({ line: index + 1, reason: 'Unparseable record' });
+            return;
+        }
+
+        const { hash, ...record } = entry;
+
+        if (record.seq !== expectedSeq) {
+            errors.push({ line: index + 1, seq: record.seq, reason: `Expected sequence ${expectedSeq}` });
+        }
+        if (record.prevHash !== prevHash) {
+            errors.push({ line: index + 1, seq: record.seq, reason: 'Previous hash does not match' });
+        }
+        if (hashRecord(record) !== hash) {
+            errors.push({ line: index + 1, seq: record.seq, reason: 'Record hash does not match its content' });
+        }
+
+        expectedSeq = record.seq + 1;
+        prevHash = hash;
+    });
+
+    return {
+        valid: errors.length === 0,
+        records: lines.length,
+        lastHash: prevHash,
+        errors
+    };
+}
+
+// Records about a user (as subject or actor) within [from, to]. Subjects are
+// external user IDs (user_<id>) and actors Django user IDs, so either form
+// finds both.
+async function exportAuditLog({ file = AUDIT_LOG_FILE, userId, from, to } = {}) {
+    const fromMs = from ? Date.parse(from) : -Infinity;
+    const toMs = to ? Date.parse(to) : Infinity;
+    const djangoId = String(userId).replace(/^user_/, '');
+    const ids = new Set([djangoId, `user_${djangoId}`]);
+
+    return parseLines(await fs.readFile(file, 'utf8'))
+        .map(line => JSON.parse(line))
+        .filter(entry => {
+            const ts = Date.parse(entry.timestamp);
+            if (ts < fromMs || ts > toMs) return false;
+            if (userId && !ids.has(String(entry.userId)) && !ids.has(String(entry.actor))) return false;
+            return true;
+        });
+}
+
+let auditLog = createAuditLog();
+
+function getAuditLog() {
+    return auditLog;
+}
+
+function setAuditLog(log) {
+    auditLog = log;
+}
+
+// Audit writes must never break the request they describe, but a failure to
+// write one is itself worth shouting about
+function recordAudit(event, details) {
+    return auditLog.record(event, details).catch(error => {
+        logger.error('Failed to write audit record', { event, error });
+    });
+}
+
+export {
+    createAuditLog,
+    verifyAuditLog,
+    exportAuditLog,
+    getAuditLog,
+    setAuditLog,
+    recordAudit
+};
@@ -0,0 +1,114 @@
+import { logger } from './logger.js';
+import { describeMetric, incrementCounter, setGauge } from './metrics.js';
+
+const log = logger.child({ component: 'circuitBreaker' });
+
+describeMetric('circuit_breaker_state', 'gauge', 'Circuit breaker state by name: 0 closed, 1 half open, 2 open');
+describeMetric('circuit_breaker_rejections_total', 'counter', 'Calls failed fast by an open circuit breaker, by name');
+
+// Stops calling a backend that keeps failing. After `failureThreshold`
+// consecutive failures the breaker opens and calls fail at once with
+// ECIRCUITOPEN. Once `resetTimeoutMs` has passed a single trial call is let
+// through (half open): success closes the breaker, failure opens it again.
+// `isFailure` decides which errors count; the rest pass through untouched.
+
+const STATE_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+function circuitOpenError(name, retryAt) {
+    return Object.assign(new Error(`${name} is unavailable (circuit open)`), {
+        code: 'ECIRCUITOPEN',
+        status: 503,
+        retryAfterMs: Math.max(0, retryAt - Date.now())
+    });
+}
+
+function createCircuitBreaker({ name, failureThreshold = 5, resetTimeoutMs = 30000, isFailure = () => true }) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = null;
+    let trialInFlight = false;
+
+    function transition(next) {
+        if (state === next) return;
+        log[next === 'open' ? 'warn' : 'info']('Circuit breaker state changed', { breaker: name, from: state, to: next, failures });
+        state = next;
+        setGauge('circuit_breaker_state', { name }, STATE_VALUES[state]);
+    }
+
+    function open() {
+        openedAt = Date.now();
+        transition('open');
+    }
+
+    setGauge('circuit_breaker_state', { name }, STATE_VALUES[state]);
+
+    return {
+        name,
+
+        get state() {
+            if (state === 'open' && Date.now() - openedAt >= resetTimeoutMs) {
+                return 'half_open';
+            }
+            return state;
+        },
+
+        // Throws ECIRCUITOPEN instead of calling `fn` while open
+        async execute(fn) {
+            if (state === 'open') {
+                if (Date.now() - openedAt < resetTimeoutMs) {
+                    incrementCounter('circuit_breaker_rejections_total', { name });
+                    throw circuitOpenError(name, openedAt + resetTimeoutMs);
+                }
+                transition('half_open');
+            }
+            if (state === 'half_open') {
+                if (trialInFlight) {
+                    incrementCounter('circuit_breaker_rejections_total', { name });
+                    throw circuitOpenError(name, Date.now());
+                }
+                trialInFlight = true;
+            }
+
+            const trial = state === 'half_open';
+            try {
+                const result = await fn();
+                failures = 0;
+                transition('closed');
+                return result;
+            } catch (error) {
+                if (isFailure(error)) {
+                    failures++;
+                    if (trial || failures >= failureThreshold) open();
+                } else if (trial) {
+                    // The backend answered, so it's up
+                    failures = 0;
+                    transition('closed');
+                }
+                throw error;
+            } finally {
+                if (trial) trialInFlight = false;
+            }
+        },
+
+        snapshot() {
+            const current = this.state;
+            return {
+                state: current,
+                failures,
+                openedAt: openedAt && current !== 'closed' ? new Date(openedAt).toISOString() : null,
+                retryAt: current === 'open' ? new Date(openedAt + resetTimeoutMs).toISOString() : null
+            };
+        },
+
+        reset() {
+            failures = 0;
+            openedAt = null;
+            trialInFlight = false;
+            transition('closed');
+        }
+    };
+}
+
+export {
+    createCircuitBreaker
+};
@@ -0,0 +1,392 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+
+// Every setting the proxy reads, in one place. Values come from the
+// environment (and .env); a secret can instead be read from a file named by
+// <KEY>_FILE, e.g. SUMSUB_SECRET_KEY_FILE=/run/secrets/sumsub_secret_key.
+//
+// CONFIG_PROFILE is `sandbox` or `production` (default: production when
+// NODE_ENV=production). The production profile requires the credentials a live
+// deployment needs and refuses sandbox endpoints: plain-HTTP or local URLs,
+// hosts named *sandbox*, and Sumsub sandbox app tokens (sbx:...).
+//
+// getConfig() never throws, so scripts can use the parts they need;
+// assertConfig() reports every problem at once and is what the server runs at
+// startup.
+
+dotenv.config();
+
+const PROFILES = ['sandbox', 'production'];
+const SANDBOX_HOST_PATTERN = /(^|\.)localhost$|^127\.|^\[?::1\]?$|^0\.0\.0\.0$|sandbox/i;
+const TENANT_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+// type: string | int | bool | list | url | enum
+// required: true, or 'production' for keys only a live deployment needs
+// secret: may be given as <KEY>_FILE, and is never printed
+// base: a base URL, stored without a trailing slash
+// min / max: bounds for an int; allowZero also lets 0 (off) through
+// values: the allowed values of an enum, or of each list item
+// default: a value, or a function of the settings parsed before it
+const SCHEMA = {
+    NODE_ENV: { type: 'string', default: 'development' },
+    PORT: { type: 'int', default: 3000, min: 1, max: 65535 },
+    ALLOWED_ORIGINS: { type: 'list' },
+    TRUST_PROXY: { type: 'string' },
+
+    // Sumsub (the default tenant; others come from SUMSUB_TENANTS)
+    SUMSUB_APP_TOKEN: { type: 'string', secret: true, required: true },
+    SUMSUB_SECRET_KEY: { type: 'string', secret: true, required: true },
+    SUMSUB_WEBHOOK_SECRET: { type: 'string', secret: true },
+    SUMSUB_BASE_URL: { type: 'url', base: true, default: 'https://api.sumsub.com' },
+    SUMSUB_TENANTS: { type: 'list' },
+    SUMSUB_REQUEST_TIMEOUT_MS: { type: 'int', default: 15000, min: 1 },
+    SUMSUB_MAX_RETRIES: { type: 'int', default: 3, min: 0 },
+    SUMSUB_RETRY_BASE_DELAY_MS: { type: 'int', default: 500, min: 0 },
+    SUMSUB_RETRY_MAX_DELAY_MS: { type: 'int', default: 10000, min: 0 },
+    SUMSUB_RETRY_AFTER_MAX_MS: { type: 'int', default: 60000, min: 0 },
+    SUMSUB_RATE_LIMIT_BURST: { type: 'int', default: 10, min: 1 },
+    // 0 turns the client-side limit off
+    SUMSUB_RATE_LIMIT_PER_SEC: { type: 'int', default: 5, min: 0 },
+    // The digests webhookSignature.js supports
+    SUMSUB_WEBHOOK_ALGORITHMS: { type: 'list', values: ['HMAC_SHA1_HEX', 'HMAC_SHA256_HEX', 'HMAC_SHA512_HEX'] },
+    WEBHOOK_INSECURE_DEV_MODE: { type: 'bool', default: false },
+    WEBHOOK_MAX_AGE_SECONDS: { type: 'int', default: 48 * 60 * 60, min: 1 },
+    WEBHOOK_MAX_CLOCK_SKEW_SECONDS: { type: 'int', default: 5 * 60, min: 0 },
+
+    // WebSDK links and issuance limits (0 disables a limit)
+    WEBSDK_LINK_TTL_SECONDS: { type: 'int', default: 30 * 60, min: 1 },
+    WEBSDK_LINK_MIN_REMAINING_SECONDS: { type: 'int', default: 5 * 60, min: 0 },
+    LINK_RATE_LIMIT_WINDOW_SECONDS: { type: 'int', default: 10 * 60, min: 1 },
+    LINK_RATE_LIMIT_PER_USER: { type: 'int', default: 10, min: 0 },
+    LINK_RATE_LIMIT_PER_IP: { type: 'int', default: 30, min: 0 },
+
+    // Django
+    DJANGO_API_BASE_URL: { type: 'url', base: true, required: true },
+    DJANGO_SERVICE_TOKEN: { type: 'string', secret: true, required: true },
+    DJANGO_ADMIN_TOKEN: { type: 'string', secret: true, required: 'production' },
+    DJANGO_WEBHOOK_SECRET: { type: 'string', secret: true },
+    DJANGO_WEBHOOK_EVENTS: { type: 'list', default: ['*'] },
+    DJANGO_WEBHOOK_TIMEOUT_MS: { type: 'int', default: 40000, min: 1 },
+    DJANGO_REQUEST_TIMEOUT_MS: { type: 'int', default: 10000, min: 1 },
+    DJANGO_BREAKER_FAILURE_THRESHOLD: { type: 'int', default: 5, min: 1 },
+    DJANGO_BREAKER_RESET_MS: { type: 'int', default: 30000, min: 1 },
+
+    // Outbound webhook subscribers (see webhookSubscribers.js)
+    WEBHOOK_SUBSCRIBERS: { type: 'list' },
+    WEBHOOK_SIGNING_SECRET: { type: 'string', secret: true },
+    WEBHOOK_DELIVERY_TIMEOUT_MS: { type: 'int', default: 10000, min: 1 },
+    WEBHOOK_RETRY_INTERVAL_MS: { type: 'int', default: 30000, min: 1000 },
+    WEBHOOK_RETRY_MAX_ATTEMPTS: { type: 'int', default: 8, min: 1 },
+    WEBHOOK_RETRY_BASE_DELAY_MS: { type: 'int', default: 30000, min: 0 },
+    WEBHOOK_RETRY_MAX_DELAY_MS: { type: 'int', default: 6 * 60 * 60 * 1000, min: 0 },
+    DEAD_LETTER_DIR: { type: 'string', default: './data/dead-letters' },
+
+    // Reconciliation of pending verifications against Sumsub (0 disables the schedule)
+    RECONCILE_INTERVAL_MS: { type: 'int', default: 15 * 60 * 1000, min: 1000, allowZero: true },
+    RECONCILE_CONCURRENCY: { type: 'int', default: 4, min: 1 },
+    RECONCILE_RATE_PER_SEC: { type: 'int', default: 2, min: 0 },
+    RECONCILE_MAX_PER_RUN: { type: 'int', default: 500, min: 1 },
+    RECONCILE_PENDING_STATUSES: { type: 'list', default: ['pending'] },
+
+    // User authentication
+    AUTH_MODE: { type: 'enum', values: ['remote', 'jwt', 'hybrid'], default: 'remote' },
+    AUTH_VALIDATE_URL: { type: 'url', default: (config) => config.DJANGO_API_BASE_URL && `${config.DJANGO_API_BASE_URL}/api/auth/validate-token/` },
+    AUTH_REMOTE_TIMEOUT_MS: { type: 'int', default: 5000, min: 1 },
+    AUTH_REMOTE_CACHE_TTL_MS: { type: 'int', default: 60 * 1000, min: 0 },
+    AUTH_JWT_SECRET: { type: 'string', secret: true },
+    AUTH_JWT_PUBLIC_KEY: { type: 'string', secret: true },
+    AUTH_JWKS_URL: { type: 'url' },
+    AUTH_JWKS_CACHE_TTL_MS: { type: 'int', default: 10 * 60 * 1000, min: 0 },
+    AUTH_JWT_ALGORITHMS: { type: 'list' },
+    AUTH_JWT_ISSUER: { type: 'string' },
+    AUTH_JWT_AUDIENCE: { type: 'list' },
+    AUTH_JWT_CLOCK_TOLERANCE_SECONDS: { type: 'int', default: 30, min: 0 },
+
+    // Admin access and audit
+    ADMIN_ROLES: { type: 'list', default: ['admin', 'compliance'] },
+    ADMIN_PERMISSION: { type: 'string', default: 'kyc.view_verification' },
+    ADMIN_ERASE_ROLES: { type: 'list', default: [] },
+    ADMIN_ERASE_PERMISSION: { type: 'string', default: 'kyc.delete_verification' },
+    ADMIN_ACCESS_LOG_FILE: { type: 'string', default: './data/admin-access.log' },
+    AUDIT_LOG_FILE: { type: 'string', default: './data/audit.log' },
+    AUDIT_LOG_HMAC_KEY: { type: 'string', secret: true },
+
+    // Caching, uploads, levels, live status
+    VERIFICATION_CACHE_BACKEND: { type: 'enum', values: ['memory', 'file'], default: 'memory' },
+    VERIFICATION_CACHE_DIR: { type: 'string', default: './data/cache' },
+    VERIFICATION_CACHE_TTL_MS: { type: 'int', default: 10 * 60 * 1000, min: 1 },
+    VERIFICATION_CACHE_MAX_SIZE: { type: 'int', default: 10000, min: 1 },
+    DOCUMENT_UPLOAD_MAX_BYTES: { type: 'int', default: 10 * 1024 * 1024, min: 1 },
+    LEVEL_RULES: { type: 'string' },
+    LEVEL_RULES_FILE: { type: 'string' },
+    LEVEL_DEFAULT: { type: 'string', default: 'kyc_verification' },
+    STATUS_STREAM_HEARTBEAT_MS: { type: 'int', default: 25000, min: 1000 },
+    STATUS_STREAM_BUFFER_SIZE: { type: 'int', default: 20, min: 0 },
+    STATUS_STREAM_MAX_USERS: { type: 'int', default: 10000, min: 1 },
+
+    // Health checks
+    HEALTH_CHECK_TIMEOUT_MS: { type: 'int', default: 3000, min: 1 },
+    HEALTH_CHECK_CACHE_MS: { type: 'int', default: 10000, min: 0 },
+
+    // Logging and metrics
+    LOG_LEVEL: { type: 'enum', values: ['debug', 'info', 'warn', 'error', 'silent'], default: 'info' },
+    LOG_FORMAT: { type: 'enum', values: ['json', 'pretty'], default: 'json' },
+    LOG_REDACT_FIELDS: { type: 'list' },
+    METRICS_TOKEN: { type: 'string', secret: true },
+    METRICS_REVIEW_OUTCOMES_MAX_SIZE: { type: 'int', default: 10000, min: 1 }
+};
+
+function configError(profile, errors) {
+    const message = `Invalid configuration (${profile} profile):\n${errors.map(error => `  - ${error}`).join('\n')}`;
+    return Object.assign(new Error(message), { profile, errors });
+}
+
+function defaultReadFile(file) {
+    return fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+}
+
+// Raw string for a key, from the variable itself or (for secrets) its _FILE
+function readRaw(env, key, { secret }, errors, readFile) {
+    const value = env[key];
+    const file = env[`${key}_FILE`];
+
+    if (!secret || !file) return value === '' ? undefined : value;
+    if (value) {
+        errors.push(`${key}: set either ${key} or ${key}_FILE, not both`);
+        return value;
+    }
+    try {
+        return readFile(file);
+    } catch (error) {
+        errors.push(`${key}_FILE: cannot read ${file} (${error.code || error.message})`);
+        return undefined;
+    }
+}
+
+function parseValue(key, raw, spec) {
+    switch (spec.type) {
+        case 'int': {
+            if (!/^-?\d+$/.test(raw.trim())) throw new Error(`${key}: expected an integer, got "${raw}"`);
+            const value = parseInt(raw, 10);
+            if (spec.allowZero && value === 0) return value;
+            if (spec.min !== undefined && value < spec.min) {
+                throw new Error(`${key}: must be ${spec.allowZero ? '0 or ' : ''}at least ${spec.min}, got ${value}`);
+            }
+            if (spec.max !== undefined && value > spec.max) throw new Error(`${key}: must be at most ${spec.max}, got ${value}`);
+            return value;
+        }
+        case 'bool': {
+            const value = raw.trim().toLowerCase();
+            if (['true', '1', 'yes'].includes(value)) return true;
+            if (['false', '0', 'no'].includes(value)) return false;
+            throw new Error(`${key}: expected true or false, got "${raw}"`);
+        }
+        case 'list': {
+            const items = raw.split(',').map(item => item.trim()).filter(Boolean);
+            const unknown = spec.values ? items.filter(item => !spec.values.includes(item)) : [];
+            if (unknown.length) {
+                throw new Error(`${key}: expected any of ${spec.values.join(', ')}, got "${unknown.join(', ')}"`);
+            }
+            return items;
+        }
+        case 'url': {
+            let url;
+            try {
+                url = new URL(raw);
+            } catch (error) {
+                throw new Error(`${key}: "${raw}" is not a valid URL`);
+            }
+            if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                throw new Error(`${key}: expected an http(s) URL, got "${raw}"`);
+            }
+            return spec.base ? raw.replace(/\/+$/, '') : raw;
+        }
+        case 'enum':
+            if (!spec.values.includes(raw)) {
+                throw new Error(`${key}: expected one of ${spec.values.join(', ')}, got "${raw}"`);
+            }
+            return raw;
+        default:
+            return raw;
+    }
+}
+
+function isSandboxUrl(value) {
+    const url = new URL(value);
+    return url.protocol !== 'https:' || SANDBOX_HOST_PATTERN.test(url.hostname);
+}
+
+function isSandboxAppToken(token) {
+    return typeof token === 'string' && token.startsWith('sbx:');
+}
+
+function profileFor(env, errors) {
+    const profile = env.CONFIG_PROFILE || (env.NODE_ENV === 'production' ? 'production' : 'sandbox');
+    if (!PROFILES.includes(profile)) {
+        errors.push(`CONFIG_PROFILE: expected one of ${PROFILES.join(', ')}, got "${profile}"`);
+        return 'sandbox';
+    }
+    return profile;
+}
+
+// Additional Sumsub apps, configured with SUMSUB_<NAME>_* variables
+function loadTenants(env, names, errors, readFile) {
+    return names.flatMap(name => {
+        if (!TENANT_NAME_PATTERN.test(name)) {
+            errors.push(`SUMSUB_TENANTS: invalid tenant name "${name}"`);
+            return [];
+        }
+
+        const prefix = `SUMSUB_${name.toUpperCase().replace(/-/g, '_')}_`;
+        const read = (key, secret = true) => readRaw(env, `${prefix}${key}`, { secret }, errors, readFile);
+        const tenant = {
+            name,
+            appToken: read('APP_TOKEN'),
+            secretKey: read('SECRET_KEY'),
+            baseUrl: read('BASE_URL', false),
+            webhookSecret: read('WEBHOOK_SECRET')
+        };
+
+        if (!tenant.appToken || !tenant.secretKey) {
+            errors.push(`Tenant ${name} requires ${prefix}APP_TOKEN and ${prefix}SECRET_KEY`);
+        }
+        if (tenant.baseUrl) {
+            try {
+                tenant.baseUrl = parseValue(`${prefix}BASE_URL`, tenant.baseUrl, { type: 'url', base: true });
+            } catch (error) {
+                errors.push(error.message);
+                tenant.baseUrl = undefined;
+            }
+        }
+        return [tenant];
+    });
+}
+
+// Outbound subscribers besides Django, configured with WEBHOOK_SUBSCRIBER_<NAME>_*
+function loadSubscribers(env, names, defaultSecret, defaultTimeoutMs, errors, readFile) {
+    return names.flatMap(name => {
+        const prefix = `WEBHOOK_SUBSCRIBER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+        const url = readRaw(env, `${prefix}URL`, {}, errors, readFile);
+        const secret = readRaw(env, `${prefix}SECRET`, { secret: true }, errors, readFile) || defaultSecret;
+        const timeout = env[`${prefix}TIMEOUT_MS`];
+
+        if (!url || !secret) {
+            errors.push(`Webhook subscriber "${name}" needs ${prefix}URL and ${prefix}SECRET (or WEBHOOK_SIGNING_SECRET)`);
+            return [];
+        }
+
+        try {
+            return [{
+                name,
+                url: parseValue(`${prefix}URL`, url, { type: 'url' }),
+                events: parseValue(`${prefix}EVENTS`, env[`${prefix}EVENTS`] || '*', { type: 'list' }),
+                secret,
+                timeoutMs: timeout ? parseValue(`${prefix}TIMEOUT_MS`, timeout, { type: 'int', min: 1 }) : defaultTimeoutMs
+            }];
+        } catch (error) {
+            errors.push(error.message);
+            return [];
+        }
+    });
+}
+
+function checkProduction(config, errors) {
+    const urls = Object.entries(SCHEMA)
+        .filter(([key, spec]) => spec.type === 'url' && config[key])
+        .map(([key]) => [key, config[key]])
+        .concat(config.tenants.filter(t => t.baseUrl).map(t => [`SUMSUB_${t.name.toUpperCase()}_BASE_URL`, t.baseUrl]))
+        .concat(config.webhookSubscribers.map(s => [`WEBHOOK_SUBSCRIBER_${s.name.toUpperCase()}_URL`, s.url]));
+
+    for (const [key, url] of urls) {
+        if (isSandboxUrl(url)) {
+            errors.push(`${key}: ${url} is a sandbox or non-HTTPS URL, not allowed in production`);
+        }
+    }
+
+    for (const [name, token] of [['SUMSUB_APP_TOKEN', config.SUMSUB_APP_TOKEN], ...config.tenants.map(t => [`Tenant ${t.name} app token`, t.appToken])]) {
+        if (isSandboxAppToken(token)) {
+            errors.push(`${name} is a Sumsub sandbox token (sbx:), not allowed in production`);
+        }
+    }
+
+    if (config.WEBHOOK_INSECURE_DEV_MODE) {
+        errors.push('WEBHOOK_INSECURE_DEV_MODE must not be enabled in production');
+    }
+}
+
+// { config, errors }: config holds every key (defaults filled in, invalid
+// values left out) plus `profile`, `tenants` and `webhookSubscribers`
+function loadConfig(env = process.env, { readFile = defaultReadFile } = {}) {
+    const errors = [];
+    const profile = profileFor(env, errors);
+    const config = { profile };
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        const raw = readRaw(env, key, spec, errors, readFile);
+
+        if (raw === undefined) {
+            const fallback = typeof spec.default === 'function' ? spec.default(config) : spec.default;
+            config[key] = Array.isArray(fallback) ? [...fallback] : fallback;
+            if (config[key] === undefined && spec.type === 'list') config[key] = [];
+
+            if (config[key] === undefined && (spec.required === true || spec.required === profile)) {
+                errors.push(`${key} is required${spec.required === 'production' ? ' in production' : ''}${spec.secret ? ` (or ${key}_FILE)` : ''}`);
+            }
+            continue;
+        }
+
+        try {
+            config[key] = parseValue(key, raw, spec);
+        } catch (error) {
+            errors.push(error.message);
+        }
+    }
+
+    config.tenants = loadTenants(env, config.SUMSUB_TENANTS, errors, readFile);
+    config.webhookSubscribers = loadSubscribers(
+        env,
+        config.WEBHOOK_SUBSCRIBERS,
+        config.WEBHOOK_SIGNING_SECRET,
+        config.WEBHOOK_DELIVERY_TIMEOUT_MS,
+        errors,
+        readFile
+    );
+
+    if (profile === 'production') {
+        checkProduction(config, errors);
+    }
+
+    return { config, errors };
+}
+
+let loaded = null;
+
+function getConfig() {
+    if (!loaded) {
+        loaded = loadConfig();
+    }
+    return loaded.config;
+}
+
+// Replace the active configuration, e.g. setConfig(loadConfig(env)) in tests
+function setConfig(result) {
+    loaded = result;
+}
+
+// Fail fast with every problem listed, rather than one at a time
+function assertConfig() {
+    getConfig();
+    if (loaded.errors.length) {
+        throw configError(loaded.config.profile, loaded.errors);
+    }
+    return loaded.config;
+}
+
+export {
+    SCHEMA,
+    loadConfig,
+    getConfig,
+    setConfig,
+    assertConfig,
+    isSandboxUrl
+};
@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getConfig } from './config.js';
+
+const DEFAULT_DEAD_LETTER_DIR = getConfig().DEAD_LETTER_DIR;
+
+// Entry statuses:
+//   delivering - outbox entry for a first delivery still in flight; the retry
+//                worker takes it over if it's still here at nextAttemptAt
+//   pending    - waiting for the retry worker
+//   dead       - gave up after the maximum number of attempts
+function createEntry(payload, meta = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: crypto.randomUUID(),
+        source: meta.source || 'unknown',
+        subscriber: meta.subscriber || null,
+        deliveryId: meta.deliveryId || null,
+        type: payload?.type,
+        applicantId: payload?.applicantId,
+        payload,
+        status: meta.status || 'pending',
+        attempts: meta.attempts || 0,
+        lastError: meta.error || null,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: meta.nextAttemptAt || now
+    };
+}
+
+function matchesFilter(entry, filter = {}) {
+    if (filter.status && entry.status !== filter.status) return false;
+    if (filter.type && entry.type !== filter.type) return false;
+    if (filter.subscriber && entry.subscriber !== filter.subscriber) return false;
+    return true;
+}
+
+function byCreatedAt(a, b) {
+    return a.createdAt.localeCompare(b.createdAt);
+}
+
+// In-memory store, mostly useful for tests and single-shot scripts
+function createMemoryDeadLetterStore() {
+    const entries = new Map();
+
+    return {
+        async add(payload, meta) {
+            const entry = createEntry(payload, meta);
+            entries.set(entry.id, entry);
+            return entry;
+        },
+
+        async get(id) {
+            return entries.get(id) || null;
+        },
+
+        async list(filter) {
+            return [...entries.values()].filter(e => matchesFilter(e, filter)).sort(byCreatedAt);
+        },
+
+        async update(id, changes) {
+            const entry = entries.get(id);
+            if (!entry) return null;
+            const updated = { ...entry, ...changes, updatedAt: new Date().toISOString() };
+            entries.set(id, updated);
+            return updated;
+        },
+
+        async remove(id) {
+            return entries.delete(id);
+        },
+
+        async purge(filter) {
+            let removed = 0;
+            for (const entry of [...entries.values()]) {
+                if (matchesFilter(entry, filter)) {
+                    entries.delete(entry.id);
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+// File-backed store: one JSON document per entry so that a crash mid-write
+// can only ever lose the entry being written, never the whole queue.
+function createFileDeadLetterStore(dir = DEFAULT_DEAD_LETTER_DIR) {
+    const entryPath = (id) => path.join(dir, `${path.basename(id)}.json`);
+
+    async function ensureDir() {
+        await fs.mkdir(dir, { recursive: true });
+    }
+
+    async function write(entry) {
+        await ensureDir();
+        const target = entryPath(entry.id);
+        const tmp = `${target}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(entry, null, 2));
+        await fs.rename(tmp, target);
+        return entry;
+    }
+
+    async function read(id) {
+        try {
+            return JSON.parse(await fs.readFile(entryPath(id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function readAll() {
+        let files;
+        try {
+            files = await fs.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = [];
+        for (const file of files) {
+            if (!file.endsWith('.json')) continue;
+            const entry = await read(file.slice(0, -'.json'.length));
+            if (entry) entries.push(entry);
+        }
+        return entries.sort(byCreatedAt);
+    }
+
+    return {
+        async add(payload, meta) {
+            return write(createEntry(payload, meta));
+        },
+
+        get: read,
+
+        async list(filter) {
+            return (await readAll()).filter(e => matchesFilter(e, filter));
+        },
+
+        async update(id, changes) {
+            const entry = await read(id);
+            if (!entry) return null;
+            return write({ ...entry, ...changes, updatedAt: new Date().toISOString() });
+        },
+
+        async remove(id) {
+            try {
+                await fs.unlink(entryPath(id));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        },
+
+        async purge(filter) {
+            let removed = 0;
+            for (const entry of await readAll()) {
+                if (matchesFilter(entry, filter) && await this.remove(entry.id)) {
+                    removed++;
+                }
+            }
+            return removed;
+        }
+    };
+}
+
+let deadLetterStore = createFileDeadLetterStore();
+
+function getDeadLetterStore() {
+    return deadLetterStore;
+}
+
+// Swap in a different backend (database, queue, ...). Any object exposing
+// add/get/list/update/remove/purge with the same semantics will do.
+function setDeadLetterStore(store) {
+    deadLetterStore = store;
+}
+
+export {
+    createMemoryDeadLetterStore,
+    createFileDeadLetterStore,
+    getDeadLetterStore,
+    setDeadLetterStore
+};
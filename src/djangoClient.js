@@ -0,0 +1,56 @@
+import axios from 'axios';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { getRequestContext } from './requestContext.js';
+import { getConfig } from './config.js';
+
+// Every call to Django goes through here, so they share one circuit breaker:
+// when Django stops answering, callers fail fast with ECIRCUITOPEN (status
+// 503) instead of each waiting out its own timeout. Network errors, timeouts
+// and 5xx responses count as failures; a 4xx means Django is up and said no.
+// Paths are resolved against DJANGO_API_BASE_URL; absolute URLs (pagination
+// links, AUTH_VALIDATE_URL) are used as they are. Calls made while handling a
+// request pass its correlation ID on as X-Request-Id.
+
+const config = getConfig();
+
+const breaker = createCircuitBreaker({
+    name: 'django',
+    failureThreshold: config.DJANGO_BREAKER_FAILURE_THRESHOLD,
+    resetTimeoutMs: config.DJANGO_BREAKER_RESET_MS,
+    isFailure: (error) => !error.response || error.response.status >= 500
+});
+
+function resolveUrl(url) {
+    return /^https?:\/\//.test(url) ? url : `${config.DJANGO_API_BASE_URL}${url}`;
+}
+
+// Takes axios request options and resolves to the axios response
+function djangoRequest({ url, timeout = config.DJANGO_REQUEST_TIMEOUT_MS, headers, ...options }) {
+    const { requestId } = getRequestContext();
+    if (requestId) {
+        headers = { 'X-Request-Id': requestId, ...headers };
+    }
+    return breaker.execute(() => axios.request({ ...options, url: resolveUrl(url), timeout, headers }));
+}
+
+const djangoClient = {
+    request: djangoRequest,
+
+    get(url, options = {}) {
+        return djangoRequest({ ...options, method: 'GET', url });
+    },
+
+    post(url, data, options = {}) {
+        return djangoRequest({ ...options, method: 'POST', url, data });
+    }
+};
+
+function getDjangoBreaker() {
+    return breaker;
+}
+
+export {
+    djangoClient,
+    djangoRequest,
+    getDjangoBreaker
+};
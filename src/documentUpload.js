@@ -0,0 +1,101 @@
+import busboy from 'busboy';
+import { getConfig } from './config.js';
+
+const DEFAULT_MAX_BYTES = getConfig().DOCUMENT_UPLOAD_MAX_BYTES;
+
+// Leading bytes of each accepted format, checked in addition to the declared
+// MIME type so a renamed file can't be passed off as an image
+const ALLOWED_TYPES = {
+    'image/jpeg': [Buffer.from([0xff, 0xd8, 0xff])],
+    'image/png': [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+    'application/pdf': [Buffer.from('%PDF-')]
+};
+
+function uploadError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function matchesSignature(buffer, mimeType) {
+    return ALLOWED_TYPES[mimeType].some(magic => buffer.subarray(0, magic.length).equals(magic));
+}
+
+// Parse a multipart/form-data request holding a single `content` file plus
+// text fields. The file is streamed and aborted as soon as it exceeds the limit.
+function parseDocumentUpload(req, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+    return new Promise((resolve, reject) => {
+        if (!req.headers['content-type']?.startsWith('multipart/form-data')) {
+            return reject(uploadError(415, 'Expected multipart/form-data'));
+        }
+
+        let parser;
+        try {
+            parser = busboy({
+                headers: req.headers,
+                limits: { files: 1, fileSize: maxBytes, fields: 20 }
+            });
+        } catch (error) {
+            return reject(uploadError(400, error.message));
+        }
+
+        const fields = {};
+        let file = null;
+        let failure = null;
+
+        const fail = (error) => {
+            if (failure) return;
+            failure = error;
+            req.unpipe(parser);
+            req.resume();
+            reject(error);
+        };
+
+        parser.on('field', (name, value) => {
+            fields[name] = value;
+        });
+
+        parser.on('file', (name, stream, info) => {
+            if (name !== 'content') {
+                stream.resume();
+                return fail(uploadError(400, `Unexpected file field: ${name}`));
+            }
+            if (!ALLOWED_TYPES[info.mimeType]) {
+                stream.resume();
+                return fail(uploadError(415, `Unsupported document type: ${info.mimeType}`));
+            }
+
+            const chunks = [];
+            stream.on('data', chunk => chunks.push(chunk));
+            stream.on('limit', () => fail(uploadError(413, `Document exceeds ${maxBytes} bytes`)));
+            stream.on('end', () => {
+                file = {
+                    buffer: Buffer.concat(chunks),
+                    filename: info.filename,
+                    mimeType: info.mimeType
+                };
+            });
+        });
+
+        parser.on('filesLimit', () => fail(uploadError(400, 'Only one document may be uploaded per request')));
+        parser.on('error', error => fail(uploadError(400, error.message)));
+
+        parser.on('close', () => {
+            if (failure) return;
+            if (!file?.buffer.length) {
+                return reject(uploadError(400, 'Missing document file in `content` field'));
+            }
+            if (!matchesSignature(file.buffer, file.mimeType)) {
+                return reject(uploadError(415, `Document content does not match ${file.mimeType}`));
+            }
+            resolve({ file, fields });
+        });
+
+        req.pipe(parser);
+    });
+}
+
+export {
+    parseDocumentUpload,
+    ALLOWED_TYPES
+};
@@ -0,0 +1,64 @@
+import { djangoClient, getDjangoBreaker } from './djangoClient.js';
+import { getTenantClient, listTenants } from './tenants.js';
+import { getConfig } from './config.js';
+
+// Dependency checks behind /health and /health/ready: Django's health
+// endpoint (through the circuit breaker, so a probe can close it again) and
+// one signed Sumsub request per tenant. Results are reused for
+// HEALTH_CHECK_CACHE_MS so frequent probes don't become a stream of upstream
+// calls; the breaker state is always current.
+
+const config = getConfig();
+
+let cached = null;
+
+async function timed(check) {
+    const startedAt = Date.now();
+    try {
+        await check();
+        return { status: 'up', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'down', error: error.message, code: error.status ?? error.response?.status ?? error.code };
+    }
+}
+
+async function runChecks(timeoutMs) {
+    const tenants = listTenants();
+    const [django, ...sumsub] = await Promise.all([
+        timed(() => djangoClient.get('/kyc/health/', { timeout: timeoutMs })),
+        ...tenants.map(name => timed(() => getTenantClient(name).checkConnectivity({ timeoutMs })))
+    ]);
+
+    return {
+        checkedAt: new Date().toISOString(),
+        django,
+        sumsub: Object.fromEntries(tenants.map((name, i) => [name, sumsub[i]]))
+    };
+}
+
+// Resolves to { healthy, checkedAt, django: { status, breaker, ... }, sumsub: { <tenant>: { status, ... } } }
+async function checkDependencies({ cacheMs = config.HEALTH_CHECK_CACHE_MS, timeoutMs = config.HEALTH_CHECK_TIMEOUT_MS } = {}) {
+    // Concurrent probes share one run
+    if (!cached || Date.now() - cached.startedAt >= cacheMs) {
+        const run = { startedAt: Date.now(), promise: runChecks(timeoutMs) };
+        cached = run;
+        run.promise.catch(() => {
+            if (cached === run) cached = null;
+        });
+    }
+
+    const { checkedAt, django, sumsub } = await cached.promise;
+    const breaker = getDjangoBreaker().snapshot();
+    const djangoStatus = breaker.state === 'open' ? 'down' : django.status;
+
+    return {
+        healthy: djangoStatus === 'up' && Object.values(sumsub).every(check => check.status === 'up'),
+        checkedAt,
+        django: { ...django, status: djangoStatus, breaker },
+        sumsub
+    };
+}
+
+export {
+    checkDependencies
+};
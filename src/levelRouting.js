@@ -0,0 +1,98 @@
+import fs from 'fs';
+import { getConfig } from './config.js';
+
+// Picks the Sumsub level for a new verification when the caller doesn't name
+// one. Rules are tried in order and the first match wins; a rule matches when
+// each criterion it lists contains the user's value, and criteria it leaves
+// out match anything:
+//
+//   [
+//     { "level": "kyc_enhanced", "riskTiers": ["high"] },
+//     { "level": "kyc_eu_card", "countries": ["DEU", "FRA"], "products": ["card"] },
+//     { "level": "kyc_eu", "countries": ["DEU", "FRA"] }
+//   ]
+//
+// Rules come from LEVEL_RULES (JSON) or LEVEL_RULES_FILE (path to a JSON
+// file); users no rule matches get LEVEL_DEFAULT.
+
+const CRITERIA = {
+    countries: 'country',
+    products: 'product',
+    riskTiers: 'riskTier'
+};
+
+let levelRules = null;
+
+function normalize(value) {
+    return String(value).trim().toUpperCase();
+}
+
+function validateLevelRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Level rules must be a JSON array');
+    }
+
+    rules.forEach((rule, index) => {
+        if (!rule || typeof rule.level !== 'string' || !rule.level) {
+            throw new Error(`Level rule ${index} needs a "level"`);
+        }
+        for (const key of Object.keys(rule)) {
+            if (key === 'level') continue;
+            if (!CRITERIA[key]) {
+                throw new Error(`Level rule ${index} has unknown criterion "${key}"`);
+            }
+            if (!Array.isArray(rule[key])) {
+                throw new Error(`Level rule ${index}: "${key}" must be an array`);
+            }
+        }
+    });
+    return rules;
+}
+
+function loadLevelRulesFromConfig({ LEVEL_RULES, LEVEL_RULES_FILE, LEVEL_DEFAULT } = getConfig()) {
+    let source = LEVEL_RULES;
+
+    if (!source && LEVEL_RULES_FILE) {
+        source = fs.readFileSync(LEVEL_RULES_FILE, 'utf8');
+    }
+
+    let rules = [];
+    if (source) {
+        try {
+            rules = JSON.parse(source);
+        } catch (error) {
+            throw new Error(`Level rules are not valid JSON: ${error.message}`);
+        }
+    }
+
+    return { rules: validateLevelRules(rules), defaultLevel: LEVEL_DEFAULT };
+}
+
+// Read on first use, so a bad rules file only fails the requests that need it
+function getLevelRules() {
+    if (!levelRules) {
+        levelRules = loadLevelRulesFromConfig();
+    }
+    return levelRules;
+}
+
+function setLevelRules(rules, defaultLevel = getLevelRules().defaultLevel) {
+    levelRules = { rules: validateLevelRules(rules), defaultLevel };
+}
+
+// attributes: { country, product, riskTier }; comparison ignores case
+function selectLevel(attributes = {}, { rules, defaultLevel } = getLevelRules()) {
+    const match = rules.find(rule => Object.entries(CRITERIA).every(([key, attribute]) => {
+        if (!rule[key]) return true;
+        const value = attributes[attribute];
+        return value !== undefined && value !== null && rule[key].map(normalize).includes(normalize(value));
+    }));
+
+    return match ? match.level : defaultLevel;
+}
+
+export {
+    getLevelRules,
+    setLevelRules,
+    selectLevel
+};
@@ -0,0 +1,176 @@
+import { getRequestContext } from './requestContext.js';
+import { getConfig } from './config.js';
+
+// Structured logging. Every line is one JSON object with a timestamp, level,
+// message, the current request's correlation ID and any fields passed along:
+//
+//   logger.info('Webhook delivered', { subscriber: 'django', type: 'applicantReviewed' })
+//
+// Fields whose key names personal data or credentials (names, dates of birth,
+// document numbers, signatures, tokens, ...) are replaced with [REDACTED] at
+// any depth. LOG_REDACT_FIELDS adds keys to the default list, LOG_LEVEL sets
+// the threshold and LOG_FORMAT=pretty gives one readable line per entry for
+// local development.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const DEFAULT_REDACT_FIELDS = [
+    'firstName', 'lastName', 'middleName', 'fullName', 'legalName',
+    'firstNameEn', 'lastNameEn', 'middleNameEn',
+    'dob', 'dateOfBirth', 'placeOfBirth',
+    'number', 'idDocNumber', 'documentNumber', 'idNumber', 'tin',
+    'email', 'phone', 'address', 'addresses',
+    'signature', 'x-payload-digest', 'x-webhook-signature',
+    'authorization', 'cookie', 'token', 'accessToken', 'refreshToken',
+    'secret', 'secretKey', 'appToken', 'password'
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Compare keys without case or separators, so "first_name" matches "firstName"
+function normalizeKey(key) {
+    return String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function serializeError(error) {
+    return {
+        type: error.name,
+        message: error.message,
+        status: error.status ?? error.response?.status,
+        code: error.code,
+        stack: error.stack
+    };
+}
+
+function createRedactor(fields) {
+    const keys = new Set(fields.map(normalizeKey));
+
+    function redact(value, depth, seen) {
+        if (typeof value === 'string') {
+            return value.replace(/Bearer\s+[^\s,"']+/gi, `Bearer ${REDACTED}`);
+        }
+        if (value instanceof Error) {
+            return redact(serializeError(value), depth, seen);
+        }
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Buffer.isBuffer(value)) {
+            return `[Buffer ${value.length} bytes]`;
+        }
+        if (seen.has(value)) {
+            return '[Circular]';
+        }
+        if (depth >= MAX_DEPTH) {
+            return '[Truncated]';
+        }
+
+        seen.add(value);
+        let result;
+        if (Array.isArray(value)) {
+            result = value.map(item => redact(item, depth + 1, seen));
+        } else {
+            result = {};
+            for (const [key, item] of Object.entries(value)) {
+                if (item === undefined) continue;
+                result[key] = keys.has(normalizeKey(key)) ? REDACTED : redact(item, depth + 1, seen);
+            }
+        }
+        seen.delete(value);
+        return result;
+    }
+
+    return (value) => redact(value, 0, new WeakSet());
+}
+
+function formatPretty({ timestamp, level, msg, ...fields }) {
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    return `${timestamp} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+// Warnings and errors go to stderr, everything else to stdout
+function defaultWrite(line, level) {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+}
+
+function createLogger({
+    level = getConfig().LOG_LEVEL,
+    format = getConfig().LOG_FORMAT,
+    redactFields = [...DEFAULT_REDACT_FIELDS, ...getConfig().LOG_REDACT_FIELDS],
+    write = defaultWrite
+} = {}) {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown LOG_LEVEL "${level}", expected one of: ${Object.keys(LEVELS).join(', ')}`);
+    }
+
+    const threshold = LEVELS[level];
+    const redact = createRedactor(redactFields);
+
+    return {
+        level,
+
+        isLevelEnabled(candidate) {
+            return LEVELS[candidate] >= threshold;
+        },
+
+        log(entryLevel, msg, fields = {}) {
+            if (LEVELS[entryLevel] < threshold) return;
+
+            const { requestId, actor } = getRequestContext();
+            const entry = redact({
+                timestamp: new Date().toISOString(),
+                level: entryLevel,
+                msg,
+                requestId,
+                actor,
+                ...fields
+            });
+
+            write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), entryLevel);
+        }
+    };
+}
+
+let rootLogger = null;
+
+// Created on first use rather than at import
+function getLogger() {
+    if (!rootLogger) {
+        rootLogger = createLogger();
+    }
+    return rootLogger;
+}
+
+function setLogger(logger) {
+    rootLogger = logger;
+}
+
+// What modules log through. Bound fields (e.g. the component name) are added to
+// every entry; the underlying logger is looked up per call, so setLogger also
+// affects loggers created before it.
+function scopedLogger(bindings = {}) {
+    const at = (level) => (msg, fields) => getLogger().log(level, msg, { ...bindings, ...fields });
+
+    return {
+        debug: at('debug'),
+        info: at('info'),
+        warn: at('warn'),
+        error: at('error'),
+        child: (extra) => scopedLogger({ ...bindings, ...extra })
+    };
+}
+
+const logger = scopedLogger();
+
+export {
+    DEFAULT_REDACT_FIELDS,
+    createLogger,
+    getLogger,
+    setLogger,
+    logger
+};
@@ -0,0 +1,148 @@
+// Process-wide labelled metrics, rendered in the Prometheus text format by
+// renderMetrics() for GET /metrics, e.g.
+//   incrementCounter('sumsub_webhook_signature_total', { tenant: 'default', result: 'valid' })
+//   observeHistogram('sumsub_request_duration_seconds', { endpoint, status }, 0.42)
+//   addToGauge('verification_review_outcomes', { level, outcome }, 1)
+// Values that are cheaper to read at scrape time (cache sizes) come from
+// collectors registered with registerCollector().
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// name -> { type, help, buckets, series: Map(labelKey -> { labels, ... }) }
+const metrics = new Map();
+const collectors = new Set();
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function getMetric(name, type) {
+    let metric = metrics.get(name);
+    if (!metric) {
+        metric = { type, help: null, buckets: DEFAULT_BUCKETS, series: new Map() };
+        metrics.set(name, metric);
+    }
+    if (metric.type !== type) {
+        throw new Error(`Metric ${name} is a ${metric.type}, not a ${type}`);
+    }
+    return metric;
+}
+
+// Optional HELP text, and bucket bounds (in seconds) for histograms
+function describeMetric(name, type, help, { buckets } = {}) {
+    const metric = getMetric(name, type);
+    metric.help = help;
+    if (buckets) metric.buckets = [...buckets].sort((a, b) => a - b);
+}
+
+function incrementCounter(name, labels = {}, by = 1) {
+    const { series } = getMetric(name, 'counter');
+    const key = labelKey(labels);
+    const current = series.get(key) || { labels, value: 0 };
+    series.set(key, { labels, value: current.value + by });
+}
+
+function getCounter(name, labels = {}) {
+    return metrics.get(name)?.series.get(labelKey(labels))?.value || 0;
+}
+
+function setGauge(name, labels = {}, value) {
+    getMetric(name, 'gauge').series.set(labelKey(labels), { labels, value });
+}
+
+function addToGauge(name, labels = {}, delta) {
+    const { series } = getMetric(name, 'gauge');
+    const key = labelKey(labels);
+    series.set(key, { labels, value: (series.get(key)?.value || 0) + delta });
+}
+
+function getGauge(name, labels = {}) {
+    return metrics.get(name)?.series.get(labelKey(labels))?.value || 0;
+}
+
+function observeHistogram(name, labels = {}, value) {
+    const metric = getMetric(name, 'histogram');
+    const key = labelKey(labels);
+    let entry = metric.series.get(key);
+    if (!entry) {
+        entry = { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 };
+        metric.series.set(key, entry);
+    }
+
+    metric.buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+}
+
+// { buckets: [[le, cumulativeCount], ...], sum, count } or null
+function getHistogram(name, labels = {}) {
+    const metric = metrics.get(name);
+    const entry = metric?.series.get(labelKey(labels));
+    if (!entry) return null;
+    return {
+        buckets: metric.buckets.map((bound, index) => [bound, entry.counts[index]]),
+        sum: entry.sum,
+        count: entry.count
+    };
+}
+
+// A collector runs before each render, typically to setGauge() something
+function registerCollector(collector) {
+    collectors.add(collector);
+    return () => collectors.delete(collector);
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels)
+        .filter(([, value]) => value !== undefined && value !== null)
+        .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function renderSeries(name, metric) {
+    const lines = [];
+    for (const entry of metric.series.values()) {
+        if (metric.type !== 'histogram') {
+            lines.push(`${name}${formatLabels(entry.labels)} ${entry.value}`);
+            continue;
+        }
+        metric.buckets.forEach((bound, index) => {
+            lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(entry.labels)} ${entry.count}`);
+    }
+    return lines;
+}
+
+async function renderMetrics() {
+    await Promise.all([...collectors].map(collector => collector()));
+
+    const lines = [];
+    for (const [name, metric] of metrics) {
+        if (metric.help) lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        lines.push(...renderSeries(name, metric));
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+export {
+    describeMetric,
+    incrementCounter,
+    getCounter,
+    setGauge,
+    addToGauge,
+    getGauge,
+    observeHistogram,
+    getHistogram,
+    registerCollector,
+    renderMetrics
+};
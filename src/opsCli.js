@@ -0,0 +1,238 @@
+import fs from 'fs';
+import { parseArgs } from 'util';
+import fetch from 'node-fetch';
+import { getTenantClient, listTenants } from './tenants.js';
+import { normalizeStatus, normalizeDocuments, normalizeHistory } from './verificationView.js';
+import { DIGEST_ALGORITHMS, DEFAULT_DIGEST_ALG, signPayloadDigest } from './webhookSignature.js';
+import { formatSumsubTimestamp } from './webhookDeduplicator.js';
+
+// Operations CLI for support staff (scripts/ops.js). Applicant commands take
+// the Django user ID, like the proxy's own endpoints, and act on the Sumsub
+// applicant `user_<id>`. Results are printed as JSON, or as a table with
+// --output table; --tenant picks the Sumsub app.
+
+const USAGE = `Usage: npm run ops -- <command> [options]
+
+Commands:
+  link create <userId> [--level <name>] [--reset]
+  applicant status <userId>
+  applicant docs <userId>
+  applicant history <userId>
+  applicant reset <userId>
+  webhook sign <file|-> [--alg <HMAC_SHA256_HEX>] [--secret <secret>]
+  webhook replay <file|-> [--url <proxy url>] [--fresh] [--alg ...] [--secret ...]
+
+Options:
+  --tenant <name>        Sumsub app to use (default: default)
+  --output json|table    Output format (default: json)`;
+
+const OPTIONS = {
+    tenant: { type: 'string', default: 'default' },
+    output: { type: 'string', default: 'json' },
+    level: { type: 'string', default: 'kyc_verification' },
+    reset: { type: 'boolean', default: false },
+    alg: { type: 'string', default: DEFAULT_DIGEST_ALG },
+    secret: { type: 'string' },
+    url: { type: 'string', default: 'http://localhost:3000' },
+    fresh: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function usageError(message) {
+    return Object.assign(new Error(message), { usage: true });
+}
+
+function externalUserId(userId) {
+    if (!userId) {
+        throw usageError('A user ID is required');
+    }
+    return `user_${userId}`;
+}
+
+function readPayload(file, readStdin) {
+    if (!file) {
+        throw usageError('A payload file is required (use - for stdin)');
+    }
+    return file === '-' ? readStdin() : fs.readFileSync(file, 'utf8');
+}
+
+// Signing uses the newest secret, the last one listed while rotating
+function webhookSecretFor(client, values) {
+    const secret = values.secret || client.webhookSecrets.at(-1);
+    if (!secret) {
+        throw usageError(`No webhook secret is configured for tenant ${client.name}; pass --secret`);
+    }
+    if (!DIGEST_ALGORITHMS[values.alg]) {
+        throw usageError(`Unknown --alg ${values.alg}, expected one of: ${Object.keys(DIGEST_ALGORITHMS).join(', ')}`);
+    }
+    return secret;
+}
+
+// Each command resolves to { result, rows }: `result` is printed as JSON,
+// `rows` (defaulting to `result`) as a table
+const COMMANDS = {
+    async 'link create'(client, [userId], values) {
+        const id = externalUserId(userId);
+        if (values.reset) {
+            await client.resetUserProfile(id);
+        }
+        const link = await client.issueWebSDKLink(userId, values.level);
+        return { result: { userId, externalUserId: id, levelName: values.level, ...link } };
+    },
+
+    async 'applicant status'(client, [userId]) {
+        const id = externalUserId(userId);
+        return { result: normalizeStatus(await client.checkUserStatus(id), id) };
+    },
+
+    async 'applicant docs'(client, [userId]) {
+        const id = externalUserId(userId);
+        const result = normalizeDocuments(await client.getApplicantDocs(id), id);
+        return { result, rows: result.documents };
+    },
+
+    async 'applicant history'(client, [userId]) {
+        const id = externalUserId(userId);
+        const result = normalizeHistory(await client.getVerificationHistory(id), id);
+        return { result, rows: result.history };
+    },
+
+    async 'applicant reset'(client, [userId]) {
+        const id = externalUserId(userId);
+        await client.resetUserProfile(id);
+        return { result: { externalUserId: id, reset: true } };
+    },
+
+    async 'webhook sign'(client, [file], values, { readStdin }) {
+        const secret = webhookSecretFor(client, values);
+        const rawBody = readPayload(file, readStdin);
+        return {
+            result: {
+                'x-payload-digest': signPayloadDigest(rawBody, secret, values.alg),
+                'x-payload-digest-alg': values.alg
+            }
+        };
+    },
+
+    // The proxy rejects events older than WEBHOOK_MAX_AGE_SECONDS and acknowledges
+    // repeats without processing them; --fresh restamps createdAtMs so a stored
+    // payload goes through as a new delivery
+    async 'webhook replay'(client, [file], values, { readStdin, fetch }) {
+        const secret = webhookSecretFor(client, values);
+        let rawBody = readPayload(file, readStdin);
+
+        if (values.fresh) {
+            let event;
+            try {
+                event = JSON.parse(rawBody);
+            } catch (e) {
+                throw usageError(`--fresh needs a JSON payload: ${e.message}`);
+            }
+            rawBody = JSON.stringify({ ...event, createdAtMs: formatSumsubTimestamp() });
+        }
+
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Payload-Digest': signPayloadDigest(rawBody, secret, values.alg),
+            'X-Payload-Digest-Alg': values.alg
+        };
+        if (client.name !== 'default') {
+            headers['X-Sumsub-Tenant'] = client.name;
+        }
+
+        const response = await fetch(`${values.url.replace(/\/+$/, '')}/sumsub-webhook`, {
+            method: 'POST',
+            headers,
+            body: rawBody
+        });
+
+        const text = await response.text();
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (e) {
+            body = text;
+        }
+        return { result: { status: response.status, body }, failed: !response.ok };
+    }
+};
+
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Arrays become one row per item; a single object becomes field/value rows
+function formatTable(data) {
+    const rows = Array.isArray(data)
+        ? data
+        : Object.entries(data || {}).map(([field, value]) => ({ field, value }));
+    if (!rows.length) {
+        return '(no rows)';
+    }
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const cells = rows.map(row => columns.map(column => cellText(row[column])));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+    const line = (values) => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+    return [line(columns), line(widths.map(width => '-'.repeat(width))), ...cells.map(line)].join('\n');
+}
+
+// Resolves to the process exit code: 0 on success, 1 when the command failed
+// and 2 for usage errors
+async function runCli(argv, {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    readStdin = () => fs.readFileSync(0, 'utf8'),
+    fetch: fetchImpl = fetch
+} = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { positionals, values } = parsed;
+    const name = positionals.slice(0, 2).join(' ');
+    const command = COMMANDS[name];
+
+    if (values.help || !command) {
+        (values.help ? stdout : stderr).write(`${USAGE}\n`);
+        return values.help ? 0 : 2;
+    }
+    if (!['json', 'table'].includes(values.output)) {
+        stderr.write(`Unknown --output ${values.output}, expected json or table\n`);
+        return 2;
+    }
+
+    const client = getTenantClient(values.tenant);
+    if (!client) {
+        stderr.write(`Unknown tenant "${values.tenant}". Configured tenants: ${listTenants().join(', ')}\n`);
+        return 2;
+    }
+
+    try {
+        const { result, rows = result, failed = false } = await command(client, positionals.slice(2), values, {
+            readStdin,
+            fetch: fetchImpl
+        });
+        stdout.write(`${values.output === 'table' ? formatTable(rows) : JSON.stringify(result, null, 2)}\n`);
+        return failed ? 1 : 0;
+    } catch (error) {
+        if (error.usage) {
+            stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        const status = error.status ?? error.response?.status;
+        stderr.write(`${name} failed${status ? ` (${status})` : ''}: ${error.message}\n`);
+        return 1;
+    }
+}
+
+export {
+    formatTable,
+    runCli
+};
@@ -0,0 +1,107 @@
+// Token bucket: up to `capacity` calls may go out at once, after which calls
+// are spaced out to `refillPerSec`. Waiters are served in arrival order.
+// A refillPerSec of 0 means no limit; pause() still holds calls back.
+function createTokenBucket({ capacity, refillPerSec }) {
+    if (!(refillPerSec > 0)) {
+        return createPausableGate();
+    }
+
+    capacity = Math.max(1, capacity);
+    let tokens = capacity;
+    let lastRefill = Date.now();
+    const waiters = [];
+    let timer = null;
+
+    function refill() {
+        const now = Date.now();
+        tokens = Math.min(capacity, tokens + ((now - lastRefill) / 1000) * refillPerSec);
+        lastRefill = now;
+    }
+
+    function drain() {
+        timer = null;
+        refill();
+
+        while (waiters.length && tokens >= 1) {
+            tokens -= 1;
+            waiters.shift()();
+        }
+
+        if (waiters.length) {
+            const waitMs = Math.ceil(((1 - tokens) / refillPerSec) * 1000);
+            timer = setTimeout(drain, waitMs);
+        }
+    }
+
+    return {
+        take() {
+            return new Promise(resolve => {
+                waiters.push(resolve);
+                if (!timer) drain();
+            });
+        },
+
+        // Drop all tokens, e.g. after the server answered 429
+        pause(ms) {
+            tokens = -(ms / 1000) * refillPerSec;
+            lastRefill = Date.now();
+        }
+    };
+}
+
+// Lets every call through at once, except while paused
+function createPausableGate() {
+    let pausedUntil = 0;
+
+    return {
+        take() {
+            const waitMs = pausedUntil - Date.now();
+            return new Promise(resolve => (waitMs > 0 ? setTimeout(resolve, waitMs) : resolve()));
+        },
+
+        pause(ms) {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        }
+    };
+}
+
+// At most `limit` hits per key in any `windowMs`, for turning callers away
+// rather than queueing them. Only allowed hits are counted, so a client that
+// keeps retrying while blocked gets through once the window has moved on.
+function createWindowLimiter({ limit, windowMs }) {
+    const hits = new Map();
+    let lastSweep = Date.now();
+
+    // Forget keys with no hits left in the window
+    function sweep(now) {
+        for (const [key, times] of hits) {
+            if (times[times.length - 1] <= now - windowMs) hits.delete(key);
+        }
+        lastSweep = now;
+    }
+
+    return {
+        // Returns { allowed, remaining } or { allowed: false, retryAfterMs }
+        hit(key, now = Date.now()) {
+            if (now - lastSweep >= windowMs) sweep(now);
+
+            const times = (hits.get(key) || []).filter(time => time > now - windowMs);
+            hits.set(key, times);
+
+            if (times.length >= limit) {
+                return { allowed: false, retryAfterMs: times[0] + windowMs - now };
+            }
+            times.push(now);
+            return { allowed: true, remaining: limit - times.length };
+        },
+
+        reset() {
+            hits.clear();
+        }
+    };
+}
+
+export {
+    createTokenBucket,
+    createWindowLimiter
+};
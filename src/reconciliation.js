@@ -0,0 +1,289 @@
+import { getTenantClient } from './tenants.js';
+import { djangoClient } from './djangoClient.js';
+import { getDeadLetterStore } from './deadLetterStore.js';
+import { claimWebhookEvent, formatSumsubTimestamp } from './webhookDeduplicator.js';
+import { normalizeHistory } from './verificationView.js';
+import { createTokenBucket } from './rateLimiter.js';
+import { recordAudit } from './auditLog.js';
+import { getRequestContext } from './requestContext.js';
+import { logger } from './logger.js';
+import { describeMetric, incrementCounter } from './metrics.js';
+import { getConfig } from './config.js';
+
+const log = logger.child({ component: 'reconciliation' });
+
+describeMetric('reconciliation_checks_total', 'counter', 'Pending verifications checked against Sumsub, by resulting action');
+
+// A lost webhook leaves Django's verification pending forever. The
+// reconciliation job reads Django's pending verifications, asks Sumsub where
+// each applicant really is and, when Sumsub has moved on, replays the webhook
+// Sumsub would have sent through handleWebhookEvent, the same path real
+// webhooks take. Actions reported per verification:
+//   forwarded         - the missed event was handed to Django and subscribers
+//   would_forward     - the same, in a dry run
+//   already_forwarded - an earlier reconciliation run already sent it
+//   retry_pending     - a failed delivery for the user is waiting in the dead-letter queue
+//   unchanged         - Sumsub is still waiting on the applicant or its review
+//   not_found         - Sumsub has no applicant for the user
+//   error             - the check failed; see `error`
+
+const config = getConfig();
+const DEFAULT_OPTIONS = {
+    intervalMs: config.RECONCILE_INTERVAL_MS,
+    concurrency: config.RECONCILE_CONCURRENCY,
+    ratePerSec: config.RECONCILE_RATE_PER_SEC,
+    maxPerRun: config.RECONCILE_MAX_PER_RUN,
+    pendingStatuses: config.RECONCILE_PENDING_STATUSES
+};
+
+// Sumsub review states Django should have heard about, and the webhook that
+// would have told it
+const EVENT_TYPES = {
+    completed: 'applicantReviewed',
+    onHold: 'applicantOnHold'
+};
+
+// Follows DRF-style pagination ({ results, next }) as well as plain arrays
+async function fetchPendingVerifications({ pendingStatuses, maxPerRun }) {
+    if (!config.DJANGO_ADMIN_TOKEN) {
+        throw new Error('DJANGO_ADMIN_TOKEN is required to read verifications for reconciliation');
+    }
+
+    const pending = [];
+    let url = '/kyc/verifications/';
+
+    while (url && pending.length < maxPerRun) {
+        const response = await djangoClient.get(url, {
+            headers: { 'Authorization': `Bearer ${config.DJANGO_ADMIN_TOKEN}` },
+            timeout: 10000
+        });
+        const page = Array.isArray(response.data) ? response.data : response.data?.results || [];
+        pending.push(...page.filter(record => pendingStatuses.includes(record.status)));
+        url = Array.isArray(response.data) ? null : response.data?.next;
+    }
+
+    return pending.slice(0, maxPerRun);
+}
+
+// The webhook Sumsub would have sent for the applicant's current review
+function buildMissedEvent(applicant, externalUserId, latest) {
+    const review = applicant.review || {};
+    const reviewStatus = review.reviewStatus || applicant.reviewStatus;
+    const reviewedAt = latest?.reviewedAt || latest?.startedAt;
+
+    const reviewAnswer = (review.reviewResult || applicant.reviewResult)?.reviewAnswer;
+
+    return {
+        applicantId: applicant.id,
+        inspectionId: applicant.inspectionId,
+        // Stable per decision, so the same missed event is only forwarded once
+        correlationId: `reconcile-${applicant.id}-${reviewStatus}-${reviewAnswer || 'none'}`,
+        externalUserId,
+        levelName: review.levelName || applicant.levelName || latest?.levelName,
+        type: EVENT_TYPES[reviewStatus],
+        reviewStatus,
+        reviewResult: review.reviewResult || applicant.reviewResult,
+        createdAtMs: formatSumsubTimestamp(reviewedAt ? new Date(reviewedAt) : new Date()),
+        reconciled: true
+    };
+}
+
+async function reconcileVerification(record, { dryRun, retryPending }) {
+    const userId = record.user_id ?? record.userId;
+    const externalUserId = record.external_user_id || `user_${userId}`;
+    const tenant = record.tenant || 'default';
+    const result = { userId, externalUserId, tenant, djangoStatus: record.status };
+
+    const client = getTenantClient(tenant);
+    if (!client) {
+        return { ...result, action: 'error', error: `Unknown tenant: ${tenant}` };
+    }
+    if (retryPending.has(externalUserId)) {
+        return { ...result, action: 'retry_pending' };
+    }
+
+    let applicant;
+    try {
+        applicant = await client.checkUserStatus(externalUserId);
+    } catch (error) {
+        if (error.status === 404) return { ...result, action: 'not_found' };
+        throw error;
+    }
+
+    const sumsubStatus = applicant.review?.reviewStatus || applicant.reviewStatus;
+    if (!EVENT_TYPES[sumsubStatus]) {
+        return { ...result, sumsubStatus, action: 'unchanged' };
+    }
+
+    const { history } = normalizeHistory(await client.getVerificationHistory(externalUserId), externalUserId);
+    const event = buildMissedEvent(applicant, externalUserId, history[0]);
+    const found = {
+        ...result,
+        sumsubStatus,
+        reviewAnswer: event.reviewResult?.reviewAnswer || null,
+        event: event.type
+    };
+
+    if (dryRun) {
+        return { ...found, action: 'would_forward' };
+    }
+
+    // Claimed without createdAtMs, which is the time of the run when Sumsub
+    // reports no review date
+    const { duplicate } = await claimWebhookEvent({ correlationId: event.correlationId, applicantId: event.applicantId, type: event.type });
+    if (duplicate) {
+        return { ...found, action: 'already_forwarded' };
+    }
+
+    await client.handleWebhookEvent(event);
+    await recordAudit('reconcile.forwarded', {
+        userId: externalUserId,
+        actor: getRequestContext().actor ?? null,
+        tenant,
+        applicantId: event.applicantId,
+        type: event.type,
+        reviewAnswer: found.reviewAnswer
+    });
+    log.info('Forwarded missed webhook', { tenant, externalUserId, type: event.type, reviewAnswer: found.reviewAnswer });
+    return { ...found, action: 'forwarded' };
+}
+
+// Runs `worker` over `items` with at most `concurrency` in flight
+async function mapConcurrently(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function run() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, run));
+    return results;
+}
+
+async function reconcileVerifications(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const { dryRun = false } = settings;
+    const startedAt = new Date().toISOString();
+
+    const pending = await fetchPendingVerifications(settings);
+    const retryPending = new Set((await getDeadLetterStore().list())
+        .filter(entry => ['pending', 'delivering'].includes(entry.status))
+        .map(entry => entry.payload?.externalUserId)
+        .filter(Boolean));
+
+    // Each verification costs two Sumsub calls at most; the client's own bucket
+    // still applies, this keeps the job from using all of it. 0 means no limit.
+    const bucket = settings.ratePerSec > 0
+        ? createTokenBucket({ capacity: Math.max(1, settings.concurrency), refillPerSec: settings.ratePerSec })
+        : null;
+
+    const results = await mapConcurrently(pending, settings.concurrency, async (record) => {
+        await bucket?.take();
+        let result;
+        try {
+            result = await reconcileVerification(record, { dryRun, retryPending });
+        } catch (error) {
+            log.warn('Reconciliation check failed', { userId: record.user_id, error: error.message });
+            result = {
+                userId: record.user_id ?? record.userId,
+                tenant: record.tenant || 'default',
+                djangoStatus: record.status,
+                action: 'error',
+                error: error.message
+            };
+        }
+        incrementCounter('reconciliation_checks_total', { action: result.action });
+        return result;
+    });
+
+    const summary = {};
+    for (const { action } of results) {
+        summary[action] = (summary[action] || 0) + 1;
+    }
+
+    const report = {
+        dryRun,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        checked: results.length,
+        summary,
+        results
+    };
+    log.info('Reconciliation finished', { dryRun, checked: report.checked, summary });
+    return report;
+}
+
+let activeRun = null;
+let lastRun = null;
+
+// Resolves to the report, or null when a run is already in progress
+async function runReconciliation(options = {}) {
+    if (activeRun) return null;
+
+    const dryRun = options.dryRun === true;
+    const startedAt = new Date().toISOString();
+    activeRun = { dryRun, startedAt };
+    try {
+        const report = await reconcileVerifications(options);
+        lastRun = { dryRun, startedAt, finishedAt: report.finishedAt, report };
+        return report;
+    } catch (error) {
+        lastRun = {
+            dryRun,
+            startedAt,
+            finishedAt: new Date().toISOString(),
+            error: { message: error.message, status: error.response?.status }
+        };
+        throw error;
+    } finally {
+        activeRun = null;
+    }
+}
+
+// For callers that can't wait for a whole run, e.g. an HTTP request: starts
+// one in the background and returns { dryRun, startedAt }, or null when a run
+// is already in progress. getReconciliationStatus() has the outcome.
+function startReconciliation(options = {}) {
+    if (activeRun) return null;
+
+    runReconciliation(options).catch(error => log.error('Reconciliation run failed', { error }));
+    return { ...activeRun };
+}
+
+function getReconciliationStatus() {
+    return {
+        running: Boolean(activeRun),
+        current: activeRun ? { ...activeRun } : null,
+        last: lastRun
+    };
+}
+
+function startReconciliationJob(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    if (!settings.intervalMs) {
+        return { stop() {} };
+    }
+
+    const timer = setInterval(() => {
+        runReconciliation(settings).catch(error => log.error('Reconciliation run failed', { error }));
+    }, settings.intervalMs);
+    timer.unref();
+
+    return {
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+export {
+    reconcileVerifications,
+    runReconciliation,
+    startReconciliation,
+    getReconciliationStatus,
+    startReconciliationJob
+};
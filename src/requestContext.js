@@ -0,0 +1,19 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Per-request state that code deep in the call stack (the Sumsub client, the
+// audit trail) needs without threading it through every function signature.
+const storage = new AsyncLocalStorage();
+
+function runWithRequestContext(context, fn) {
+    return storage.run(context, fn);
+}
+
+// Outside a request (workers, scripts) this is an empty object
+function getRequestContext() {
+    return storage.getStore() || {};
+}
+
+export {
+    runWithRequestContext,
+    getRequestContext
+};
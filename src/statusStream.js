@@ -0,0 +1,179 @@
+import http from 'http';
+import { WebSocketServer } from 'ws';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// Pushes normalized verification status changes to logged-in browsers, over
+// Server-Sent Events or a WebSocket. Events are kept in a short per-user
+// buffer so a client reconnecting with the last event ID it saw gets what it
+// missed. Subscriptions live in this process: behind a load balancer, the
+// webhook and the user's stream must reach the same instance for live pushes.
+
+const HEARTBEAT_MS = getConfig().STATUS_STREAM_HEARTBEAT_MS;
+const BUFFER_SIZE = getConfig().STATUS_STREAM_BUFFER_SIZE;
+const MAX_USERS = getConfig().STATUS_STREAM_MAX_USERS;
+
+// userKey -> { events: [...], listeners: Set }
+const channels = new Map();
+let lastEventId = 0;
+
+// Millisecond-based, so IDs keep increasing across restarts
+function nextEventId() {
+    lastEventId = Math.max(Date.now(), lastEventId + 1);
+    return lastEventId;
+}
+
+function getChannel(userKey) {
+    let channel = channels.get(userKey);
+    if (!channel) {
+        channel = { events: [], listeners: new Set() };
+        channels.set(userKey, channel);
+
+        // Drop the oldest idle buffers once too many users are tracked
+        for (const [key, candidate] of channels) {
+            if (channels.size <= MAX_USERS) break;
+            if (!candidate.listeners.size) channels.delete(key);
+        }
+    }
+    return channel;
+}
+
+function sameStatus(a, b) {
+    return a && b &&
+        a.status === b.status &&
+        a.reviewStatus === b.reviewStatus &&
+        a.reviewAnswer === b.reviewAnswer &&
+        JSON.stringify(a.rejectLabels) === JSON.stringify(b.rejectLabels);
+}
+
+// Returns the published event, or null when the status hasn't changed
+function publishStatusChange(userKey, status) {
+    const channel = getChannel(userKey);
+    if (sameStatus(channel.events.at(-1)?.data, status)) {
+        return null;
+    }
+
+    const event = { id: nextEventId(), type: 'status', data: status };
+    channel.events.push(event);
+    if (channel.events.length > BUFFER_SIZE) {
+        channel.events.shift();
+    }
+
+    for (const listener of channel.listeners) {
+        try {
+            listener(event);
+        } catch (error) {
+            logger.error('Status stream listener failed', { userKey, error });
+        }
+    }
+    return event;
+}
+
+// Replays buffered events newer than sinceId, then delivers live ones
+function subscribeStatusChanges(userKey, listener, sinceId = null) {
+    const channel = getChannel(userKey);
+
+    if (sinceId !== null) {
+        channel.events.filter(event => event.id > sinceId).forEach(listener);
+    }
+
+    channel.listeners.add(listener);
+    return () => channel.listeners.delete(listener);
+}
+
+// Forget a user's buffered events, e.g. when their data is erased; open
+// streams stay connected
+function clearStatusChanges(userKey) {
+    const channel = channels.get(userKey);
+    if (!channel) return;
+
+    if (channel.listeners.size) {
+        channel.events = [];
+    } else {
+        channels.delete(userKey);
+    }
+}
+
+function parseEventId(value) {
+    const id = parseInt(value, 10);
+    return Number.isNaN(id) ? null : id;
+}
+
+// Express handler body for an authenticated SSE stream of userKey's events
+function streamStatusEvents(req, res, userKey, { heartbeatMs = HEARTBEAT_MS } = {}) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx and similar proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 5000\n\n`);
+
+    const write = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+
+    const sinceId = parseEventId(req.get('Last-Event-ID') ?? req.query.lastEventId);
+    const unsubscribe = subscribeStatusChanges(userKey, write, sinceId);
+    const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), heartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+}
+
+// WebSocket variant on the same HTTP server. authenticate(req) resolves to the
+// user key for an upgrade request, or throws with a .status (404 for upgrades
+// meant for other paths). Messages are the same events, as JSON.
+function attachStatusWebSocket(server, { authenticate, heartbeatMs = HEARTBEAT_MS }) {
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', async (req, socket, head) => {
+        let userKey;
+        try {
+            userKey = await authenticate(req);
+        } catch (error) {
+            const status = error.status || 401;
+            socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nConnection: close\r\n\r\n`);
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => {
+            let alive = true;
+            ws.on('pong', () => {
+                alive = true;
+            });
+
+            const sinceId = new URL(req.url, 'http://localhost').searchParams.get('lastEventId');
+            const unsubscribe = subscribeStatusChanges(
+                userKey,
+                (event) => ws.send(JSON.stringify(event)),
+                parseEventId(sinceId)
+            );
+
+            // Ping for liveness; a client that missed the last pong is gone
+            const heartbeat = setInterval(() => {
+                if (!alive) return ws.terminate();
+                alive = false;
+                ws.ping();
+            }, heartbeatMs);
+
+            ws.on('close', () => {
+                clearInterval(heartbeat);
+                unsubscribe();
+            });
+        });
+    });
+
+    return wss;
+}
+
+export {
+    publishStatusChange,
+    subscribeStatusChanges,
+    clearStatusChanges,
+    streamStatusEvents,
+    attachStatusWebSocket
+};
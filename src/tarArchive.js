@@ -0,0 +1,56 @@
+import zlib from 'zlib';
+
+// Minimal ustar writer for data exports: regular files only, built in memory
+// and gzipped. Readable with `tar -xzf` or any archive tool.
+
+const BLOCK_SIZE = 512;
+
+function octal(value, length) {
+    return `${value.toString(8).padStart(length - 1, '0')}\0`;
+}
+
+function tarHeader(path, size, mtime) {
+    if (Buffer.byteLength(path) > 100) {
+        throw new Error(`Archive path too long: ${path}`);
+    }
+
+    const header = Buffer.alloc(BLOCK_SIZE);
+    header.write(path, 0, 100);
+    header.write(octal(0o644, 8), 100);
+    header.write(octal(0, 8), 108);
+    header.write(octal(0, 8), 116);
+    header.write(octal(size, 12), 124);
+    header.write(octal(Math.floor(mtime.getTime() / 1000), 12), 136);
+    header.write(' '.repeat(8), 148);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+
+    // The checksum is summed with its own field set to spaces
+    let checksum = 0;
+    for (const byte of header) checksum += byte;
+    header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+    return header;
+}
+
+// files: [{ path, content: Buffer | string }]
+function createTarGz(files, { mtime = new Date() } = {}) {
+    const blocks = [];
+
+    for (const file of files) {
+        const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content);
+        blocks.push(tarHeader(file.path, content.length, mtime), content);
+
+        const padding = (BLOCK_SIZE - (content.length % BLOCK_SIZE)) % BLOCK_SIZE;
+        if (padding) blocks.push(Buffer.alloc(padding));
+    }
+
+    // End of archive: two empty blocks
+    blocks.push(Buffer.alloc(BLOCK_SIZE * 2));
+    return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+export {
+    createTarGz
+};
@@ -0,0 +1,43 @@
+import { SumsubClient, getDefaultClient } from './SumsubApiClient.js';
+import { getConfig } from './config.js';
+
+// Additional Sumsub apps (one per brand) are listed in SUMSUB_TENANTS and
+// configured with prefixed variables, e.g. for SUMSUB_TENANTS=brand_a:
+//   SUMSUB_BRAND_A_APP_TOKEN, SUMSUB_BRAND_A_SECRET_KEY,
+//   SUMSUB_BRAND_A_BASE_URL, SUMSUB_BRAND_A_WEBHOOK_SECRET
+// The unprefixed SUMSUB_* variables remain the `default` tenant.
+
+// Names and credentials are validated (and secrets resolved) by the config module
+function loadTenantsFromConfig(config = getConfig()) {
+    return new Map([
+        ['default', getDefaultClient()],
+        ...config.tenants.map(({ name, appToken, secretKey, baseUrl, webhookSecret }) => [name, new SumsubClient({
+            name,
+            appToken,
+            secretKey,
+            baseUrl: baseUrl || config.SUMSUB_BASE_URL,
+            webhookSecret
+        })])
+    ]);
+}
+
+const tenants = loadTenantsFromConfig();
+
+function getTenantClient(name = 'default') {
+    return tenants.get(name) || null;
+}
+
+function registerTenant(client) {
+    tenants.set(client.name, client);
+}
+
+function listTenants() {
+    return [...tenants.keys()];
+}
+
+export {
+    loadTenantsFromConfig,
+    getTenantClient,
+    registerTenant,
+    listTenants
+};
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import jwt from 'jsonwebtoken';
+import { djangoClient } from './djangoClient.js';
+import { createMemoryCache } from './verificationCache.js';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// How authenticateUser turns a bearer token into req.user:
+//   remote - ask Django's validate-token endpoint, caching the answer briefly
+//   jwt    - verify the token locally with a shared secret, a public key or a JWKS
+//   hybrid - verify locally, and ask Django only about tokens that can't be
+//            checked locally (opaque tokens, unknown signing keys)
+const AUTH_MODES = ['remote', 'jwt', 'hybrid'];
+
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function authError(message, status = 401, extra = {}) {
+    return Object.assign(new Error(message), { status, ...extra });
+}
+
+// Signing keys published at a JWKS URL, cached for ttlMs. A token signed with a
+// key we haven't seen triggers an early refresh (at most once per
+// minRefreshIntervalMs), which is how key rotation is picked up. If a refresh
+// fails the previously fetched keys keep being used.
+function createJwksClient(url, { ttlMs = 10 * 60 * 1000, minRefreshIntervalMs = 30 * 1000, timeoutMs = 5000 } = {}) {
+    let keys = new Map();
+    let fetchedAt = 0;
+    let inflight = null;
+
+    async function fetchKeys() {
+        const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+        if (!response.ok) {
+            throw new Error(`JWKS request failed with status ${response.status}`);
+        }
+
+        const { keys: jwks = [] } = await response.json();
+        const next = new Map();
+        for (const jwk of jwks) {
+            if (jwk.use && jwk.use !== 'sig') continue;
+            try {
+                next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch (error) {
+                logger.warn('Skipping unusable JWKS key', { kid: jwk.kid, error: error.message });
+            }
+        }
+
+        keys = next;
+        fetchedAt = Date.now();
+    }
+
+    function refresh() {
+        if (!inflight) {
+            inflight = fetchKeys().finally(() => {
+                inflight = null;
+            });
+        }
+        return inflight;
+    }
+
+    return {
+        async getKey(kid) {
+            const age = Date.now() - fetchedAt;
+            const unknown = kid ? !keys.has(kid) : keys.size !== 1;
+
+            if (age > ttlMs || (unknown && age > minRefreshIntervalMs)) {
+                try {
+                    await refresh();
+                } catch (error) {
+                    if (!keys.size) throw error;
+                    logger.warn('JWKS refresh failed, using cached keys', { error: error.message });
+                }
+            }
+
+            // A token without a kid is only unambiguous against a single key
+            if (!kid) return keys.size === 1 ? keys.values().next().value : undefined;
+            return keys.get(kid);
+        }
+    };
+}
+
+// A user without an ID would share one applicant and one rate-limit key with
+// every other such user
+function hasSubject(user) {
+    return user.id !== undefined && user.id !== null && user.id !== '';
+}
+
+// Claims -> the same shape Django's validate-token endpoint returns as `user`
+function userFromClaims(claims) {
+    const { user_id, sub, iat, exp, nbf, iss, aud, jti, token_type, ...profile } = claims;
+    return { ...profile, id: user_id ?? sub };
+}
+
+function createAuthenticator({
+    mode = getConfig().AUTH_MODE,
+    validateUrl = getConfig().AUTH_VALIDATE_URL,
+    remoteTimeoutMs = getConfig().AUTH_REMOTE_TIMEOUT_MS,
+    remoteCacheTtlMs = getConfig().AUTH_REMOTE_CACHE_TTL_MS,
+    secret = getConfig().AUTH_JWT_SECRET,
+    publicKey = getConfig().AUTH_JWT_PUBLIC_KEY?.replace(/\\n/g, '\n'),
+    jwksUrl = getConfig().AUTH_JWKS_URL,
+    jwksCacheTtlMs = getConfig().AUTH_JWKS_CACHE_TTL_MS,
+    algorithms = getConfig().AUTH_JWT_ALGORITHMS,
+    issuer = getConfig().AUTH_JWT_ISSUER,
+    audience = getConfig().AUTH_JWT_AUDIENCE,
+    clockToleranceSecs = getConfig().AUTH_JWT_CLOCK_TOLERANCE_SECONDS
+} = {}) {
+    if (!AUTH_MODES.includes(mode)) {
+        throw new Error(`Unknown AUTH_MODE "${mode}", expected one of: ${AUTH_MODES.join(', ')}`);
+    }
+    if (mode !== 'jwt' && !validateUrl) {
+        throw new Error(`AUTH_MODE=${mode} needs a token validation URL`);
+    }
+    if (mode !== 'remote' && !secret && !publicKey && !jwksUrl) {
+        throw new Error(`AUTH_MODE=${mode} needs AUTH_JWT_SECRET, AUTH_JWT_PUBLIC_KEY or AUTH_JWKS_URL`);
+    }
+
+    const jwks = jwksUrl ? createJwksClient(jwksUrl, { ttlMs: jwksCacheTtlMs }) : null;
+    const staticKey = publicKey ? crypto.createPublicKey(publicKey) : null;
+    const allowedAlgorithms = algorithms.length ? algorithms : [
+        ...(secret ? HMAC_ALGORITHMS : []),
+        ...(staticKey || jwks ? PUBLIC_KEY_ALGORITHMS : [])
+    ];
+    // Only successful validations are cached, keyed by a hash of the token
+    const remoteCache = createMemoryCache({ ttlMs: remoteCacheTtlMs });
+
+    async function resolveKey({ alg, kid }) {
+        if (HMAC_ALGORITHMS.includes(alg)) return secret;
+        if (jwks) {
+            try {
+                return (await jwks.getKey(kid)) || staticKey;
+            } catch (error) {
+                if (staticKey) return staticKey;
+                throw authError('Signing keys unavailable', 503, { unverifiable: true, cause: error });
+            }
+        }
+        return staticKey;
+    }
+
+    async function verifyLocally(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded) {
+            throw authError('Token is not a JWT', 401, { unverifiable: true });
+        }
+
+        const key = await resolveKey(decoded.header);
+        if (!key) {
+            throw authError('No key available for this token', 401, { unverifiable: true });
+        }
+
+        let claims;
+        try {
+            claims = jwt.verify(token, key, {
+                algorithms: allowedAlgorithms,
+                issuer: issuer || undefined,
+                audience: audience.length ? audience : undefined,
+                clockTolerance: clockToleranceSecs
+            });
+        } catch (error) {
+            throw authError(`Invalid token: ${error.message}`);
+        }
+
+        if (typeof claims.exp !== 'number') {
+            throw authError('Invalid token: no expiry');
+        }
+        if (claims.token_type && claims.token_type !== 'access') {
+            throw authError(`Invalid token: ${claims.token_type} tokens are not accepted`);
+        }
+
+        const user = userFromClaims(claims);
+        if (!hasSubject(user)) {
+            throw authError('Invalid token: no user_id or sub');
+        }
+        return user;
+    }
+
+    async function validateRemotely(token) {
+        const cacheKey = crypto.createHash('sha256').update(token).digest('hex');
+        const cached = await remoteCache.get(cacheKey);
+        if (cached) return cached;
+
+        let response;
+        try {
+            response = await djangoClient.get(validateUrl, {
+                headers: { 'Authorization': `Bearer ${token}` },
+                timeout: remoteTimeoutMs
+            });
+        } catch (error) {
+            if (error.response && error.response.status < 500) {
+                throw authError('Invalid or expired token');
+            }
+            throw authError('Authentication service unavailable', 503, { cause: error });
+        }
+
+        const user = response.data?.user;
+        if (!user) {
+            throw authError('Invalid or expired token');
+        }
+        if (!hasSubject(user)) {
+            throw authError('Invalid token: no user ID');
+        }
+
+        // Never cache a token past its own expiry
+        const exp = jwt.decode(token)?.exp;
+        const ttlMs = Math.min(remoteCacheTtlMs, typeof exp === 'number' ? exp * 1000 - Date.now() : Infinity);
+        if (ttlMs > 0) {
+            await remoteCache.set(cacheKey, user, ttlMs);
+        }
+        return user;
+    }
+
+    return {
+        mode,
+
+        async authenticate(token) {
+            if (mode === 'remote') return validateRemotely(token);
+
+            try {
+                return await verifyLocally(token);
+            } catch (error) {
+                if (mode === 'hybrid' && error.unverifiable) {
+                    return validateRemotely(token);
+                }
+                throw error;
+            }
+        },
+
+        clearCache() {
+            return remoteCache.clear();
+        }
+    };
+}
+
+export {
+    createAuthenticator,
+    createJwksClient,
+    userFromClaims
+};
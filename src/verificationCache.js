@@ -0,0 +1,249 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+const DEFAULT_TTL_MS = getConfig().VERIFICATION_CACHE_TTL_MS;
+const DEFAULT_MAX_SIZE = getConfig().VERIFICATION_CACHE_MAX_SIZE;
+const DEFAULT_CACHE_DIR = getConfig().VERIFICATION_CACHE_DIR;
+
+// Both backends expose the same async interface:
+//   get(key), set(key, value, ttlMs), delete(key), clear(), size()
+// Entries expire after their TTL and the least recently used entry is
+// evicted once maxSize is exceeded.
+
+function createMemoryCache({ ttlMs = DEFAULT_TTL_MS, maxSize = DEFAULT_MAX_SIZE } = {}) {
+    // Map iteration order doubles as the LRU order: oldest first
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry.value;
+        },
+
+        async set(key, value, entryTtlMs = ttlMs) {
+            entries.delete(key);
+            entries.set(key, { value, expiresAt: Date.now() + entryTtlMs });
+
+            while (entries.size > maxSize) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async delete(key) {
+            return entries.delete(key);
+        },
+
+        async clear() {
+            entries.clear();
+        },
+
+        async size() {
+            return entries.size;
+        }
+    };
+}
+
+// Shared-directory backend so several proxy instances, and restarts, see the
+// same entries. Each key lives in its own file named after its hash.
+function createFileCache({ dir = DEFAULT_CACHE_DIR, namespace = 'verifications', ttlMs = DEFAULT_TTL_MS, maxSize = DEFAULT_MAX_SIZE } = {}) {
+    const root = path.join(dir, namespace);
+    const entryPath = (key) => path.join(root, `${crypto.createHash('sha256').update(String(key)).digest('hex')}.json`);
+
+    // Resolves to { entry, ino } read through one file handle, so the inode
+    // is the one the content came from; null if there is no usable entry
+    async function read(file) {
+        let handle;
+        try {
+            handle = await fs.open(file, 'r');
+            const { ino } = await handle.stat();
+            return { entry: JSON.parse(await handle.readFile('utf8')), ino };
+        } catch (error) {
+            // Missing, or removed/half-written by another instance
+            if (error.code === 'ENOENT' || error instanceof SyntaxError) return null;
+            throw error;
+        } finally {
+            await handle?.close();
+        }
+    }
+
+    // Every write is a new file renamed into place, so it gets a new inode.
+    // The mtime records the last access, for LRU eviction.
+    async function write(file, entry) {
+        await fs.mkdir(root, { recursive: true });
+        const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(entry));
+        await touch(tmp);
+        await fs.rename(tmp, file);
+    }
+
+    // Marks an entry as used without rewriting it, so a read can never put
+    // back a value that a concurrent set or delete replaced
+    async function touch(file) {
+        const now = Date.now() / 1000;
+        try {
+            await fs.utimes(file, now, now);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async function unlink(file) {
+        try {
+            await fs.unlink(file);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    // Removes an entry only if it hasn't been rewritten since it was read, so
+    // an expired or evicted entry replaced meanwhile survives
+    async function unlinkIfUnchanged(file, ino) {
+        try {
+            if ((await fs.stat(file)).ino !== ino) return false;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+        return unlink(file);
+    }
+
+    async function listFiles() {
+        try {
+            return (await fs.readdir(root))
+                .filter(name => name.endsWith('.json'))
+                .map(name => path.join(root, name));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function evict() {
+        const files = await listFiles();
+        if (files.length <= maxSize) return;
+
+        const now = Date.now();
+        const live = [];
+        for (const file of files) {
+            const stored = await read(file);
+            if (!stored) continue;
+
+            if (stored.entry.expiresAt <= now) {
+                await unlinkIfUnchanged(file, stored.ino);
+                continue;
+            }
+            try {
+                live.push({ file, ino: stored.ino, lastAccessedAt: (await fs.stat(file)).mtimeMs });
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        live.sort((a, b) => a.lastAccessedAt - b.lastAccessedAt);
+        for (const { file, ino } of live.slice(0, Math.max(live.length - maxSize, 0))) {
+            await unlinkIfUnchanged(file, ino);
+        }
+    }
+
+    return {
+        async get(key) {
+            const file = entryPath(key);
+            const stored = await read(file);
+            if (!stored) return undefined;
+
+            if (stored.entry.expiresAt <= Date.now()) {
+                await unlinkIfUnchanged(file, stored.ino);
+                return undefined;
+            }
+
+            await touch(file);
+            return stored.entry.value;
+        },
+
+        async set(key, value, entryTtlMs = ttlMs) {
+            await write(entryPath(key), { key, value, expiresAt: Date.now() + entryTtlMs });
+            await evict();
+        },
+
+        async delete(key) {
+            return unlink(entryPath(key));
+        },
+
+        async clear() {
+            for (const file of await listFiles()) {
+                await unlink(file);
+            }
+        },
+
+        async size() {
+            return (await listFiles()).length;
+        }
+    };
+}
+
+function createCache(options = {}) {
+    const backend = options.backend || getConfig().VERIFICATION_CACHE_BACKEND;
+
+    switch (backend) {
+        case 'memory':
+            return createMemoryCache(options);
+        case 'file':
+            return createFileCache(options);
+        default:
+            throw new Error(`Unknown verification cache backend: ${backend}`);
+    }
+}
+
+let verificationCache = createCache();
+const invalidationListeners = new Set();
+
+function getVerificationCache() {
+    return verificationCache;
+}
+
+function setVerificationCache(cache) {
+    verificationCache = cache;
+}
+
+// Register a callback run whenever a user's verification data changes, so
+// caches derived from it (e.g. admin views) can drop their copies too.
+function onVerificationInvalidated(listener) {
+    invalidationListeners.add(listener);
+    return () => invalidationListeners.delete(listener);
+}
+
+async function invalidateVerification(userId) {
+    await verificationCache.delete(userId);
+
+    for (const listener of invalidationListeners) {
+        try {
+            await listener(userId);
+        } catch (error) {
+            logger.error('Verification cache invalidation hook failed', { userId, error });
+        }
+    }
+}
+
+export {
+    createMemoryCache,
+    createFileCache,
+    createCache,
+    getVerificationCache,
+    setVerificationCache,
+    onVerificationInvalidated,
+    invalidateVerification
+};
@@ -0,0 +1,112 @@
+import { interpretReview } from './webhookEvents.js';
+import { parseSumsubTimestamp } from './webhookDeduplicator.js';
+
+// Stable shapes for the user-facing /api/verification/* routes. Sumsub's raw
+// responses (and our cached webhook data) vary by endpoint and API version;
+// the frontend only ever sees these. See the readme for the documented fields.
+
+function toIso(value) {
+    const ms = parseSumsubTimestamp(value);
+    return ms === null ? null : new Date(ms).toISOString();
+}
+
+function reviewFields(review) {
+    return {
+        reviewStatus: review.reviewStatus,
+        reviewAnswer: review.reviewAnswer,
+        rejectType: review.reviewRejectType,
+        rejectLabels: review.rejectLabels,
+        moderationComment: review.moderationComment || null
+    };
+}
+
+// Works on both an applicant from Sumsub (/one, with a nested `review`) and a
+// processed webhook from the verification cache (flat reviewStatus/reviewResult)
+function normalizeStatus(raw, externalUserId) {
+    if (!raw) {
+        return {
+            externalUserId,
+            applicantId: null,
+            levelName: null,
+            status: 'not_started',
+            reviewStatus: null,
+            reviewAnswer: null,
+            rejectType: null,
+            rejectLabels: [],
+            moderationComment: null,
+            updatedAt: null
+        };
+    }
+
+    const nested = raw.review || {};
+    const review = interpretReview({
+        reviewStatus: nested.reviewStatus || raw.reviewStatus,
+        reviewResult: nested.reviewResult || raw.reviewResult
+    });
+
+    return {
+        externalUserId: raw.externalUserId || externalUserId,
+        applicantId: raw.id || raw.applicantId || null,
+        levelName: nested.levelName || raw.levelName || null,
+        status: review.outcome,
+        ...reviewFields(review),
+        updatedAt: toIso(nested.reviewDate || raw.processedAt || raw.lastChecked)
+    };
+}
+
+// requiredIdDocsStatus: { IDENTITY: {...} | null, SELFIE: {...} | null, ... }
+function normalizeDocuments(raw, externalUserId) {
+    const documents = Object.entries(raw || {}).map(([step, doc]) => {
+        if (!doc) {
+            return {
+                step,
+                status: 'not_submitted',
+                idDocType: null,
+                country: null,
+                imageCount: 0,
+                rejectLabels: [],
+                moderationComment: null
+            };
+        }
+
+        // A submitted document without an answer is waiting for review
+        const review = interpretReview({ reviewStatus: 'submitted', reviewResult: doc.reviewResult });
+        return {
+            step,
+            status: review.outcome,
+            idDocType: doc.idDocType || null,
+            country: doc.country || null,
+            imageCount: doc.imageIds?.length ?? 0,
+            rejectLabels: review.rejectLabels,
+            moderationComment: review.moderationComment || null
+        };
+    });
+
+    return { externalUserId, documents };
+}
+
+// Accepts a single status object or a list of them, newest first in the output
+function normalizeHistory(raw, externalUserId) {
+    const items = Array.isArray(raw) ? raw : raw?.items || (raw ? [raw] : []);
+
+    const history = items.map(item => {
+        const review = interpretReview(item);
+        return {
+            status: review.outcome,
+            ...reviewFields(review),
+            levelName: item.levelName || null,
+            attempt: item.attemptCnt ?? null,
+            startedAt: toIso(item.startDate || item.createDate),
+            reviewedAt: toIso(item.reviewDate)
+        };
+    });
+
+    history.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+    return { externalUserId, history };
+}
+
+export {
+    normalizeStatus,
+    normalizeDocuments,
+    normalizeHistory
+};
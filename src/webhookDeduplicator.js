@@ -0,0 +1,106 @@
+import { getConfig } from './config.js';
+
+// Sumsub retries a webhook until it gets a 2xx, so the same event can arrive
+// several times. Deliveries are identified by the event's own identifiers and
+// remembered for as long as they would be accepted as fresh.
+
+// Sumsub retries for roughly a day after the original attempt
+const DEFAULT_MAX_AGE_MS = getConfig().WEBHOOK_MAX_AGE_SECONDS * 1000;
+const DEFAULT_MAX_SKEW_MS = getConfig().WEBHOOK_MAX_CLOCK_SKEW_SECONDS * 1000;
+
+// Sumsub sends `createdAtMs` as "2020-02-21 13:23:19.321" (UTC, no zone) and
+// `createdAt` as "2020-02-21 13:23:19+0000"
+function parseSumsubTimestamp(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !value) return null;
+
+    let iso = value.trim().replace(' ', 'T').replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+    if (!/(Z|[+-]\d{2}:\d{2})$/.test(iso)) {
+        iso += 'Z';
+    }
+
+    const ms = Date.parse(iso);
+    return Number.isNaN(ms) ? null : ms;
+}
+
+// The createdAtMs format, for events built locally
+function formatSumsubTimestamp(date = new Date()) {
+    return date.toISOString().replace('T', ' ').replace('Z', '');
+}
+
+function getEventTimestamp(event) {
+    return parseSumsubTimestamp(event.createdAtMs) ?? parseSumsubTimestamp(event.createdAt);
+}
+
+function getEventKey(event) {
+    return [
+        event.correlationId || '',
+        event.inspectionId || event.applicantId || '',
+        event.type || '',
+        event.createdAtMs || event.createdAt || ''
+    ].join('|');
+}
+
+function checkEventFreshness(event, { maxAgeMs = DEFAULT_MAX_AGE_MS, maxSkewMs = DEFAULT_MAX_SKEW_MS, now = Date.now() } = {}) {
+    const timestamp = getEventTimestamp(event);
+
+    if (timestamp === null) {
+        return { fresh: false, reason: 'Missing or invalid event timestamp' };
+    }
+    if (now - timestamp > maxAgeMs) {
+        return { fresh: false, reason: 'Webhook event is older than the accepted window', timestamp };
+    }
+    if (timestamp - now > maxSkewMs) {
+        return { fresh: false, reason: 'Webhook event timestamp is in the future', timestamp };
+    }
+
+    return { fresh: true, timestamp };
+}
+
+function createMemoryDedupStore() {
+    const seen = new Map();
+
+    function sweep(now) {
+        for (const [key, expiresAt] of seen) {
+            if (expiresAt <= now) seen.delete(key);
+        }
+    }
+
+    return {
+        // Returns true if the key was not seen before and is now claimed
+        async claim(key, ttlMs) {
+            const now = Date.now();
+            sweep(now);
+
+            if (seen.has(key)) return false;
+            seen.set(key, now + ttlMs);
+            return true;
+        }
+    };
+}
+
+let dedupStore = createMemoryDedupStore();
+
+// Any object with an async claim(key, ttlMs) works, e.g. one backed by Redis SET NX PX
+function setWebhookDedupStore(store) {
+    dedupStore = store;
+}
+
+// Claim an event for processing. Keys are kept for the freshness window plus
+// the allowed skew, after which a replay is rejected as stale instead.
+async function claimWebhookEvent(event, { maxAgeMs = DEFAULT_MAX_AGE_MS, maxSkewMs = DEFAULT_MAX_SKEW_MS } = {}) {
+    const key = getEventKey(event);
+    const claimed = await dedupStore.claim(key, maxAgeMs + maxSkewMs);
+    return { key, duplicate: !claimed };
+}
+
+export {
+    parseSumsubTimestamp,
+    formatSumsubTimestamp,
+    getEventTimestamp,
+    getEventKey,
+    checkEventFreshness,
+    claimWebhookEvent,
+    createMemoryDedupStore,
+    setWebhookDedupStore
+};
@@ -0,0 +1,152 @@
+import { logger } from './logger.js';
+
+const log = logger.child({ component: 'webhookEvents' });
+
+// Registry of Sumsub webhook handlers, keyed by event type. Several handlers
+// may be registered for one type; they run in registration order.
+const handlers = new Map();
+
+function registerWebhookHandler(type, handler) {
+    if (!handlers.has(type)) {
+        handlers.set(type, []);
+    }
+    handlers.get(type).push(handler);
+
+    return () => {
+        const list = handlers.get(type) || [];
+        const index = list.indexOf(handler);
+        if (index !== -1) list.splice(index, 1);
+    };
+}
+
+function getWebhookHandlers(type) {
+    return handlers.get(type) || [];
+}
+
+// Sumsub reports the outcome in reviewResult.reviewAnswer (GREEN/RED);
+// reviewStatus only says how far the review has progressed.
+//   GREEN              -> approved
+//   RED + RETRY        -> resubmission_requested (user can fix and resubmit)
+//   RED + FINAL/other  -> rejected
+//   no answer yet      -> the reviewStatus (init, pending, queued, onHold, ...)
+function interpretReview(event) {
+    const reviewResult = event.reviewResult || {};
+    const { reviewAnswer, reviewRejectType, rejectLabels = [], moderationComment, clientComment } = reviewResult;
+
+    let outcome;
+    if (reviewAnswer === 'GREEN') {
+        outcome = 'approved';
+    } else if (reviewAnswer === 'RED') {
+        outcome = reviewRejectType === 'RETRY' ? 'resubmission_requested' : 'rejected';
+    } else {
+        outcome = event.reviewStatus || 'pending';
+    }
+
+    return {
+        outcome,
+        reviewStatus: event.reviewStatus || 'pending',
+        reviewAnswer: reviewAnswer || null,
+        reviewRejectType: reviewRejectType || null,
+        rejectLabels,
+        moderationComment,
+        clientComment
+    };
+}
+
+async function processWebhookEvent(event, context) {
+    const { type } = event;
+    const fields = { type, tenant: context.tenant, externalUserId: context.externalUserId };
+    const registered = getWebhookHandlers(type);
+
+    if (!registered.length) {
+        return handleUnknownEvent(event, context);
+    }
+
+    try {
+        log.debug('Processing event', fields);
+
+        for (const handler of registered) {
+            await handler(event, context);
+        }
+
+        log.info('Event processed', fields);
+    } catch (error) {
+        log.error('Event processing failed', { ...fields, error });
+        throw error;
+    }
+}
+
+// Unknown types are logged and acknowledged; Sumsub adds event types over
+// time and a new one must never make the webhook endpoint fail
+async function handleUnknownEvent(event, context) {
+    log.warn('Unhandled event type, acknowledged without processing', {
+        type: event.type,
+        tenant: context.tenant,
+        externalUserId: context.externalUserId
+    });
+}
+
+// ========================
+// Built-in Handlers
+// ========================
+
+async function handleApplicantReviewed(event, { externalUserId, review }) {
+    const rejected = review.outcome === 'rejected' || review.outcome === 'resubmission_requested';
+
+    log.info('Applicant reviewed', {
+        externalUserId,
+        outcome: review.outcome,
+        reviewAnswer: review.reviewAnswer || null,
+        rejectLabels: rejected ? review.rejectLabels : undefined
+    });
+}
+
+async function handleActionReviewed(event, { externalUserId, review }) {
+    log.info('Applicant action reviewed', {
+        externalUserId,
+        actionId: event.externalApplicantActionId || event.applicantActionId,
+        outcome: review.outcome
+    });
+}
+
+function logEvent(description) {
+    return async (event, { externalUserId }) => {
+        log.info(description, { type: event.type, externalUserId });
+    };
+}
+
+const BUILT_IN_HANDLERS = {
+    // Django's initiate endpoint hears about it as a webhook subscriber
+    applicantCreated: logEvent('Applicant created'),
+    applicantPending: logEvent('Verification submitted and pending review'),
+    applicantReviewed: handleApplicantReviewed,
+    applicantOnHold: logEvent('Verification on hold'),
+    applicantAwaitingService: logEvent('Verification awaiting an external service'),
+    applicantAwaitingUser: logEvent('Verification awaiting user action'),
+    applicantPrechecked: logEvent('Applicant passed prechecks'),
+    applicantPersonalInfoChanged: logEvent('Applicant personal info changed'),
+    applicantTagsChanged: logEvent('Applicant tags changed'),
+    applicantActivated: logEvent('Applicant activated'),
+    applicantDeactivated: logEvent('Applicant deactivated'),
+    applicantDeleted: logEvent('Applicant deleted'),
+    applicantReset: logEvent('Applicant reset'),
+    applicantLevelChanged: logEvent('Applicant level changed'),
+    applicantWorkflowCompleted: logEvent('Verification workflow completed'),
+    applicantWorkflowFailed: logEvent('Verification workflow failed'),
+    applicantActionPending: logEvent('Applicant action pending'),
+    applicantActionReviewed: handleActionReviewed,
+    applicantActionOnHold: logEvent('Applicant action on hold'),
+    videoIdentStatusChanged: logEvent('Video ident status changed'),
+    videoIdentCompositionCompleted: logEvent('Video ident recording ready')
+};
+
+for (const [type, handler] of Object.entries(BUILT_IN_HANDLERS)) {
+    registerWebhookHandler(type, handler);
+}
+
+export {
+    registerWebhookHandler,
+    getWebhookHandlers,
+    interpretReview,
+    processWebhookEvent
+};
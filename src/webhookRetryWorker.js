@@ -0,0 +1,127 @@
+import { getDeadLetterStore } from './deadLetterStore.js';
+import { logger } from './logger.js';
+import { describeMetric, incrementCounter } from './metrics.js';
+import { getConfig } from './config.js';
+
+const log = logger.child({ component: 'webhookRetryWorker' });
+
+describeMetric('webhook_retries_total', 'counter', 'Dead-letter retry attempts by subscriber and resulting entry status');
+
+const config = getConfig();
+const DEFAULT_OPTIONS = {
+    intervalMs: config.WEBHOOK_RETRY_INTERVAL_MS,
+    maxAttempts: config.WEBHOOK_RETRY_MAX_ATTEMPTS,
+    baseDelayMs: config.WEBHOOK_RETRY_BASE_DELAY_MS,
+    maxDelayMs: config.WEBHOOK_RETRY_MAX_DELAY_MS
+};
+
+function computeBackoff(attempts, { baseDelayMs, maxDelayMs }) {
+    return Math.min(baseDelayMs * 2 ** Math.max(attempts - 1, 0), maxDelayMs);
+}
+
+// Attempt delivery of a single dead-lettered webhook and record the outcome.
+// Delivered entries are removed; failures are rescheduled or marked dead.
+// An entry turned away by an open circuit breaker was never sent, so it is
+// parked until the breaker may let calls through, without using an attempt.
+async function retryEntry(entry, deliver, options = {}) {
+    const { store = getDeadLetterStore(), ...rest } = options;
+    const settings = { ...DEFAULT_OPTIONS, ...rest };
+    const attempts = entry.attempts + 1;
+    // Entries from before fan-out existed were all meant for Django
+    const countRetry = (status) => incrementCounter('webhook_retries_total', { subscriber: entry.subscriber || 'django', status });
+
+    try {
+        await deliver(entry);
+        await store.remove(entry.id);
+        countRetry('delivered');
+        log.info('Dead-lettered webhook delivered', { id: entry.id, subscriber: entry.subscriber, attempts });
+        return { id: entry.id, status: 'delivered', attempts };
+    } catch (error) {
+        if (error.code === 'ECIRCUITOPEN') {
+            const nextAttemptAt = new Date(Date.now() + error.retryAfterMs).toISOString();
+            await store.update(entry.id, { status: 'pending', nextAttemptAt });
+            countRetry('parked');
+            log.info('Dead-lettered webhook parked, circuit open', { id: entry.id, subscriber: entry.subscriber, nextAttemptAt });
+            return { id: entry.id, status: 'parked', attempts: entry.attempts, nextAttemptAt };
+        }
+
+        const lastError = {
+            message: error.message,
+            status: error.response?.status,
+            at: new Date().toISOString()
+        };
+
+        if (attempts >= settings.maxAttempts) {
+            await store.update(entry.id, { status: 'dead', attempts, lastError });
+            countRetry('dead');
+            log.error('Dead-lettered webhook exhausted its attempts', { id: entry.id, subscriber: entry.subscriber, attempts, lastError });
+            return { id: entry.id, status: 'dead', attempts, error: lastError };
+        }
+
+        const nextAttemptAt = new Date(Date.now() + computeBackoff(attempts, settings)).toISOString();
+        await store.update(entry.id, { status: 'pending', attempts, lastError, nextAttemptAt });
+        countRetry('pending');
+        log.warn('Webhook retry failed', { id: entry.id, subscriber: entry.subscriber, attempts, nextAttemptAt, lastError });
+        return { id: entry.id, status: 'pending', attempts, nextAttemptAt, error: lastError };
+    }
+}
+
+function startRetryWorker(deliver, options = {}) {
+    const { store = getDeadLetterStore(), ...rest } = options;
+    const settings = { ...DEFAULT_OPTIONS, ...rest };
+    let running = false;
+
+    async function runOnce() {
+        // Skip the tick if the previous pass is still working through the queue
+        if (running) return [];
+        running = true;
+
+        try {
+            const now = Date.now();
+            // Outbox entries still `delivering` past their deadline were cut
+            // off by a restart and are retried like any other
+            const due = (await store.list())
+                .filter(entry => ['pending', 'delivering'].includes(entry.status))
+                .filter(entry => Date.parse(entry.nextAttemptAt) <= now);
+
+            // Each subscriber's entries are retried in order, but subscribers
+            // run side by side so one slow consumer doesn't hold up the rest
+            const bySubscriber = new Map();
+            for (const entry of due) {
+                const key = entry.subscriber || '';
+                if (!bySubscriber.has(key)) bySubscriber.set(key, []);
+                bySubscriber.get(key).push(entry);
+            }
+
+            const results = await Promise.all([...bySubscriber.values()].map(async entries => {
+                const outcomes = [];
+                for (const entry of entries) {
+                    outcomes.push(await retryEntry(entry, deliver, { store, ...settings }));
+                }
+                return outcomes;
+            }));
+            return results.flat();
+        } catch (error) {
+            log.error('Webhook retry pass failed', { error });
+            return [];
+        } finally {
+            running = false;
+        }
+    }
+
+    const timer = setInterval(runOnce, settings.intervalMs);
+    timer.unref();
+
+    return {
+        runOnce,
+        stop() {
+            clearInterval(timer);
+        }
+    };
+}
+
+export {
+    startRetryWorker,
+    retryEntry,
+    computeBackoff
+};
@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { logger } from './logger.js';
+import { getConfig } from './config.js';
+
+// Sumsub signs webhook bodies with an HMAC whose algorithm it names in the
+// X-Payload-Digest-Alg header. Several secrets can be active at once so a new
+// one can be rolled out in Sumsub before the old one is retired; each secret
+// is identified by a short fingerprint so logs and metrics can say which one
+// matched without revealing it.
+
+const DIGEST_ALGORITHMS = {
+    HMAC_SHA1_HEX: 'sha1',
+    HMAC_SHA256_HEX: 'sha256',
+    HMAC_SHA512_HEX: 'sha512'
+};
+
+// Deliveries without the header predate it and are SHA-256
+const DEFAULT_DIGEST_ALG = 'HMAC_SHA256_HEX';
+
+function parseWebhookSecrets(value) {
+    if (Array.isArray(value)) return value.filter(Boolean);
+    return (value || '').split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+function secretKeyId(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 8);
+}
+
+function allowedAlgorithms() {
+    const configured = getConfig().SUMSUB_WEBHOOK_ALGORITHMS;
+    return configured.length ? configured : Object.keys(DIGEST_ALGORITHMS);
+}
+
+// Skips verification for apps without a secret. Never allowed in production.
+function isInsecureDevMode() {
+    return getConfig().WEBHOOK_INSECURE_DEV_MODE;
+}
+
+// The digest Sumsub would send for this body, e.g. to replay a stored payload
+function signPayloadDigest(rawBody, secret, algorithm = DEFAULT_DIGEST_ALG) {
+    if (!DIGEST_ALGORITHMS[algorithm]) {
+        throw new Error(`Unsupported digest algorithm: ${algorithm}`);
+    }
+    return crypto.createHmac(DIGEST_ALGORITHMS[algorithm], secret).update(rawBody).digest('hex');
+}
+
+function signatureError(message) {
+    return Object.assign(new Error(message), { status: 403 });
+}
+
+// Resolves to { algorithm, keyId } for the secret that produced the digest
+function verifyPayloadDigest(rawBody, digest, { algorithm = DEFAULT_DIGEST_ALG, secrets = [] } = {}) {
+    if (!digest) {
+        throw signatureError('Missing x-payload-digest header');
+    }
+    if (!DIGEST_ALGORITHMS[algorithm] || !allowedAlgorithms().includes(algorithm)) {
+        throw signatureError(`Unsupported x-payload-digest-alg: ${algorithm}`);
+    }
+
+    const received = Buffer.from(digest.toLowerCase(), 'utf8');
+    for (const secret of secrets) {
+        const computed = Buffer.from(signPayloadDigest(rawBody, secret, algorithm), 'utf8');
+        if (received.length === computed.length && crypto.timingSafeEqual(received, computed)) {
+            return { algorithm, keyId: secretKeyId(secret) };
+        }
+    }
+
+    throw signatureError('Invalid webhook signature');
+}
+
+// Called once at startup: every app that receives webhooks needs a secret
+function assertWebhookSecrets(clients) {
+    const insecure = isInsecureDevMode();
+
+    if (insecure && getConfig().NODE_ENV === 'production') {
+        throw new Error('WEBHOOK_INSECURE_DEV_MODE cannot be enabled when NODE_ENV=production');
+    }
+
+    const missing = clients.filter(client => !client.webhookSecrets.length).map(client => client.name);
+    if (!missing.length) return;
+
+    if (!insecure) {
+        throw new Error(`Webhook secret is not configured for tenant(s): ${missing.join(', ')}. ` +
+            'Set the *_WEBHOOK_SECRET variable, or WEBHOOK_INSECURE_DEV_MODE=true for local development.');
+    }
+    logger.warn('Insecure dev mode: webhooks are accepted without verification', { tenants: missing });
+}
+
+export {
+    DIGEST_ALGORITHMS,
+    DEFAULT_DIGEST_ALG,
+    parseWebhookSecrets,
+    secretKeyId,
+    isInsecureDevMode,
+    signPayloadDigest,
+    verifyPayloadDigest,
+    assertWebhookSecrets
+};
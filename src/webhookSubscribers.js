@@ -0,0 +1,280 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import { getDeadLetterStore } from './deadLetterStore.js';
+import { getDjangoBreaker } from './djangoClient.js';
+import { recordAudit } from './auditLog.js';
+import { getRequestContext } from './requestContext.js';
+import { logger } from './logger.js';
+import { describeMetric, incrementCounter } from './metrics.js';
+import { getConfig } from './config.js';
+
+// Outbound fan-out of processed Sumsub webhooks. Each subscriber is a URL plus
+// the event types it wants ('*' for all), and optionally `buildBody` to send
+// something other than the normalized payload. Django is the built-in
+// subscriber, twice: every event goes to its webhook endpoint, and new
+// applicants to its initiate endpoint. Others come from the environment:
+//   WEBHOOK_SUBSCRIBERS=risk,crm
+//   WEBHOOK_SUBSCRIBER_RISK_URL=https://risk.internal/hooks/kyc
+//   WEBHOOK_SUBSCRIBER_RISK_EVENTS=applicantReviewed,applicantOnHold
+//   WEBHOOK_SUBSCRIBER_RISK_SECRET=...
+//
+// Deliveries run in the background, independently per subscriber, so a slow
+// consumer delays neither the others nor the acknowledgment to Sumsub. Each
+// one is saved to the dead-letter store as a `delivering` outbox entry first
+// and removed once it succeeds, so a restart mid-delivery can't lose it: the
+// retry worker picks up entries still there after the delivery's timeout. A
+// failed delivery stays queued under the subscriber's name and is retried on
+// the worker's schedule. A subscriber may carry a circuit breaker (Django
+// shares the Django client's); while it is open deliveries are parked in the
+// dead-letter queue without being attempted.
+
+const log = logger.child({ component: 'webhookSubscribers' });
+
+describeMetric('webhook_deliveries_total', 'counter', 'Outbound webhook deliveries by subscriber, source (dispatch or deadLetterRetry) and outcome');
+const DEFAULT_TIMEOUT_MS = getConfig().WEBHOOK_DELIVERY_TIMEOUT_MS;
+// How long past its timeout an in-flight delivery's outbox entry is left alone
+const OUTBOX_GRACE_MS = 30000;
+
+const subscribers = new Map();
+const inflight = new Set();
+let loaded = false;
+
+// Registered on first use rather than at import
+function ensureLoaded() {
+    if (!loaded) {
+        loaded = true;
+        loadSubscribersFromConfig();
+    }
+}
+
+function registerSubscriber({ name, url, events = ['*'], secret, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, auditEvent = 'webhook.delivery', breaker = null, buildBody = null }) {
+    ensureLoaded();
+    if (!name || !url) {
+        throw new Error('A webhook subscriber needs a name and a URL');
+    }
+
+    const subscriber = { name, url, events, secret, headers, timeoutMs, auditEvent, breaker, buildBody };
+    subscribers.set(name, subscriber);
+    return subscriber;
+}
+
+function unregisterSubscriber(name) {
+    ensureLoaded();
+    return subscribers.delete(name);
+}
+
+function getSubscriber(name) {
+    ensureLoaded();
+    return subscribers.get(name) || null;
+}
+
+function listSubscribers() {
+    ensureLoaded();
+    return [...subscribers.values()];
+}
+
+function subscribersFor(type) {
+    return listSubscribers().filter(s => s.events.includes('*') || s.events.includes(type));
+}
+
+// Signature over "<timestamp>.<body>", so a captured delivery can't be
+// replayed later with a fresh timestamp
+function signDelivery(body, secret, timestamp) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function loadSubscribersFromConfig(config = getConfig()) {
+    registerSubscriber({
+        name: 'django',
+        url: `${config.DJANGO_API_BASE_URL}/kyc/webhook/sumsub/`,
+        events: config.DJANGO_WEBHOOK_EVENTS,
+        secret: config.DJANGO_WEBHOOK_SECRET || config.WEBHOOK_SIGNING_SECRET,
+        headers: {
+            'Authorization': `Bearer ${config.DJANGO_SERVICE_TOKEN}`,
+            'X-Webhook-Source': 'sumsub-node-proxy'
+        },
+        timeoutMs: config.DJANGO_WEBHOOK_TIMEOUT_MS,
+        auditEvent: 'django.forward',
+        breaker: getDjangoBreaker()
+    });
+
+    // Delivered like any forward, so a failed or parked call is dead-lettered
+    // and retried instead of being lost once Sumsub has its 200
+    registerSubscriber({
+        name: 'django-initiate',
+        url: `${config.DJANGO_API_BASE_URL}/kyc/verifications/initiate/`,
+        events: ['applicantCreated'],
+        secret: config.DJANGO_WEBHOOK_SECRET || config.WEBHOOK_SIGNING_SECRET,
+        headers: {
+            'Authorization': `Bearer ${config.DJANGO_SERVICE_TOKEN}`,
+            'X-Webhook-Source': 'sumsub-node-proxy'
+        },
+        timeoutMs: config.DJANGO_REQUEST_TIMEOUT_MS,
+        auditEvent: 'django.forward',
+        breaker: getDjangoBreaker(),
+        buildBody: (payload) => ({
+            external_user_id: payload.externalUserId,
+            applicant_id: payload.applicantId,
+            level_name: payload.levelName
+        })
+    });
+
+    // Already validated, with secrets resolved, by the config module
+    for (const subscriber of config.webhookSubscribers) {
+        registerSubscriber(subscriber);
+    }
+}
+
+// One POST to one subscriber. deliveryId stays the same across retries so
+// consumers can deduplicate.
+async function deliverToSubscriber(subscriber, payload, { deliveryId = crypto.randomUUID(), source = 'dispatch' } = {}) {
+    const body = JSON.stringify(subscriber.buildBody ? subscriber.buildBody(payload) : payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': deliveryId,
+        'X-Webhook-Event': payload.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        ...subscriber.headers
+    };
+    // Deliveries made while handling a webhook carry its correlation ID;
+    // dead-letter retries run outside any request and have none
+    const { requestId } = getRequestContext();
+    if (requestId) {
+        headers['X-Request-Id'] = requestId;
+    }
+    if (subscriber.secret) {
+        headers['X-Webhook-Signature'] = `sha256=${signDelivery(body, subscriber.secret, timestamp)}`;
+    }
+
+    // The payload carries review comments and the original event, so the
+    // audit trail gets its digest rather than a copy
+    const audit = {
+        userId: payload.externalUserId,
+        subscriber: subscriber.name,
+        deliveryId,
+        source,
+        type: payload.type,
+        applicantId: payload.applicantId,
+        reviewAnswer: payload.reviewAnswer,
+        payloadSha256: crypto.createHash('sha256').update(body).digest('hex')
+    };
+
+    const post = () => axios.post(subscriber.url, body, { headers, timeout: subscriber.timeoutMs });
+
+    try {
+        const response = await (subscriber.breaker ? subscriber.breaker.execute(post) : post());
+        incrementCounter('webhook_deliveries_total', { subscriber: subscriber.name, source, outcome: 'success' });
+        await recordAudit(subscriber.auditEvent, { ...audit, outcome: 'success', status: response.status });
+        return response;
+    } catch (error) {
+        const outcome = error.code === 'ECIRCUITOPEN' ? 'parked' : 'failed';
+        incrementCounter('webhook_deliveries_total', { subscriber: subscriber.name, source, outcome });
+        await recordAudit(subscriber.auditEvent, {
+            ...audit,
+            outcome,
+            status: error.response?.status,
+            error: error.message
+        });
+        throw error;
+    }
+}
+
+// Resolves to the outbox entry, or null if it couldn't be saved; the delivery
+// is still attempted then and dead-lettered if it fails, as before outboxes
+async function saveOutboxEntry(subscriber, payload, source) {
+    try {
+        return await getDeadLetterStore().add(payload, {
+            source,
+            subscriber: subscriber.name,
+            deliveryId: crypto.randomUUID(),
+            status: 'delivering',
+            nextAttemptAt: new Date(Date.now() + subscriber.timeoutMs + OUTBOX_GRACE_MS).toISOString()
+        });
+    } catch (error) {
+        log.error('Failed to save outbox entry', { subscriber: subscriber.name, type: payload.type, error });
+        return null;
+    }
+}
+
+async function deliverOrDeadLetter(subscriber, payload, source, outboxEntry) {
+    const store = getDeadLetterStore();
+    const deliveryId = outboxEntry?.deliveryId || crypto.randomUUID();
+
+    try {
+        await deliverToSubscriber(subscriber, payload, { deliveryId, source });
+        log.info('Webhook delivered', { subscriber: subscriber.name, type: payload.type, deliveryId });
+        if (outboxEntry) await store.remove(outboxEntry.id);
+    } catch (error) {
+        const parked = error.code === 'ECIRCUITOPEN';
+        log[parked ? 'warn' : 'error'](parked ? 'Webhook delivery parked, circuit open' : 'Webhook delivery failed', {
+            subscriber: subscriber.name,
+            type: payload.type,
+            deliveryId,
+            status: error.response?.status,
+            error: error.message
+        });
+
+        const lastError = { message: error.message, status: error.response?.status };
+        try {
+            // An outbox entry that is gone was erased or removed by an admin
+            // meanwhile, and stays gone
+            const entry = outboxEntry
+                ? await store.update(outboxEntry.id, { status: 'pending', lastError, nextAttemptAt: new Date().toISOString() })
+                : await store.add(payload, { source, subscriber: subscriber.name, deliveryId, error: lastError });
+            if (entry) {
+                log.warn('Stored failed delivery for retry', { id: entry.id, subscriber: subscriber.name });
+            }
+        } catch (storeError) {
+            log.error('Failed to dead-letter delivery', { subscriber: subscriber.name, error: storeError });
+        }
+    }
+}
+
+// Saves an outbox entry for every subscriber interested in payload.type, then
+// starts the deliveries without waiting for them. Resolves to the subscriber
+// names once the entries are saved, so the webhook can be acknowledged.
+async function dispatchWebhook(payload, { source = 'dispatch' } = {}) {
+    const targets = subscribersFor(payload.type);
+    const outboxEntries = await Promise.all(targets.map(subscriber => saveOutboxEntry(subscriber, payload, source)));
+
+    targets.forEach((subscriber, i) => {
+        const delivery = deliverOrDeadLetter(subscriber, payload, source, outboxEntries[i]);
+        inflight.add(delivery);
+        delivery.finally(() => inflight.delete(delivery));
+    });
+    return targets.map(s => s.name);
+}
+
+// Redeliver a dead-lettered entry; entries from before fan-out existed were
+// all meant for Django
+function redeliverDeadLetter(entry) {
+    const subscriber = getSubscriber(entry.subscriber || 'django');
+    if (!subscriber) {
+        return Promise.reject(new Error(`Unknown webhook subscriber: ${entry.subscriber}`));
+    }
+    return deliverToSubscriber(subscriber, entry.payload, {
+        deliveryId: entry.deliveryId || entry.id,
+        source: 'deadLetterRetry'
+    });
+}
+
+// Wait for background deliveries, e.g. before shutting down
+async function flushDeliveries() {
+    while (inflight.size) {
+        await Promise.allSettled([...inflight]);
+    }
+}
+
+export {
+    registerSubscriber,
+    unregisterSubscriber,
+    getSubscriber,
+    listSubscribers,
+    subscribersFor,
+    signDelivery,
+    deliverToSubscriber,
+    dispatchWebhook,
+    redeliverDeadLetter,
+    flushDeliveries
+};
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasAdminScope } from '../src/adminAccess.js';
+
+test('hasAdminScope accepts admin roles, staff flags and the admin permission', () => {
+    assert.equal(hasAdminScope({ role: 'admin' }), true);
+    assert.equal(hasAdminScope({ roles: ['support', 'compliance'] }), true);
+    assert.equal(hasAdminScope({ is_staff: true }), true);
+    assert.equal(hasAdminScope({ permissions: ['kyc.view_verification'] }), true);
+});
+
+test('hasAdminScope rejects regular users and missing users', () => {
+    assert.equal(hasAdminScope({ role: 'user', permissions: ['kyc.add_verification'] }), false);
+    assert.equal(hasAdminScope(undefined), false);
+});
+
+test('hasAdminScope honours custom roles and permissions', () => {
+    assert.equal(hasAdminScope({ role: 'auditor' }, { roles: ['auditor'] }), true);
+    assert.equal(hasAdminScope({ permissions: ['kyc.audit'] }, { permission: 'kyc.audit' }), true);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuditLog, verifyAuditLog, exportAuditLog } from '../src/auditLog.js';
+
+async function writeLog(records) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+    const log = createAuditLog(path.join(dir, 'audit.log'));
+    await Promise.all(records.map(([event, details]) => log.record(event, details)));
+    return log.file;
+}
+
+function rewrite(file, fn) {
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+    fs.writeFileSync(file, `${fn(lines).join('\n')}\n`);
+}
+
+test('concurrent writes produce a valid, linear chain', async () => {
+    const file = await writeLog([
+        ['sumsub.request', { userId: 'user_1', method: 'POST' }],
+        ['webhook.received', { userId: 'user_1', type: 'applicantReviewed' }],
+        ['django.forward', { userId: 'user_1', outcome: 'success' }]
+    ]);
+
+    const result = await verifyAuditLog(file);
+    assert.equal(result.valid, true);
+    assert.equal(result.records, 3);
+
+    // A fresh writer picks the chain up where the file ends
+    await createAuditLog(file).record('admin.access', { actor: 7 });
+    assert.equal((await verifyAuditLog(file)).valid, true);
+});
+
+test('verifyAuditLog detects edited records', async () => {
+    const file = await writeLog([
+        ['webhook.received', { userId: 'user_1', reviewAnswer: 'RED' }],
+        ['django.forward', { userId: 'user_1' }]
+    ]);
+
+    rewrite(file, lines => lines.map(line => line.replace('"RED"', '"GREEN"')));
+
+    const result = await verifyAuditLog(file);
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors.map(e => e.seq), [1]);
+});
+
+test('verifyAuditLog detects removed records', async () => {
+    const file = await writeLog([
+        ['sumsub.request', { userId: 'user_1' }],
+        ['sumsub.request', { userId: 'user_2' }],
+        ['sumsub.request', { userId: 'user_3' }]
+    ]);
+
+    rewrite(file, lines => [lines[0], lines[2]]);
+
+    const result = await verifyAuditLog(file);
+    assert.equal(result.valid, false);
+    assert.match(result.errors[0].reason, /Expected sequence 2/);
+});
+
+test('exportAuditLog filters by user and date range', async () => {
+    const file = await writeLog([
+        ['sumsub.request', { userId: 'user_1' }],
+        ['sumsub.request', { userId: 'user_2' }],
+        ['admin.access', { userId: null, actor: 'user_1' }]
+    ]);
+
+    const forUser = await exportAuditLog({ file, userId: 'user_1' });
+    assert.deepEqual(forUser.map(r => r.event), ['sumsub.request', 'admin.access']);
+
+    const future = await exportAuditLog({ file, userId: 'user_1', from: new Date(Date.now() + 60000).toISOString() });
+    assert.equal(future.length, 0);
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { createCircuitBreaker } from '../src/circuitBreaker.js';
+
+const fail = () => Promise.reject(Object.assign(new Error('boom'), { status: 503 }));
+const succeed = () => Promise.resolve('ok');
+
+test('the breaker opens after consecutive failures and then fails fast', async () => {
+    const breaker = createCircuitBreaker({ name: 'test-open', failureThreshold: 2, resetTimeoutMs: 60000 });
+    let calls = 0;
+    const counted = () => { calls++; return fail(); };
+
+    await assert.rejects(breaker.execute(counted), /boom/);
+    assert.equal(breaker.state, 'closed');
+    await assert.rejects(breaker.execute(counted), /boom/);
+    assert.equal(breaker.state, 'open');
+
+    await assert.rejects(breaker.execute(counted), (error) => {
+        assert.equal(error.code, 'ECIRCUITOPEN');
+        assert.equal(error.status, 503);
+        assert.ok(error.retryAfterMs > 59000);
+        return true;
+    });
+    assert.equal(calls, 2);
+    assert.ok(breaker.snapshot().retryAt);
+
+    breaker.reset();
+    assert.equal(await breaker.execute(succeed), 'ok');
+});
+
+test('a success resets the count and ignored errors never trip the breaker', async () => {
+    const breaker = createCircuitBreaker({
+        name: 'test-count',
+        failureThreshold: 2,
+        isFailure: (error) => error.status >= 500
+    });
+
+    await assert.rejects(breaker.execute(fail));
+    await breaker.execute(succeed);
+    await assert.rejects(breaker.execute(fail));
+    assert.equal(breaker.state, 'closed');
+
+    const rejected = () => Promise.reject(Object.assign(new Error('nope'), { status: 400 }));
+    for (let i = 0; i < 3; i++) {
+        await assert.rejects(breaker.execute(rejected), /nope/);
+    }
+    assert.equal(breaker.state, 'closed');
+});
+
+test('after the reset timeout one trial call decides whether the breaker closes', async () => {
+    const breaker = createCircuitBreaker({ name: 'test-trial', failureThreshold: 1, resetTimeoutMs: 20 });
+
+    await assert.rejects(breaker.execute(fail));
+    await sleep(30);
+    assert.equal(breaker.state, 'half_open');
+
+    // A failed trial opens it again straight away
+    await assert.rejects(breaker.execute(fail), /boom/);
+    assert.equal(breaker.state, 'open');
+    await sleep(30);
+
+    // Only one trial at a time
+    let release;
+    const trial = breaker.execute(() => new Promise(resolve => { release = resolve; }));
+    await assert.rejects(breaker.execute(succeed), { code: 'ECIRCUITOPEN' });
+    release('ok');
+    assert.equal(await trial, 'ok');
+    assert.equal(breaker.state, 'closed');
+    assert.deepEqual(breaker.snapshot(), { state: 'closed', failures: 0, openedAt: null, retryAt: null });
+});
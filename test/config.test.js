@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, setConfig, assertConfig, isSandboxUrl } from '../src/config.js';
+
+const BASE_ENV = {
+    SUMSUB_APP_TOKEN: 'prd:app-token',
+    SUMSUB_SECRET_KEY: 'secret-key',
+    SUMSUB_WEBHOOK_SECRET: 'webhook-secret',
+    DJANGO_API_BASE_URL: 'https://django.example.com/',
+    DJANGO_SERVICE_TOKEN: 'service-token',
+    DJANGO_ADMIN_TOKEN: 'admin-token'
+};
+
+test('values are typed, defaulted and derived from each other', () => {
+    const { config, errors } = loadConfig({ ...BASE_ENV, PORT: '8080', ADMIN_ROLES: 'admin, auditor', WEBHOOK_INSECURE_DEV_MODE: 'false' });
+
+    assert.deepEqual(errors, []);
+    assert.equal(config.profile, 'sandbox');
+    assert.equal(config.PORT, 8080);
+    assert.deepEqual(config.ADMIN_ROLES, ['admin', 'auditor']);
+    assert.equal(config.WEBHOOK_INSECURE_DEV_MODE, false);
+    assert.equal(config.SUMSUB_BASE_URL, 'https://api.sumsub.com');
+    assert.equal(config.DJANGO_API_BASE_URL, 'https://django.example.com');
+    assert.equal(config.AUTH_VALIDATE_URL, 'https://django.example.com/api/auth/validate-token/');
+    assert.deepEqual(config.DJANGO_WEBHOOK_EVENTS, ['*']);
+});
+
+test('every problem is reported at once', () => {
+    const { errors } = loadConfig({
+        SUMSUB_SECRET_KEY: 'secret-key',
+        DJANGO_API_BASE_URL: 'django.example.com',
+        DJANGO_SERVICE_TOKEN: 'service-token',
+        PORT: 'eighty',
+        AUTH_MODE: 'magic',
+        WEBHOOK_INSECURE_DEV_MODE: 'maybe'
+    });
+
+    assert.deepEqual(errors, [
+        'PORT: expected an integer, got "eighty"',
+        'SUMSUB_APP_TOKEN is required (or SUMSUB_APP_TOKEN_FILE)',
+        'WEBHOOK_INSECURE_DEV_MODE: expected true or false, got "maybe"',
+        'DJANGO_API_BASE_URL: "django.example.com" is not a valid URL',
+        'AUTH_MODE: expected one of remote, jwt, hybrid, got "magic"'
+    ]);
+});
+
+test('Sumsub rate limits reject negative rates and an empty burst, and 0 turns the limit off', () => {
+    const { errors } = loadConfig({ ...BASE_ENV, SUMSUB_RATE_LIMIT_PER_SEC: '-1', SUMSUB_RATE_LIMIT_BURST: '0' });
+    assert.deepEqual(errors, [
+        'SUMSUB_RATE_LIMIT_BURST: must be at least 1, got 0',
+        'SUMSUB_RATE_LIMIT_PER_SEC: must be at least 0, got -1'
+    ]);
+
+    const unlimited = loadConfig({ ...BASE_ENV, SUMSUB_RATE_LIMIT_PER_SEC: '0' });
+    assert.deepEqual(unlimited.errors, []);
+    assert.equal(unlimited.config.SUMSUB_RATE_LIMIT_PER_SEC, 0);
+});
+
+test('timeouts, intervals, sizes, thresholds, the port and webhook algorithms are range-checked', () => {
+    const { errors } = loadConfig({
+        ...BASE_ENV,
+        PORT: '-1',
+        SUMSUB_REQUEST_TIMEOUT_MS: '-5',
+        DJANGO_BREAKER_FAILURE_THRESHOLD: '0',
+        WEBHOOK_RETRY_INTERVAL_MS: '0',
+        RECONCILE_INTERVAL_MS: '10',
+        VERIFICATION_CACHE_MAX_SIZE: '0',
+        STATUS_STREAM_HEARTBEAT_MS: '0',
+        SUMSUB_WEBHOOK_ALGORITHMS: 'HMAC_SHA256_HEX, HMAC_SHA265_HEX'
+    });
+    assert.deepEqual(errors, [
+        'PORT: must be at least 1, got -1',
+        'SUMSUB_REQUEST_TIMEOUT_MS: must be at least 1, got -5',
+        'SUMSUB_WEBHOOK_ALGORITHMS: expected any of HMAC_SHA1_HEX, HMAC_SHA256_HEX, HMAC_SHA512_HEX, got "HMAC_SHA265_HEX"',
+        'DJANGO_BREAKER_FAILURE_THRESHOLD: must be at least 1, got 0',
+        'WEBHOOK_RETRY_INTERVAL_MS: must be at least 1000, got 0',
+        'RECONCILE_INTERVAL_MS: must be 0 or at least 1000, got 10',
+        'VERIFICATION_CACHE_MAX_SIZE: must be at least 1, got 0',
+        'STATUS_STREAM_HEARTBEAT_MS: must be at least 1000, got 0'
+    ]);
+
+    assert.deepEqual(loadConfig({ ...BASE_ENV, PORT: '65536' }).errors, ['PORT: must be at most 65535, got 65536']);
+    const { config, errors: none } = loadConfig({ ...BASE_ENV, RECONCILE_INTERVAL_MS: '0', SUMSUB_WEBHOOK_ALGORITHMS: 'HMAC_SHA512_HEX' });
+    assert.deepEqual(none, []);
+    assert.equal(config.RECONCILE_INTERVAL_MS, 0);
+    assert.deepEqual(config.SUMSUB_WEBHOOK_ALGORITHMS, ['HMAC_SHA512_HEX']);
+});
+
+test('secrets can be read from *_FILE paths', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    const file = path.join(dir, 'secret_key');
+    fs.writeFileSync(file, 'from-a-file\n');
+
+    try {
+        const { SUMSUB_SECRET_KEY, ...env } = BASE_ENV;
+        const { config, errors } = loadConfig({ ...env, SUMSUB_SECRET_KEY_FILE: file });
+        assert.deepEqual(errors, []);
+        assert.equal(config.SUMSUB_SECRET_KEY, 'from-a-file');
+
+        const both = loadConfig({ ...BASE_ENV, SUMSUB_SECRET_KEY_FILE: file });
+        assert.deepEqual(both.errors, ['SUMSUB_SECRET_KEY: set either SUMSUB_SECRET_KEY or SUMSUB_SECRET_KEY_FILE, not both']);
+
+        const missing = loadConfig({ ...env, SUMSUB_SECRET_KEY_FILE: path.join(dir, 'nope') });
+        assert.match(missing.errors[0], /^SUMSUB_SECRET_KEY_FILE: cannot read .*nope \(ENOENT\)$/);
+
+        // Only secrets may come from files
+        const notSecret = loadConfig({ ...BASE_ENV, PORT_FILE: file });
+        assert.equal(notSecret.config.PORT, 3000);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('the production profile refuses sandbox endpoints and tokens', () => {
+    const { errors } = loadConfig({
+        ...BASE_ENV,
+        NODE_ENV: 'production',
+        SUMSUB_APP_TOKEN: 'sbx:app-token',
+        SUMSUB_BASE_URL: 'http://127.0.0.1:4010',
+        DJANGO_API_BASE_URL: 'https://kyc-sandbox.example.com',
+        DJANGO_ADMIN_TOKEN: '',
+        WEBHOOK_INSECURE_DEV_MODE: 'true'
+    });
+
+    assert.deepEqual(errors, [
+        'DJANGO_ADMIN_TOKEN is required in production (or DJANGO_ADMIN_TOKEN_FILE)',
+        'SUMSUB_BASE_URL: http://127.0.0.1:4010 is a sandbox or non-HTTPS URL, not allowed in production',
+        'DJANGO_API_BASE_URL: https://kyc-sandbox.example.com is a sandbox or non-HTTPS URL, not allowed in production',
+        'AUTH_VALIDATE_URL: https://kyc-sandbox.example.com/api/auth/validate-token/ is a sandbox or non-HTTPS URL, not allowed in production',
+        'SUMSUB_APP_TOKEN is a Sumsub sandbox token (sbx:), not allowed in production',
+        'WEBHOOK_INSECURE_DEV_MODE must not be enabled in production'
+    ]);
+
+    assert.deepEqual(loadConfig({ ...BASE_ENV, CONFIG_PROFILE: 'production' }).errors, []);
+    assert.deepEqual(loadConfig({ ...BASE_ENV, CONFIG_PROFILE: 'staging' }).errors, [
+        'CONFIG_PROFILE: expected one of sandbox, production, got "staging"'
+    ]);
+    assert.equal(isSandboxUrl('https://localhost:8443'), true);
+    assert.equal(isSandboxUrl('https://api.sumsub.com'), false);
+});
+
+test('tenants and webhook subscribers are validated with the rest', () => {
+    const { config, errors } = loadConfig({
+        ...BASE_ENV,
+        SUMSUB_TENANTS: 'brand_a,brand b,brand_c',
+        SUMSUB_BRAND_A_APP_TOKEN: 'a-token',
+        SUMSUB_BRAND_A_SECRET_KEY: 'a-key',
+        SUMSUB_BRAND_A_BASE_URL: 'https://eu.sumsub.example/',
+        WEBHOOK_SUBSCRIBERS: 'risk,crm',
+        WEBHOOK_SIGNING_SECRET: 'shared',
+        WEBHOOK_SUBSCRIBER_RISK_URL: 'https://risk.example.com/hooks',
+        WEBHOOK_SUBSCRIBER_RISK_EVENTS: 'applicantReviewed, applicantOnHold'
+    });
+
+    assert.deepEqual(errors, [
+        'SUMSUB_TENANTS: invalid tenant name "brand b"',
+        'Tenant brand_c requires SUMSUB_BRAND_C_APP_TOKEN and SUMSUB_BRAND_C_SECRET_KEY',
+        'Webhook subscriber "crm" needs WEBHOOK_SUBSCRIBER_CRM_URL and WEBHOOK_SUBSCRIBER_CRM_SECRET (or WEBHOOK_SIGNING_SECRET)'
+    ]);
+    assert.equal(config.tenants[0].baseUrl, 'https://eu.sumsub.example');
+    assert.deepEqual(config.webhookSubscribers, [{
+        name: 'risk',
+        url: 'https://risk.example.com/hooks',
+        events: ['applicantReviewed', 'applicantOnHold'],
+        secret: 'shared',
+        timeoutMs: 10000
+    }]);
+});
+
+test('assertConfig fails with a report listing every problem', () => {
+    setConfig(loadConfig({ PORT: 'x' }));
+
+    assert.throws(() => assertConfig(), (error) => {
+        assert.match(error.message, /^Invalid configuration \(sandbox profile\):\n {2}- PORT: expected an integer, got "x"\n/);
+        assert.match(error.message, /\n {2}- SUMSUB_APP_TOKEN is required/);
+        assert.equal(error.errors.length, 5);
+        return true;
+    });
+
+    setConfig(loadConfig(BASE_ENV));
+    assert.equal(assertConfig().DJANGO_SERVICE_TOKEN, 'service-token');
+});
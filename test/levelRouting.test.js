@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectLevel, setLevelRules, getLevelRules } from '../src/levelRouting.js';
+
+const config = {
+    defaultLevel: 'kyc_verification',
+    rules: [
+        { level: 'kyc_enhanced', riskTiers: ['high'] },
+        { level: 'kyc_eu_card', countries: ['DEU', 'FRA'], products: ['card'] },
+        { level: 'kyc_eu', countries: ['DEU', 'FRA'] }
+    ]
+};
+
+test('selectLevel returns the first rule whose criteria all match', () => {
+    assert.equal(selectLevel({ country: 'FRA', product: 'card', riskTier: 'high' }, config), 'kyc_enhanced');
+    assert.equal(selectLevel({ country: 'fra', product: 'Card' }, config), 'kyc_eu_card');
+    assert.equal(selectLevel({ country: 'DEU', product: 'savings' }, config), 'kyc_eu');
+});
+
+test('selectLevel falls back to the default level', () => {
+    assert.equal(selectLevel({ country: 'USA', product: 'card' }, config), 'kyc_verification');
+    assert.equal(selectLevel({}, config), 'kyc_verification');
+    assert.equal(selectLevel({ product: 'card' }, config), 'kyc_verification');
+});
+
+test('setLevelRules rejects malformed rules', () => {
+    assert.throws(() => setLevelRules({ level: 'x' }), /JSON array/);
+    assert.throws(() => setLevelRules([{ countries: ['DEU'] }]), /needs a "level"/);
+    assert.throws(() => setLevelRules([{ level: 'x', country: 'DEU' }]), /unknown criterion "country"/);
+    assert.throws(() => setLevelRules([{ level: 'x', countries: 'DEU' }]), /must be an array/);
+
+    setLevelRules([{ level: 'kyc_eu', countries: ['DEU'] }], 'basic-kyc');
+    assert.equal(selectLevel({ country: 'DEU' }), 'kyc_eu');
+    assert.equal(selectLevel({ country: 'USA' }), 'basic-kyc');
+    assert.equal(getLevelRules().defaultLevel, 'basic-kyc');
+});
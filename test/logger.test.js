@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from '../src/logger.js';
+import { runWithRequestContext } from '../src/requestContext.js';
+
+function capture(options = {}) {
+    const lines = [];
+    const logger = createLogger({ write: (line, level) => lines.push({ line, level }), ...options });
+    return { logger, lines, entries: () => lines.map(({ line }) => JSON.parse(line)) };
+}
+
+test('entries below the configured level are dropped', () => {
+    const { logger, entries } = capture({ level: 'warn' });
+
+    logger.log('debug', 'noise');
+    logger.log('info', 'still noise');
+    logger.log('warn', 'kept');
+    logger.log('error', 'also kept');
+
+    assert.deepEqual(entries().map(entry => entry.level), ['warn', 'error']);
+    assert.equal(logger.isLevelEnabled('info'), false);
+    assert.throws(() => createLogger({ level: 'verbose' }), /Unknown LOG_LEVEL/);
+});
+
+test('entries are JSON lines carrying the request ID and actor of the current request', async () => {
+    const { logger, entries } = capture();
+
+    await runWithRequestContext({ requestId: 'req-1', actor: 42 }, async () => {
+        await Promise.resolve();
+        logger.log('info', 'inside', { tenant: 'default' });
+    });
+    logger.log('info', 'outside');
+
+    const [inside, outside] = entries();
+    assert.equal(inside.msg, 'inside');
+    assert.equal(inside.requestId, 'req-1');
+    assert.equal(inside.actor, 42);
+    assert.equal(inside.tenant, 'default');
+    assert.ok(!Number.isNaN(Date.parse(inside.timestamp)));
+    assert.equal('requestId' in outside, false);
+});
+
+test('personal data and credentials are redacted at any depth', () => {
+    const { logger, entries } = capture({ redactFields: ['firstName', 'dob', 'number', 'signature', 'token', 'iban'] });
+
+    logger.log('info', 'applicant', {
+        externalUserId: 'user_1',
+        info: {
+            first_name: 'Ada',
+            DOB: '1815-12-10',
+            idDocs: [{ idDocType: 'PASSPORT', number: 'X1234567' }]
+        },
+        headers: { Signature: 'abc123' },
+        token: 'secret-token',
+        iban: 'DE89370400440532013000',
+        message: 'called with Bearer eyJhbGciOi.payload.sig'
+    });
+
+    const [entry] = entries();
+    assert.equal(entry.externalUserId, 'user_1');
+    assert.equal(entry.info.first_name, '[REDACTED]');
+    assert.equal(entry.info.DOB, '[REDACTED]');
+    assert.deepEqual(entry.info.idDocs, [{ idDocType: 'PASSPORT', number: '[REDACTED]' }]);
+    assert.equal(entry.headers.Signature, '[REDACTED]');
+    assert.equal(entry.token, '[REDACTED]');
+    assert.equal(entry.iban, '[REDACTED]');
+    assert.equal(entry.message, 'called with Bearer [REDACTED]');
+});
+
+test('errors are serialized and circular references do not break logging', () => {
+    const { logger, lines, entries } = capture();
+    const error = Object.assign(new Error('Sumsub said no'), { status: 409 });
+    const looped = { name: 'loop' };
+    looped.self = looped;
+
+    logger.log('error', 'failed', { error, looped });
+
+    const [entry] = entries();
+    assert.equal(entry.error.type, 'Error');
+    assert.equal(entry.error.message, 'Sumsub said no');
+    assert.equal(entry.error.status, 409);
+    assert.match(entry.error.stack, /Sumsub said no/);
+    assert.equal(entry.looped.self, '[Circular]');
+    assert.equal(lines[0].level, 'error');
+});
+
+test('the pretty format is a single readable line', () => {
+    const { logger, lines } = capture({ format: 'pretty' });
+
+    logger.log('warn', 'Retry scheduled', { attempt: 2 });
+
+    assert.match(lines[0].line, /^\S+ WARN {2}Retry scheduled \{"attempt":2\}$/);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    describeMetric,
+    incrementCounter,
+    setGauge,
+    addToGauge,
+    getGauge,
+    observeHistogram,
+    getHistogram,
+    registerCollector,
+    renderMetrics
+} from '../src/metrics.js';
+
+test('counters and gauges render with HELP, TYPE and escaped labels', async () => {
+    describeMetric('test_events_total', 'counter', 'Events seen by the test');
+    incrementCounter('test_events_total', { kind: 'a "quoted"\nvalue' });
+    incrementCounter('test_events_total', { kind: 'a "quoted"\nvalue' }, 2);
+    addToGauge('test_in_flight', { pool: 'x' }, 3);
+    addToGauge('test_in_flight', { pool: 'x' }, -1);
+
+    const output = await renderMetrics();
+    assert.match(output, /^# HELP test_events_total Events seen by the test$/m);
+    assert.match(output, /^# TYPE test_events_total counter$/m);
+    assert.match(output, /^test_events_total\{kind="a \\"quoted\\"\\nvalue"\} 3$/m);
+    assert.match(output, /^test_in_flight\{pool="x"\} 2$/m);
+    assert.equal(getGauge('test_in_flight', { pool: 'x' }), 2);
+});
+
+test('histograms keep cumulative buckets, a sum and a count', async () => {
+    describeMetric('test_latency_seconds', 'histogram', 'Test latency', { buckets: [1, 0.1] });
+    for (const value of [0.05, 0.5, 3]) {
+        observeHistogram('test_latency_seconds', { endpoint: '/x' }, value);
+    }
+
+    assert.deepEqual(getHistogram('test_latency_seconds', { endpoint: '/x' }), {
+        buckets: [[0.1, 1], [1, 2]],
+        sum: 3.55,
+        count: 3
+    });
+
+    const output = await renderMetrics();
+    assert.match(output, /^test_latency_seconds_bucket\{endpoint="\/x",le="0.1"\} 1$/m);
+    assert.match(output, /^test_latency_seconds_bucket\{endpoint="\/x",le="\+Inf"\} 3$/m);
+    assert.match(output, /^test_latency_seconds_count\{endpoint="\/x"\} 3$/m);
+});
+
+test('collectors run before each render and a name keeps its type', async () => {
+    let calls = 0;
+    const unregister = registerCollector(() => setGauge('test_collected', {}, ++calls));
+
+    assert.match(await renderMetrics(), /^test_collected 1$/m);
+    assert.match(await renderMetrics(), /^test_collected 2$/m);
+    unregister();
+    assert.match(await renderMetrics(), /^test_collected 2$/m);
+
+    assert.throws(() => incrementCounter('test_collected'), /is a gauge, not a counter/);
+});
@@ -0,0 +1,160 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startMockEnvironment } from '../mocks/environment.js';
+
+let env;
+let server;
+let baseUrl;
+let runCli;
+let formatTable;
+let verifyPayloadDigest;
+let flushDeliveries;
+
+before(async () => {
+    env = await startMockEnvironment({
+        SUMSUB_TENANTS: 'brand_b',
+        SUMSUB_BRAND_B_APP_TOKEN: 'test-app-token',
+        SUMSUB_BRAND_B_SECRET_KEY: 'test-secret-key',
+        SUMSUB_BRAND_B_WEBHOOK_SECRET: 'old-secret,brand-b-webhook-secret'
+    });
+
+    const { app } = await import('../server.js');
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ({ runCli, formatTable } = await import('../src/opsCli.js'));
+    ({ verifyPayloadDigest } = await import('../src/webhookSignature.js'));
+    ({ flushDeliveries } = await import('../src/webhookSubscribers.js'));
+});
+
+after(async () => {
+    await flushDeliveries();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await env.stop();
+});
+
+async function ops(...argv) {
+    const output = { stdout: '', stderr: '' };
+    const code = await runCli(argv, {
+        stdout: { write: (text) => { output.stdout += text; } },
+        stderr: { write: (text) => { output.stderr += text; } },
+        readStdin: () => output.stdin
+    });
+    return { code, ...output };
+}
+
+function writePayload(name, event) {
+    const file = path.join(env.dataDir, name);
+    fs.writeFileSync(file, JSON.stringify(event));
+    return file;
+}
+
+test('link create and applicant commands act on user_<id>', async () => {
+    const link = await ops('link', 'create', '42', '--level', 'basic-kyc-level');
+    assert.equal(link.code, 0);
+    const created = JSON.parse(link.stdout);
+    assert.equal(created.externalUserId, 'user_42');
+    assert.match(created.url, /^https?:\/\//);
+
+    env.sumsub.review('user_42', 'RED', { rejectLabels: ['FORGERY'], reviewRejectType: 'FINAL' });
+    const status = await ops('applicant', 'status', '42');
+    assert.equal(status.code, 0);
+    assert.equal(JSON.parse(status.stdout).externalUserId, 'user_42');
+
+    const table = await ops('applicant', 'status', '42', '--output', 'table');
+    assert.match(table.stdout, /^field\s+value$/m);
+    assert.match(table.stdout, /^externalUserId\s+user_42$/m);
+
+    const reset = await ops('applicant', 'reset', '42');
+    assert.deepEqual(JSON.parse(reset.stdout), { externalUserId: 'user_42', reset: true });
+    // Sumsub addresses the reset endpoint by its own applicant ID
+    const { id } = env.sumsub.applicants.get('user_42');
+    assert.equal(env.sumsub.requests.at(-1).url, `/resources/applicants/${id}/reset`);
+    assert.equal(env.sumsub.applicants.get('user_42').review.reviewStatus, 'init');
+
+    const resets = () => env.sumsub.requests.filter(r => r.url === `/resources/applicants/${id}/reset`).length;
+    const before = resets();
+    const relinked = await ops('link', 'create', '42', '--reset');
+    assert.equal(relinked.code, 0, relinked.stderr);
+    assert.equal(resets(), before + 1);
+
+    for (const command of ['docs', 'history']) {
+        const result = await ops('applicant', command, '42', '--output', 'table');
+        assert.equal(result.code, 0, result.stderr);
+    }
+});
+
+test('usage errors and unknown tenants exit with 2', async () => {
+    assert.equal((await ops('applicant', 'status')).code, 2);
+    assert.equal((await ops('applicant', 'frobnicate', '1')).code, 2);
+    assert.equal((await ops('applicant', 'status', '1', '--output', 'xml')).code, 2);
+
+    const tenant = await ops('applicant', 'status', '1', '--tenant', 'brand_z');
+    assert.equal(tenant.code, 2);
+    assert.match(tenant.stderr, /Unknown tenant "brand_z". Configured tenants: default, brand_b/);
+
+    const help = await ops('--help');
+    assert.equal(help.code, 0);
+    assert.match(help.stdout, /webhook replay <file\|->/);
+});
+
+test('webhook sign produces the digest the proxy verifies', async () => {
+    const event = env.sumsub.buildWebhook('applicantPending', 'user_7');
+    const file = writePayload('pending.json', event);
+    const rawBody = fs.readFileSync(file, 'utf8');
+
+    const signed = JSON.parse((await ops('webhook', 'sign', file, '--tenant', 'brand_b', '--alg', 'HMAC_SHA512_HEX')).stdout);
+    assert.equal(signed['x-payload-digest-alg'], 'HMAC_SHA512_HEX');
+    assert.equal(verifyPayloadDigest(rawBody, signed['x-payload-digest'], {
+        algorithm: 'HMAC_SHA512_HEX',
+        secrets: ['brand-b-webhook-secret']
+    }).algorithm, 'HMAC_SHA512_HEX');
+
+    // Reads stdin with "-"
+    const output = { stdin: rawBody };
+    const fromStdin = await runCli(['webhook', 'sign', '-'], {
+        stdout: { write: (text) => { output.stdout = text; } },
+        readStdin: () => output.stdin
+    });
+    assert.equal(fromStdin, 0);
+    assert.equal(JSON.parse(output.stdout)['x-payload-digest'], env.sumsub.signWebhook(rawBody));
+
+    assert.equal((await ops('webhook', 'sign', file, '--alg', 'MD5')).code, 2);
+});
+
+test('webhook replay posts a stored payload to a running proxy', async () => {
+    const event = env.sumsub.buildWebhook('applicantPending', 'user_8');
+    const file = writePayload('replay.json', event);
+
+    const first = await ops('webhook', 'replay', file, '--url', baseUrl);
+    assert.equal(first.code, 0, first.stderr);
+    assert.equal(JSON.parse(first.stdout).status, 200);
+
+    const stale = writePayload('stale.json', { ...event, createdAtMs: '2020-01-01 00:00:00.000' });
+    const rejected = await ops('webhook', 'replay', stale, '--url', baseUrl);
+    assert.equal(rejected.code, 1);
+    assert.equal(JSON.parse(rejected.stdout).status, 400);
+
+    const fresh = await ops('webhook', 'replay', stale, '--url', baseUrl, '--fresh', '--output', 'table');
+    assert.equal(fresh.code, 0, fresh.stdout);
+    assert.match(fresh.stdout, /^status\s+200$/m);
+
+    const tenant = env.sumsub.buildWebhook('applicantPending', 'user_9');
+    const forTenant = await ops('webhook', 'replay', writePayload('tenant.json', tenant), '--url', baseUrl, '--tenant', 'brand_b');
+    assert.equal(JSON.parse(forTenant.stdout).status, 200);
+});
+
+test('tables list the union of columns and stringify nested values', () => {
+    assert.equal(formatTable([{ a: 1, b: { c: true } }, { a: 'long value' }]), [
+        'a           b',
+        '----------  ----------',
+        '1           {"c":true}',
+        'long value'
+    ].join('\n'));
+    assert.equal(formatTable([]), '(no rows)');
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTokenBucket, createWindowLimiter } from '../src/rateLimiter.js';
+
+test('the window limiter turns callers away until old hits leave the window', () => {
+    const limiter = createWindowLimiter({ limit: 2, windowMs: 1000 });
+
+    assert.deepEqual(limiter.hit('a', 0), { allowed: true, remaining: 1 });
+    assert.deepEqual(limiter.hit('a', 400), { allowed: true, remaining: 0 });
+    assert.deepEqual(limiter.hit('a', 500), { allowed: false, retryAfterMs: 500 });
+    assert.equal(limiter.hit('b', 500).allowed, true);
+
+    // Blocked hits don't count, so the first slot frees up at 1000
+    assert.equal(limiter.hit('a', 1000).allowed, true);
+    assert.deepEqual(limiter.hit('a', 1100), { allowed: false, retryAfterMs: 300 });
+});
+
+test('a key is free again after a full window and reset clears every key', () => {
+    const limiter = createWindowLimiter({ limit: 1, windowMs: 1000 });
+
+    limiter.hit('a', 0);
+    assert.equal(limiter.hit('a', 10).allowed, false);
+    assert.equal(limiter.hit('a', 5000).allowed, true);
+
+    limiter.reset();
+    assert.equal(limiter.hit('a', 5001).allowed, true);
+});
+
+test('the token bucket lets a burst through, then spaces calls out', async () => {
+    const bucket = createTokenBucket({ capacity: 2, refillPerSec: 50 });
+    const startedAt = Date.now();
+
+    await bucket.take();
+    await bucket.take();
+    assert.ok(Date.now() - startedAt < 15);
+
+    // The third call waits for a token, about 20ms
+    await bucket.take();
+    assert.ok(Date.now() - startedAt >= 15);
+});
+
+test('pause holds every caller back for the given time', async () => {
+    const bucket = createTokenBucket({ capacity: 5, refillPerSec: 100 });
+    bucket.pause(60);
+
+    const startedAt = Date.now();
+    await Promise.all([bucket.take(), bucket.take()]);
+    assert.ok(Date.now() - startedAt >= 50);
+});
+
+test('a refill rate of 0 means no limit, but pause still applies', async () => {
+    const bucket = createTokenBucket({ capacity: 1, refillPerSec: 0 });
+    const startedAt = Date.now();
+
+    await Promise.all(Array.from({ length: 100 }, () => bucket.take()));
+    assert.ok(Date.now() - startedAt < 50);
+
+    bucket.pause(40);
+    await bucket.take();
+    assert.ok(Date.now() - startedAt >= 35);
+});
@@ -0,0 +1,1021 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import fetch from 'node-fetch';
+import FormData from 'form-data';
+import http from 'http';
+import WebSocket from 'ws';
+import { startMockEnvironment } from '../mocks/environment.js';
+
+let env;
+let server;
+let baseUrl;
+let flushDeliveries;
+
+const USER_AUTH = { Authorization: 'Bearer user-token' };
+const ADMIN_AUTH = { Authorization: 'Bearer admin-token' };
+
+before(async () => {
+    env = await startMockEnvironment({
+        SUMSUB_TENANTS: 'brand_b',
+        SUMSUB_BRAND_B_APP_TOKEN: 'test-app-token',
+        SUMSUB_BRAND_B_SECRET_KEY: 'test-secret-key',
+        SUMSUB_BRAND_B_WEBHOOK_SECRET: 'brand-b-webhook-secret',
+        METRICS_TOKEN: 'scrape-token',
+        LINK_RATE_LIMIT_PER_USER: '20',
+        LINK_RATE_LIMIT_PER_IP: '1000',
+        RECONCILE_RATE_PER_SEC: '1000',
+        HEALTH_CHECK_CACHE_MS: '0',
+        DOCUMENT_UPLOAD_MAX_BYTES: '65536'
+    });
+
+    const { app, attachWebSockets } = await import('../server.js');
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    attachWebSockets(server);
+    ({ flushDeliveries } = await import('../src/webhookSubscribers.js'));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await env.stop();
+});
+
+async function call(method, path, { body, headers = {} } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json', ...headers } : headers,
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        data = text;
+    }
+    return { status: response.status, headers: response.headers, body: data };
+}
+
+// ========================
+// Webhook Endpoint
+// ========================
+
+test('POST /sumsub-webhook forwards a signed webhook to Django once', async () => {
+    const event = env.sumsub.review('user_2001', 'GREEN');
+    const before = env.django.webhooks.length;
+
+    const response = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+
+    assert.equal(response.status, 200);
+    assert.equal(env.django.webhooks.length, before + 1);
+    assert.equal(env.django.webhooks.at(-1).externalUserId, 'user_2001');
+});
+
+test('POST /sumsub-webhook acknowledges duplicate deliveries without reprocessing', async () => {
+    const event = env.sumsub.review('user_2002', 'GREEN');
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+    const before = env.django.webhooks.length;
+
+    const response = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, { status: 'duplicate' });
+    assert.equal(env.django.webhooks.length, before);
+});
+
+test('POST /sumsub-webhook rejects events outside the accepted window', async () => {
+    const event = env.sumsub.buildWebhook('applicantCreated', 'user_2003', {
+        createdAtMs: env.sumsub.timestamp(new Date(Date.now() - 7 * 24 * 60 * 60 * 1000))
+    });
+
+    const response = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Stale webhook event');
+});
+
+test('POST /sumsub-webhook rejects invalid and missing signatures', async () => {
+    const event = env.sumsub.buildWebhook('applicantCreated', 'user_2004');
+
+    const invalid = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event, { secret: 'not-the-secret' });
+    assert.equal(invalid.status, 403);
+
+    const missing = await call('POST', '/sumsub-webhook', { body: event });
+    assert.equal(missing.status, 403);
+});
+
+test('POST /sumsub-webhook accepts the digest algorithm Sumsub names', async () => {
+    const event = env.sumsub.buildWebhook('applicantCreated', 'user_2007');
+
+    const response = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event, { algorithm: 'sha512' });
+    assert.equal(response.status, 200);
+
+    const mismatched = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, { ...event, correlationId: 'other' }, {
+        headers: { 'X-Payload-Digest-Alg': 'HMAC_SHA1_HEX' }
+    });
+    assert.equal(mismatched.status, 403);
+});
+
+test('POST /tenants/:tenant/sumsub-webhook verifies with the tenant secret', async () => {
+    const event = env.sumsub.review('user_2005', 'GREEN');
+
+    const wrongTenant = await env.sumsub.sendWebhook(`${baseUrl}/tenants/brand_b/sumsub-webhook`, event);
+    assert.equal(wrongTenant.status, 403);
+
+    const response = await env.sumsub.sendWebhook(`${baseUrl}/tenants/brand_b/sumsub-webhook`, event, {
+        secret: 'brand-b-webhook-secret'
+    });
+    await flushDeliveries();
+    assert.equal(response.status, 200);
+    assert.equal(env.django.webhooks.at(-1).tenant, 'brand_b');
+});
+
+test('unknown tenants are rejected', async () => {
+    const response = await call('GET', '/health', { headers: { 'X-Sumsub-Tenant': 'nope' } });
+    assert.equal(response.status, 404);
+});
+
+test('POST /sumsub-webhook dead-letters webhooks Django fails to accept', async () => {
+    const event = env.sumsub.review('user_2006', 'GREEN');
+    env.django.failures.webhook = 503;
+
+    try {
+        const response = await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+        assert.equal(response.status, 200);
+        await flushDeliveries();
+    } finally {
+        env.django.failures.webhook = null;
+    }
+
+    const list = await call('GET', '/admin/dead-letters?status=pending&subscriber=django', { headers: ADMIN_AUTH });
+    const entry = list.body.results.find(e => e.applicantId === event.applicantId);
+    assert.ok(entry);
+    assert.equal(entry.payload, undefined);
+});
+
+// ========================
+// User-Facing Routes
+// ========================
+
+test('user routes require a valid bearer token', async () => {
+    const missing = await call('POST', '/api/generate-sumsub-link', { body: {} });
+    assert.equal(missing.status, 401);
+
+    const invalid = await call('POST', '/api/generate-sumsub-link', {
+        body: {},
+        headers: { Authorization: 'Bearer nope' }
+    });
+    assert.equal(invalid.status, 401);
+});
+
+test('POST /api/generate-sumsub-link records the verification in Django and returns a link', async () => {
+    const response = await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: '3001', levelName: 'kyc_verification', email: 'user@example.com' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.url, /\/websdk\//);
+    assert.equal(response.body.verificationId, '3001');
+    assert.equal(response.body.djangoRecord.email, 'user@example.com');
+    assert.ok(env.sumsub.applicants.has('user_3001'));
+});
+
+test('POST /api/generate-sumsub-link picks the level from the level rules when none is given', async () => {
+    const { setLevelRules } = await import('../src/levelRouting.js');
+    setLevelRules([
+        { level: 'kyc_enhanced', riskTiers: ['high'] },
+        { level: 'kyc_eu', countries: ['DEU', 'FRA'] }
+    ]);
+    env.django.tokens.set('high-risk-token', { id: 80, email: 'risky@example.com', role: 'user', risk_tier: 'high' });
+
+    try {
+        const eu = await call('POST', '/api/generate-sumsub-link', {
+            headers: USER_AUTH,
+            body: { userId: '3010', email: 'user@example.com', country: 'deu' }
+        });
+        assert.equal(eu.status, 200);
+        assert.equal(eu.body.levelName, 'kyc_eu');
+        assert.equal(env.sumsub.applicants.get('user_3010').levelName, 'kyc_eu');
+
+        // The risk tier comes from the authenticated user, not the body
+        const risky = await call('POST', '/api/generate-sumsub-link', {
+            headers: { Authorization: 'Bearer high-risk-token' },
+            body: { userId: '3011', email: 'risky@example.com', country: 'DEU' }
+        });
+        assert.equal(risky.body.levelName, 'kyc_enhanced');
+
+        const fallback = await call('POST', '/api/generate-sumsub-link', {
+            headers: USER_AUTH,
+            body: { userId: '3012', email: 'user@example.com', country: 'USA', riskTier: 'high' }
+        });
+        assert.equal(fallback.body.levelName, 'kyc_verification');
+
+        const explicit = await call('POST', '/api/generate-sumsub-link', {
+            headers: USER_AUTH,
+            body: { userId: '3013', email: 'user@example.com', country: 'DEU', levelName: 'basic-kyc' }
+        });
+        assert.equal(explicit.body.levelName, 'basic-kyc');
+    } finally {
+        setLevelRules([]);
+    }
+});
+
+test('POST /api/generate-sumsub-link reuses an unexpired link for the same level', async () => {
+    const linkRequests = () => env.sumsub.requests.filter(r => r.url.endsWith('/websdkLink')).length;
+    const djangoRecords = () => env.django.requests.filter(r => r.method === 'POST' && r.path === '/kyc/verifications/').length;
+    const body = { userId: '3020', levelName: 'kyc_verification', email: 'user@example.com' };
+    const before = linkRequests();
+    const recordsBefore = djangoRecords();
+
+    const first = await call('POST', '/api/generate-sumsub-link', { headers: USER_AUTH, body });
+    assert.equal(first.body.reused, false);
+    const ttlMs = Date.parse(first.body.expiresAt) - Date.now();
+    assert.ok(ttlMs > 29 * 60 * 1000 && ttlMs <= 30 * 60 * 1000);
+
+    const second = await call('POST', '/api/generate-sumsub-link', { headers: USER_AUTH, body });
+    assert.equal(second.body.reused, true);
+    assert.equal(second.body.url, first.body.url);
+    assert.equal(second.body.expiresAt, first.body.expiresAt);
+    assert.equal(second.body.djangoRecord, undefined);
+    assert.equal(linkRequests(), before + 1);
+    assert.equal(djangoRecords(), recordsBefore + 1);
+
+    const otherLevel = await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { ...body, levelName: 'basic-kyc' }
+    });
+    assert.equal(otherLevel.body.reused, false);
+    assert.equal(linkRequests(), before + 2);
+    assert.equal(djangoRecords(), recordsBefore + 2);
+});
+
+test('link generation and regeneration share a per-user limit answered with 429', async () => {
+    env.django.tokens.set('loop-token', { id: 90, email: 'loop@example.com', role: 'user' });
+    const headers = { Authorization: 'Bearer loop-token' };
+
+    for (let i = 0; i < 19; i++) {
+        const response = await call('POST', '/api/generate-sumsub-link', { headers, body: { userId: '3090' } });
+        assert.equal(response.status, 400);
+    }
+    assert.equal((await call('POST', '/api/regenerate-sumsub-link', { headers, body: {} })).status, 400);
+
+    const limited = await call('POST', '/api/regenerate-sumsub-link', { headers, body: {} });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    assert.equal(limited.body.error, 'Too many requests');
+
+    // Other users are unaffected
+    const other = await call('POST', '/api/generate-sumsub-link', { headers: USER_AUTH, body: { userId: '3091' } });
+    assert.equal(other.status, 400);
+});
+
+test('POST /api/generate-sumsub-link validates its input', async () => {
+    const response = await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: '3002' }
+    });
+    assert.equal(response.status, 400);
+});
+
+test('POST /api/regenerate-sumsub-link resets the applicant and returns a new link', async () => {
+    await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: '3003', levelName: 'kyc_verification', email: 'user@example.com' }
+    });
+
+    const response = await call('POST', '/api/regenerate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: 'user_3003', levelName: 'kyc_verification' }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.url, /\/websdk\//);
+
+    const missing = await call('POST', '/api/regenerate-sumsub-link', { headers: USER_AUTH, body: {} });
+    assert.equal(missing.status, 400);
+});
+
+test('POST /api/sumsub-access-token issues a mobile SDK token for the caller', async () => {
+    const { getVerificationCache } = await import('../src/verificationCache.js');
+    env.django.tokens.set('mobile-token', { id: 3004, email: 'mobile@example.com', role: 'user' });
+    const headers = { Authorization: 'Bearer mobile-token' };
+
+    const link = await call('POST', '/api/generate-sumsub-link', {
+        headers,
+        body: { userId: '3004', levelName: 'kyc_verification', email: 'mobile@example.com' }
+    });
+    assert.equal(link.status, 200);
+
+    // A userId in the body is ignored: the token is always for the caller
+    const response = await call('POST', '/api/sumsub-access-token', {
+        headers,
+        body: { userId: 'user_9999', levelName: 'kyc_verification', ttlInSecs: 900 }
+    });
+
+    assert.equal(response.status, 200);
+    assert.match(response.body.token, /^_act-/);
+    assert.equal(response.body.userId, 'user_3004');
+    assert.equal(response.body.levelName, 'kyc_verification');
+    assert.ok(Date.parse(response.body.expiresAt) > Date.now());
+
+    const request = env.sumsub.requests.findLast(r => r.url.startsWith('/resources/accessTokens'));
+    assert.equal(new URLSearchParams(request.url.split('?')[1]).get('userId'), 'user_3004');
+    assert.equal(env.sumsub.applicants.has('user_9999'), false);
+
+    // Token metadata sits in the same cache entry as the WebSDK link
+    const cached = await getVerificationCache().get('user_3004');
+    assert.equal(cached.url, link.body.url);
+    assert.equal(cached.accessToken.levelName, 'kyc_verification');
+    assert.equal(cached.accessToken.expiresAt, response.body.expiresAt);
+
+    const badTtl = await call('POST', '/api/sumsub-access-token', {
+        headers,
+        body: { levelName: 'kyc_verification', ttlInSecs: -1 }
+    });
+    assert.equal(badTtl.status, 400);
+});
+
+function passportForm(content = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00])) {
+    const form = new FormData();
+    form.append('idDocType', 'PASSPORT');
+    form.append('country', 'GBR');
+    form.append('side', 'front');
+    form.append('content', content, { filename: 'passport.jpg', contentType: 'image/jpeg' });
+    return form;
+}
+
+test('POST /admin/verifications/:userId/documents uploads an identity document', async () => {
+    env.sumsub.getOrCreateApplicant('user_3005');
+
+    const upload = (headers) => {
+        const form = passportForm();
+        return fetch(`${baseUrl}/admin/verifications/3005/documents`, {
+            method: 'POST',
+            headers: { ...headers, ...form.getHeaders() },
+            body: form.getBuffer()
+        });
+    };
+
+    // Back-office only: end users can't attach documents, not even their own
+    assert.equal((await upload(USER_AUTH)).status, 403);
+    assert.deepEqual(env.sumsub.applicants.get('user_3005').documents, []);
+
+    const response = await upload(ADMIN_AUTH);
+    assert.equal(response.status, 201);
+    assert.equal((await response.json()).externalUserId, 'user_3005');
+    assert.deepEqual(env.sumsub.applicants.get('user_3005').documents, [
+        { idDocType: 'PASSPORT', idDocSubType: 'FRONT_SIDE', country: 'GBR' }
+    ]);
+});
+
+test('POST /admin/verifications/:userId/documents rejects files that are not what they claim', async () => {
+    const form = new FormData();
+    form.append('idDocType', 'PASSPORT');
+    form.append('country', 'GBR');
+    form.append('content', Buffer.from('not an image'), {
+        filename: 'passport.jpg',
+        contentType: 'image/jpeg'
+    });
+
+    const response = await fetch(`${baseUrl}/admin/verifications/3005/documents`, {
+        method: 'POST',
+        headers: { ...ADMIN_AUTH, ...form.getHeaders() },
+        body: form.getBuffer()
+    });
+
+    assert.equal(response.status, 415);
+});
+
+test('POST /admin/verifications/:userId/documents rejects documents over the size limit', async () => {
+    env.sumsub.getOrCreateApplicant('user_3006');
+    const uploadsBefore = env.sumsub.requests.filter(r => r.url.endsWith('/info/idDoc')).length;
+
+    const oversized = Buffer.alloc(65536 + 1);
+    Buffer.from([0xff, 0xd8, 0xff, 0xe0]).copy(oversized);
+    const form = passportForm(oversized);
+    const response = await fetch(`${baseUrl}/admin/verifications/3006/documents`, {
+        method: 'POST',
+        headers: { ...ADMIN_AUTH, ...form.getHeaders() },
+        body: form.getBuffer()
+    });
+
+    assert.equal(response.status, 413);
+    assert.match((await response.json()).error, /exceeds 65536 bytes/);
+    // Nothing reaches Sumsub
+    assert.equal(env.sumsub.requests.filter(r => r.url.endsWith('/info/idDoc')).length, uploadsBefore);
+    assert.deepEqual(env.sumsub.applicants.get('user_3006').documents, []);
+});
+
+test('GET /api/verification/* report the caller\'s own verification in a stable shape', async () => {
+    env.django.tokens.set('user-77-token', { id: 77, email: 'user77@example.com', role: 'user' });
+    const headers = { Authorization: 'Bearer user-77-token' };
+
+    const unauthenticated = await call('GET', '/api/verification/status');
+    assert.equal(unauthenticated.status, 401);
+
+    const notStarted = await call('GET', '/api/verification/status', { headers });
+    assert.equal(notStarted.status, 200);
+    assert.equal(notStarted.body.status, 'not_started');
+    assert.deepEqual((await call('GET', '/api/verification/history', { headers })).body.history, []);
+
+    env.sumsub.getOrCreateApplicant('user_77');
+    env.sumsub.applicants.get('user_77').documents.push({ idDocType: 'PASSPORT', country: 'GBR' });
+    const documents = await call('GET', '/api/verification/documents', { headers });
+    assert.deepEqual(documents.body.documents.map(d => [d.step, d.status, d.idDocType]), [
+        ['IDENTITY', 'submitted', 'PASSPORT'],
+        ['SELFIE', 'not_submitted', null]
+    ]);
+
+    const event = env.sumsub.review('user_77', 'RED', { reviewRejectType: 'RETRY', rejectLabels: ['BAD_PROOF_OF_IDENTITY'] });
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+
+    // A user-supplied ID is ignored; the caller only ever sees their own applicant
+    const status = await call('GET', '/api/verification/status?userId=user_2001', { headers });
+    assert.equal(status.body.externalUserId, 'user_77');
+    assert.equal(status.body.status, 'resubmission_requested');
+    assert.equal(status.body.reviewAnswer, 'RED');
+    assert.deepEqual(status.body.rejectLabels, ['BAD_PROOF_OF_IDENTITY']);
+
+    const history = await call('GET', '/api/verification/history', { headers });
+    assert.equal(history.body.history.length, 1);
+    assert.equal(history.body.history[0].status, 'resubmission_requested');
+    assert.equal(history.body.history[0].levelName, 'kyc_verification');
+});
+
+// Collect Server-Sent Events until `count` have arrived
+function readEvents(path, { headers = {}, count = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(`${baseUrl}${path}`, { headers }, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const blocks = buffer.split('\n\n');
+                buffer = blocks.pop();
+
+                for (const block of blocks) {
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.data) events.push({ id: Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                }
+
+                if (events.length >= count) {
+                    req.destroy();
+                    resolve({ status: res.statusCode, headers: res.headers, events });
+                }
+            });
+        });
+        req.on('error', (error) => {
+            if (events.length < count) reject(error);
+        });
+    });
+}
+
+test('GET /api/verification/events streams status changes and resumes from Last-Event-ID', async () => {
+    env.django.tokens.set('user-78-token', { id: 78, email: 'user78@example.com', role: 'user' });
+
+    const live = readEvents('/api/verification/events?access_token=user-78-token');
+    // Let the subscription register before the webhook arrives
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, env.sumsub.buildWebhook('applicantPending', 'user_78', { reviewStatus: 'pending' }));
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, env.sumsub.review('user_78', 'GREEN'));
+
+    const { events: [pending] } = await live;
+    assert.equal(pending.type, 'status');
+    assert.equal(pending.data.externalUserId, 'user_78');
+    assert.equal(pending.data.status, 'pending');
+
+    // Reconnecting after the first event replays only what was missed
+    const resumed = await readEvents('/api/verification/events', {
+        headers: { Authorization: 'Bearer user-78-token', 'Last-Event-ID': String(pending.id) }
+    });
+    assert.equal(resumed.headers['content-type'], 'text/event-stream');
+    assert.equal(resumed.events[0].data.status, 'approved');
+    assert.ok(resumed.events[0].id > pending.id);
+
+    const anonymous = await call('GET', '/api/verification/events');
+    assert.equal(anonymous.status, 401);
+});
+
+test('the verification WebSocket pushes the same events to the authenticated user', async () => {
+    env.django.tokens.set('user-79-token', { id: 79, email: 'user79@example.com', role: 'user' });
+    const wsUrl = baseUrl.replace('http', 'ws');
+
+    const rejected = new WebSocket(`${wsUrl}/api/verification/ws?access_token=nope`);
+    await assert.rejects(new Promise((resolve, reject) => {
+        rejected.on('open', resolve);
+        rejected.on('error', reject);
+    }), /401/);
+
+    const socket = new WebSocket(`${wsUrl}/api/verification/ws?access_token=user-79-token`);
+    await new Promise((resolve, reject) => {
+        socket.on('open', resolve);
+        socket.on('error', reject);
+    });
+
+    try {
+        const message = new Promise(resolve => socket.once('message', data => resolve(JSON.parse(data))));
+        await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, env.sumsub.review('user_79', 'RED'));
+
+        const event = await message;
+        assert.equal(event.type, 'status');
+        assert.equal(event.data.externalUserId, 'user_79');
+        assert.equal(event.data.status, 'rejected');
+    } finally {
+        socket.close();
+    }
+});
+
+// ========================
+// Admin Routes
+// ========================
+
+test('GET /admin/verifications and /admin/verifications/:userId read from Django', async () => {
+    await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: '42', levelName: 'kyc_verification', email: 'user@example.com' }
+    });
+
+    const list = await call('GET', '/admin/verifications', { headers: ADMIN_AUTH });
+    assert.equal(list.status, 200);
+    assert.ok(Array.isArray(list.body));
+
+    const detail = await call('GET', '/admin/verifications/42', { headers: ADMIN_AUTH });
+    assert.equal(detail.status, 200);
+    assert.equal(detail.body.user_id, 42);
+
+    const missing = await call('GET', '/admin/verifications/999', { headers: ADMIN_AUTH });
+    assert.equal(missing.status, 404);
+});
+
+test('admin routes require an admin role or permission', async () => {
+    const anonymous = await call('GET', '/admin/verifications');
+    assert.equal(anonymous.status, 401);
+
+    const user = await call('GET', '/admin/verifications', { headers: USER_AUTH });
+    assert.equal(user.status, 403);
+
+    const deadLetters = await call('GET', '/admin/dead-letters', { headers: USER_AUTH });
+    assert.equal(deadLetters.status, 403);
+});
+
+test('admin requests are written to the admin access log with the caller identity', async () => {
+    await call('GET', '/admin/verifications/42', { headers: ADMIN_AUTH });
+    await call('GET', '/admin/verifications/42', { headers: USER_AUTH });
+
+    // The log line is appended once the response has finished
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const entries = fs.readFileSync(process.env.ADMIN_ACCESS_LOG_FILE, 'utf8')
+        .trim().split('\n').map(line => JSON.parse(line))
+        .filter(entry => entry.path === '/admin/verifications/42');
+
+    assert.deepEqual(entries.slice(-2).map(e => [e.email, e.status]), [
+        ['admin@example.com', 200],
+        ['user@example.com', 403]
+    ]);
+});
+
+test('dead-letter admin routes inspect, replay and purge stored webhooks', async () => {
+    const event = env.sumsub.review('user_4001', 'GREEN');
+    env.django.failures.webhook = 503;
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+
+    const list = await call('GET', '/admin/dead-letters', { headers: ADMIN_AUTH });
+    const { id } = list.body.results.find(e => e.applicantId === event.applicantId);
+
+    const entry = await call('GET', `/admin/dead-letters/${id}`, { headers: ADMIN_AUTH });
+    assert.equal(entry.status, 200);
+    assert.equal(entry.body.payload.externalUserId, 'user_4001');
+
+    const failedReplay = await call('POST', `/admin/dead-letters/${id}/replay`, { headers: ADMIN_AUTH });
+    assert.equal(failedReplay.status, 502);
+    assert.equal(failedReplay.body.attempts, 1);
+
+    env.django.failures.webhook = null;
+    const replay = await call('POST', `/admin/dead-letters/${id}/replay`, { headers: ADMIN_AUTH });
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.status, 'delivered');
+    assert.equal(env.django.webhooks.at(-1).externalUserId, 'user_4001');
+
+    const gone = await call('GET', `/admin/dead-letters/${id}`, { headers: ADMIN_AUTH });
+    assert.equal(gone.status, 404);
+
+    const purge = await call('DELETE', '/admin/dead-letters', { headers: ADMIN_AUTH });
+    assert.equal(purge.status, 200);
+    assert.equal((await call('GET', '/admin/dead-letters', { headers: ADMIN_AUTH })).body.count, 0);
+
+    const deleteMissing = await call('DELETE', `/admin/dead-letters/${id}`, { headers: ADMIN_AUTH });
+    assert.equal(deleteMissing.status, 404);
+});
+
+// Entries of a .tar.gz as { path: Buffer }
+function readTarGz(buffer) {
+    const tar = zlib.gunzipSync(buffer);
+    const entries = {};
+    for (let offset = 0; offset + 512 <= tar.length && tar[offset]; ) {
+        const path = tar.toString('utf8', offset, offset + 100).replace(/\0.*$/s, '');
+        const size = parseInt(tar.toString('utf8', offset + 124, offset + 136), 8);
+        entries[path] = tar.subarray(offset + 512, offset + 512 + size);
+        offset += 512 + Math.ceil(size / 512) * 512;
+    }
+    return entries;
+}
+
+test('GET /admin/verifications/:userId/export bundles applicant data, documents and images', async () => {
+    const image = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46]);
+    env.sumsub.getOrCreateApplicant('user_4100');
+    const form = passportForm(image);
+    await fetch(`${baseUrl}/admin/verifications/4100/documents`, {
+        method: 'POST',
+        headers: { ...ADMIN_AUTH, ...form.getHeaders() },
+        body: form.getBuffer()
+    });
+
+    const response = await fetch(`${baseUrl}/admin/verifications/4100/export`, { headers: ADMIN_AUTH });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'application/gzip');
+    assert.match(response.headers.get('content-disposition'), /filename="user_4100-export.tar.gz"/);
+
+    const entries = readTarGz(Buffer.from(await response.arrayBuffer()));
+    const manifest = JSON.parse(entries['manifest.json']);
+    const applicant = env.sumsub.applicants.get('user_4100');
+    assert.equal(manifest.applicantId, applicant.id);
+    assert.deepEqual(manifest.files.map(file => file.path), ['applicant.json', 'documents.json', 'documents/100000.jpg']);
+    assert.equal(manifest.files[2].idDocType, 'PASSPORT');
+    assert.equal(manifest.files[2].sha256, createHash('sha256').update(image).digest('hex'));
+    assert.deepEqual(entries['documents/100000.jpg'], image);
+    assert.equal(JSON.parse(entries['applicant.json']).externalUserId, 'user_4100');
+
+    const missing = await call('GET', '/admin/verifications/4199/export', { headers: ADMIN_AUTH });
+    assert.equal(missing.status, 404);
+
+    const user = await call('GET', '/admin/verifications/4100/export', { headers: USER_AUTH });
+    assert.equal(user.status, 403);
+});
+
+test('DELETE /admin/verifications/:userId erases the applicant in Sumsub and locally', async () => {
+    const { getVerificationCache } = await import('../src/verificationCache.js');
+    const { subscribeStatusChanges } = await import('../src/statusStream.js');
+    const { getGauge } = await import('../src/metrics.js');
+    env.django.tokens.set('dpo-token', {
+        id: 2,
+        email: 'dpo@example.com',
+        role: 'compliance',
+        permissions: ['kyc.view_verification', 'kyc.delete_verification']
+    });
+    const ERASE_AUTH = { Authorization: 'Bearer dpo-token' };
+
+    const event = env.sumsub.review('user_4200', 'GREEN');
+    env.django.failures.webhook = 503;
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+    env.django.failures.webhook = null;
+    await getVerificationCache().set('user_4200', { reviewStatus: 'completed' });
+    const outcome = { level: event.levelName, outcome: 'approved' };
+    const approvedBefore = getGauge('verification_review_outcomes', outcome);
+
+    // Viewing rights alone can't erase
+    const denied = await call('DELETE', '/admin/verifications/4200', { headers: ADMIN_AUTH });
+    assert.equal(denied.status, 403);
+    assert.equal(env.sumsub.applicants.has('user_4200'), true);
+
+    const erased = await call('DELETE', '/admin/verifications/4200', { headers: ERASE_AUTH });
+    assert.equal(erased.status, 200);
+    assert.deepEqual(erased.body, {
+        externalUserId: 'user_4200',
+        applicantId: event.applicantId,
+        sumsub: 'deleted',
+        deadLettersRemoved: 1
+    });
+    assert.equal(env.sumsub.applicants.has('user_4200'), false);
+    assert.equal(await getVerificationCache().get('user_4200'), undefined);
+    assert.equal(getGauge('verification_review_outcomes', outcome), approvedBefore - 1);
+
+    const replayed = [];
+    subscribeStatusChanges('user_4200', event => replayed.push(event), 0)();
+    assert.deepEqual(replayed, []);
+
+    const list = await call('GET', '/admin/dead-letters', { headers: ADMIN_AUTH });
+    assert.equal(list.body.results.some(entry => entry.applicantId === event.applicantId), false);
+
+    // Repeating the request still succeeds once Sumsub has forgotten the applicant
+    const again = await call('DELETE', '/admin/verifications/4200', { headers: ERASE_AUTH });
+    assert.equal(again.status, 200);
+    assert.equal(again.body.sumsub, 'not_found');
+});
+
+// ========================
+// Reconciliation
+// ========================
+
+// Starts a run and waits for its report
+async function reconcile(path, body) {
+    const started = await call('POST', path, { headers: ADMIN_AUTH, body });
+    assert.equal(started.status, 202);
+
+    let status;
+    do {
+        await new Promise(resolve => setTimeout(resolve, 10));
+        status = (await call('GET', '/admin/reconcile', { headers: ADMIN_AUTH })).body;
+    } while (status.running);
+
+    assert.equal(status.last.startedAt, started.body.startedAt);
+    return status.last.report;
+}
+
+test('POST /admin/reconcile forwards decisions whose webhooks were lost', async (t) => {
+    const { runReconciliation } = await import('../src/reconciliation.js');
+    const { getTenantClient } = await import('../src/tenants.js');
+
+    for (const userId of [6001, 6002, 6003]) {
+        env.django.verifications.set(String(userId), { id: userId, user_id: userId, status: 'pending' });
+    }
+    env.django.verifications.set('6004', { id: 6004, user_id: 6004, status: 'approved' });
+    env.sumsub.review('user_6001', 'RED', { rejectLabels: ['FORGERY'], reviewRejectType: 'FINAL' });
+    env.sumsub.getOrCreateApplicant('user_6002');
+    env.sumsub.review('user_6004', 'GREEN');
+    const forwardedFor = () => env.django.webhooks.filter(webhook => webhook.externalUserId === 'user_6001');
+
+    const byUser = (report) => Object.fromEntries(report.results.map(result => [result.userId, result]));
+
+    const dryRun = await reconcile('/admin/reconcile', { dryRun: true });
+    assert.equal(dryRun.dryRun, true);
+    const planned = byUser(dryRun);
+    assert.equal(planned[6001].action, 'would_forward');
+    assert.equal(planned[6001].event, 'applicantReviewed');
+    assert.equal(planned[6001].reviewAnswer, 'RED');
+    assert.equal(planned[6002].action, 'unchanged');
+    assert.equal(planned[6003].action, 'not_found');
+    assert.equal(planned[6004], undefined);
+    await flushDeliveries();
+    assert.equal(forwardedFor().length, 0);
+
+    const run = await reconcile('/admin/reconcile');
+    assert.equal(byUser(run)[6001].action, 'forwarded');
+    assert.ok(run.summary.forwarded >= 1);
+    await flushDeliveries();
+    assert.equal(forwardedFor().length, 1);
+    assert.equal(forwardedFor()[0].reviewResult.reviewAnswer, 'RED');
+
+    // Without a review date in Sumsub's history the event carries the time of
+    // the run, which must not make it look like a new decision
+    t.mock.method(getTenantClient('default'), 'getVerificationHistory', async () => []);
+    const again = await reconcile('/admin/reconcile');
+    assert.equal(byUser(again)[6001].action, 'already_forwarded');
+    await flushDeliveries();
+    assert.equal(forwardedFor().length, 1);
+
+    // One run at a time
+    const running = runReconciliation({ dryRun: true });
+    assert.equal(await runReconciliation({ dryRun: true }), null);
+    assert.equal((await call('POST', '/admin/reconcile', { headers: ADMIN_AUTH })).status, 409);
+    await running;
+
+    const invalid = await call('POST', '/admin/reconcile', { headers: ADMIN_AUTH, body: { limit: 0 } });
+    assert.equal(invalid.status, 400);
+    for (const query of ['abc', '0', '1.5', '']) {
+        const response = await call('POST', `/admin/reconcile?limit=${query}`, { headers: ADMIN_AUTH });
+        assert.equal(response.status, 400, `limit=${query}`);
+    }
+    const limited = await reconcile('/admin/reconcile?limit=1&dryRun=true');
+    assert.equal(limited.checked, 1);
+    const user = await call('POST', '/admin/reconcile', { headers: USER_AUTH });
+    assert.equal(user.status, 403);
+    assert.equal((await call('GET', '/admin/reconcile', { headers: USER_AUTH })).status, 403);
+});
+
+// ========================
+// Audit Trail
+// ========================
+
+test('webhooks, Django forwards, Sumsub calls and admin reads are written to the audit trail', async () => {
+    const { verifyAuditLog, exportAuditLog } = await import('../src/auditLog.js');
+
+    const event = env.sumsub.review('user_5001', 'RED');
+    event.reviewResult = { ...event.reviewResult, moderationComment: 'The passport belongs to Jane Doe' };
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event);
+    await flushDeliveries();
+    await call('POST', '/api/generate-sumsub-link', {
+        headers: USER_AUTH,
+        body: { userId: '5002', levelName: 'kyc_verification', email: 'user@example.com' }
+    });
+    await call('GET', '/admin/verifications/42', { headers: ADMIN_AUTH });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const webhook = await exportAuditLog({ userId: 'user_5001' });
+    assert.deepEqual(webhook.map(r => r.event), ['webhook.received', 'django.forward']);
+    assert.equal(webhook[0].data.reviewAnswer, 'RED');
+    assert.equal(webhook[1].data.reviewAnswer, 'RED');
+    assert.match(webhook[1].data.payloadSha256, /^[0-9a-f]{64}$/);
+    // Neither record copies the payload or its review comments
+    assert.equal(JSON.stringify(webhook).includes('originalEvent'), false);
+    assert.equal(JSON.stringify(webhook).includes('Jane Doe'), false);
+
+    const request = (await exportAuditLog({ userId: 'user_5002' })).find(r => r.event === 'sumsub.request');
+    assert.equal(request.actor, 42);
+    assert.equal(request.data.outcome, 'success');
+
+    // Admin reads are filed under the same user_<id> subject as everything else
+    const trail = await exportAuditLog({ userId: 'user_42' });
+    const adminRead = trail.filter(r => r.event === 'admin.access').at(-1);
+    assert.equal(adminRead.actor, 1);
+    assert.equal(adminRead.data.path, '/admin/verifications/42');
+    // ...and the export also finds what the user did as the actor
+    assert.ok(trail.some(r => r.event === 'sumsub.request' && r.userId === 'user_5002'));
+    assert.deepEqual(await exportAuditLog({ userId: '42' }), trail);
+
+    await call('GET', '/tenants/default/admin/verifications/5001', { headers: ADMIN_AUTH });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const tenantRead = (await exportAuditLog({ userId: 'user_5001' })).filter(r => r.event === 'admin.access').at(-1);
+    assert.equal(tenantRead.data.path, '/tenants/default/admin/verifications/5001');
+
+    assert.equal((await verifyAuditLog()).valid, true);
+});
+
+// ========================
+// Request Correlation
+// ========================
+
+test('each request gets a correlation ID that is echoed back and attached to its log lines', async () => {
+    const { createLogger, getLogger, setLogger } = await import('../src/logger.js');
+    const lines = [];
+    const previous = getLogger();
+    setLogger(createLogger({ level: 'debug', write: line => lines.push(JSON.parse(line)) }));
+
+    try {
+        const supplied = await call('GET', '/api/verification/status', {
+            headers: { 'X-Request-Id': 'req-from-gateway-1', Authorization: 'Bearer not-a-valid-token' }
+        });
+        assert.equal(supplied.status, 401);
+        assert.equal(supplied.headers.get('x-request-id'), 'req-from-gateway-1');
+
+        const failure = lines.find(line => line.msg === 'Authentication failed');
+        assert.equal(failure.requestId, 'req-from-gateway-1');
+
+        // Anything that isn't a plain identifier is replaced with a fresh one
+        const generated = await call('GET', '/health', { headers: { 'X-Request-Id': 'not a valid id' } });
+        assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    } finally {
+        setLogger(previous);
+    }
+});
+
+test('the correlation ID is passed on to Django and webhook subscribers', async () => {
+    const headers = { ...USER_AUTH, 'X-Request-Id': 'req-generate-1' };
+    const generated = await call('POST', '/api/generate-sumsub-link', {
+        headers,
+        body: { userId: '3030', email: 'user@example.com' }
+    });
+    assert.equal(generated.status, 200);
+    const record = env.django.requests.findLast(r => r.method === 'POST' && r.path === '/kyc/verifications/');
+    assert.equal(record.headers['x-request-id'], 'req-generate-1');
+
+    await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, env.sumsub.review('user_3030', 'GREEN'), {
+        headers: { 'X-Request-Id': 'req-webhook-1' }
+    });
+    await flushDeliveries();
+    const delivery = env.django.requests.findLast(r => r.body?.externalUserId === 'user_3030');
+    assert.equal(delivery.headers['x-request-id'], 'req-webhook-1');
+});
+
+// ========================
+// Metrics
+// ========================
+
+test('GET /metrics exposes Sumsub latency, webhook counts, cache and review outcome metrics', async () => {
+    const response = await call('GET', '/metrics', { headers: { Authorization: 'Bearer scrape-token' } });
+
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain/);
+    assert.match(response.body, /^# TYPE sumsub_request_duration_seconds histogram$/m);
+    assert.match(response.body, /^sumsub_request_duration_seconds_bucket\{tenant="default",method="POST",endpoint="\/resources\/sdkIntegrations\/levels\/[^/]+\/websdkLink",status="200",le="\+Inf"\} \d+$/m);
+    assert.match(response.body, /^sumsub_webhooks_total\{tenant="default",type="applicantReviewed",outcome="accepted"\} \d+$/m);
+    assert.match(response.body, /^sumsub_webhooks_total\{tenant="default",type="unknown",outcome="invalid_signature"\} \d+$/m);
+    assert.match(response.body, /^webhook_deliveries_total\{subscriber="django",source="handleWebhookEvent",outcome="success"\} \d+$/m);
+    assert.match(response.body, /^verification_cache_entries \d+$/m);
+    assert.match(response.body, /^verification_cache_hit_ratio\{cache="admin"\} [\d.]+$/m);
+    assert.match(response.body, /^verification_review_outcomes\{level="[^"]+",outcome="approved"\} \d+$/m);
+});
+
+test('GET /metrics requires METRICS_TOKEN when one is set', async () => {
+    assert.equal((await call('GET', '/metrics')).status, 401);
+    assert.equal((await call('GET', '/metrics', { headers: { Authorization: 'Bearer wrong' } })).status, 401);
+});
+
+// ========================
+// Health Check
+// ========================
+
+test('GET /health reports dependency status', async () => {
+    const response = await call('GET', '/health');
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+    assert.equal(response.body.services.django.status, 'up');
+    assert.equal(response.body.services.django.breaker.state, 'closed');
+    assert.deepEqual(Object.keys(response.body.services.sumsub), ['default', 'brand_b']);
+    assert.equal(response.body.services.sumsub.brand_b.status, 'up');
+    assert.equal(response.body.services.webhook, 'configured');
+
+    // The Sumsub check is a signed request
+    const check = env.sumsub.requests.findLast(request => request.url === '/resources/applicants/-/levels');
+    assert.equal(check.signatureValid, true);
+
+    const live = await call('GET', '/health/live');
+    assert.equal(live.status, 200);
+    assert.equal(live.body.status, 'ok');
+
+    const ready = await call('GET', '/health/ready');
+    assert.equal(ready.status, 200);
+    assert.deepEqual(ready.body, { status: 'ready', django: 'up', sumsub: { default: 'up', brand_b: 'up' } });
+});
+
+test('GET /health and /health/ready answer 503 while a dependency is down', async () => {
+    try {
+        env.sumsub.failures.api = 503;
+        const health = await call('GET', '/health');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.status, 'unhealthy');
+        assert.equal(health.body.services.sumsub.default.status, 'down');
+        assert.equal(health.body.services.sumsub.default.code, 503);
+        assert.equal(health.body.services.django.status, 'up');
+        assert.equal((await call('GET', '/health/ready')).body.status, 'not_ready');
+        env.sumsub.failures.api = null;
+
+        env.django.failures.health = 503;
+        const ready = await call('GET', '/health/ready');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.django, 'down');
+        assert.equal((await call('GET', '/health/live')).status, 200);
+    } finally {
+        env.sumsub.failures.api = null;
+        env.django.failures.health = null;
+        const { getDjangoBreaker } = await import('../src/djangoClient.js');
+        getDjangoBreaker().reset();
+    }
+});
+
+test('an open Django circuit fails requests fast and parks webhook forwards', async () => {
+    const { getDjangoBreaker } = await import('../src/djangoClient.js');
+    const breaker = getDjangoBreaker();
+
+    try {
+        // Admin tokens are validated by Django too; this caches the answer
+        await call('GET', '/admin/dead-letters', { headers: ADMIN_AUTH });
+
+        // Default threshold of 5 consecutive failures
+        env.django.failures.health = 503;
+        for (let i = 0; i < 5; i++) {
+            await call('GET', '/health/ready');
+        }
+        assert.equal(breaker.state, 'open');
+        env.django.failures.health = null;
+
+        const health = await call('GET', '/health');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.services.django.breaker.state, 'open');
+
+        const djangoCalls = env.django.requests.length;
+        const admin = await call('GET', '/admin/verifications', { headers: ADMIN_AUTH });
+        assert.equal(admin.status, 503);
+        assert.equal(admin.body.error, 'Django API unavailable');
+        assert.ok(Number(admin.headers.get('retry-after')) > 0);
+
+        const event = env.sumsub.review('user_4500', 'GREEN');
+        const webhooks = env.django.webhooks.length;
+        assert.equal((await env.sumsub.sendWebhook(`${baseUrl}/sumsub-webhook`, event)).status, 200);
+        await flushDeliveries();
+        assert.equal(env.django.webhooks.length, webhooks);
+
+        // Parked entries don't use up retry attempts
+        const list = await call('GET', '/admin/dead-letters', { headers: ADMIN_AUTH });
+        const { id } = list.body.results.find(e => e.applicantId === event.applicantId);
+        const parked = await call('POST', `/admin/dead-letters/${id}/replay`, { headers: ADMIN_AUTH });
+        assert.equal(parked.status, 503);
+        assert.equal(parked.body.status, 'parked');
+        assert.equal(parked.body.attempts, 0);
+        assert.equal(env.django.requests.length, djangoCalls);
+
+        breaker.reset();
+        const replay = await call('POST', `/admin/dead-letters/${id}/replay`, { headers: ADMIN_AUTH });
+        assert.equal(replay.status, 200);
+        assert.equal(env.django.webhooks.at(-1).externalUserId, 'user_4500');
+    } finally {
+        env.django.failures.health = null;
+        breaker.reset();
+    }
+});
@@ -0,0 +1,368 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startMockEnvironment } from '../mocks/environment.js';
+
+let env;
+let client;
+let deadLetters;
+let subscribers;
+
+before(async () => {
+    env = await startMockEnvironment({ METRICS_REVIEW_OUTCOMES_MAX_SIZE: '2' });
+    client = await import('../src/SumsubApiClient.js');
+    deadLetters = await import('../src/deadLetterStore.js');
+    subscribers = await import('../src/webhookSubscribers.js');
+});
+
+after(async () => {
+    await env.stop();
+});
+
+test('generate creates a signed WebSDK link for a prefixed external user ID', async () => {
+    const url = await client.generate('1001', 'basic-kyc');
+
+    assert.match(url, /\/websdk\/[0-9a-f]+\?level=basic-kyc$/);
+    assert.ok(env.sumsub.applicants.has('user_1001'));
+
+    const request = env.sumsub.requests.at(-1);
+    assert.equal(request.url, '/resources/sdkIntegrations/levels/basic-kyc/websdkLink');
+    assert.equal(request.signatureValid, true);
+});
+
+test('generate defaults to the kyc_verification level', async () => {
+    await client.generate('1002');
+    assert.equal(env.sumsub.applicants.get('user_1002').levelName, 'kyc_verification');
+});
+
+test('reGenerate resets the applicant before issuing a new link', async () => {
+    await client.generate('1003');
+    env.sumsub.review('user_1003', 'RED');
+
+    const url = await client.reGenerate('user_1003', 'kyc_verification');
+
+    assert.match(url, /\/websdk\//);
+    assert.equal(env.sumsub.applicants.get('user_1003').review.reviewStatus, 'init');
+
+    const { id } = env.sumsub.applicants.get('user_1003');
+    const urls = env.sumsub.requests.slice(-3).map(r => r.url);
+    assert.deepEqual(urls, [
+        '/resources/applicants/-;externalUserId=user_1003/one',
+        `/resources/applicants/${id}/reset`,
+        '/resources/sdkIntegrations/levels/kyc_verification/websdkLink'
+    ]);
+});
+
+test('the Sumsub mock addresses applicant resources by applicant ID only', async () => {
+    await client.generate('1005');
+    const direct = new client.SumsubClient({
+        appToken: env.sumsub.appToken,
+        secretKey: env.sumsub.secretKey,
+        baseUrl: env.sumsub.baseUrl,
+        maxRetries: 0
+    });
+
+    await assert.rejects(direct.request('/resources/applicants/user_1005/reset', 'POST'), error => error.status === 404);
+    const { id } = env.sumsub.applicants.get('user_1005');
+    assert.deepEqual(await direct.request(`/resources/applicants/${id}/reset`, 'POST'), { ok: 1 });
+});
+
+test('access tokens and status checks keep a cached link for its full TTL', async (t) => {
+    const sumsub = client.getDefaultClient();
+    const first = await sumsub.issueWebSDKLink('1010', 'kyc_verification');
+    await sumsub.createAccessToken('1010', 'kyc_verification');
+    await sumsub.checkUserStatus('user_1010');
+
+    // Past the cache's 10 minute default, well within the link's 30 minutes
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 15 * 60 * 1000);
+    const reusable = await sumsub.getReusableLink('user_1010', 'kyc_verification');
+    assert.equal(reusable?.url, first.url);
+});
+
+test('reGenerate requires a user ID', async () => {
+    await assert.rejects(client.reGenerate(''), /User ID is required/);
+});
+
+test('requests signed with the wrong secret are rejected by Sumsub', async () => {
+    const bad = new client.SumsubClient({
+        appToken: env.sumsub.appToken,
+        secretKey: 'wrong-secret',
+        baseUrl: env.sumsub.baseUrl,
+        maxRetries: 0
+    });
+
+    await assert.rejects(bad.checkUserStatus('user_1001'), error => error.status === 401);
+});
+
+test('checkUserStatus, getApplicantDocs and getVerificationHistory read the applicant', async () => {
+    await client.generate('1004');
+    env.sumsub.review('user_1004', 'GREEN');
+
+    const status = await client.checkUserStatus('user_1004');
+    assert.equal(status.reviewStatus, 'completed');
+
+    const docs = await client.getApplicantDocs('user_1004');
+    assert.ok('IDENTITY' in docs);
+
+    const history = await client.getVerificationHistory('user_1004');
+    assert.equal(history.reviewResult.reviewAnswer, 'GREEN');
+});
+
+test('changeApplicantLevel moves an existing applicant and listLevels reports the configured levels', async () => {
+    await client.generate('1008');
+
+    await client.changeApplicantLevel('user_1008', 'kyc_enhanced');
+    assert.equal(env.sumsub.applicants.get('user_1008').levelName, 'kyc_enhanced');
+
+    await assert.rejects(client.changeApplicantLevel('user_1008', 'no-such-level'), { status: 400 });
+    await assert.rejects(client.changeApplicantLevel('user_1008'), /level name are required/);
+
+    const levels = await client.listLevels();
+    assert.deepEqual(levels.map(level => level.name), env.sumsub.levels);
+});
+
+test('handleWebhookEvent forwards the normalized payload to Django', async () => {
+    await client.generate('1005');
+    const event = env.sumsub.review('user_1005', 'GREEN');
+
+    const result = await client.handleWebhookEvent(event);
+    await subscribers.flushDeliveries();
+
+    assert.equal(result.status, 'processed');
+    assert.deepEqual(result.deliveries, ['django']);
+    const forwarded = env.django.webhooks.at(-1);
+    assert.equal(forwarded.type, 'applicantReviewed');
+    assert.equal(forwarded.externalUserId, 'user_1005');
+    assert.equal(forwarded.applicantId, event.applicantId);
+    assert.equal(forwarded.reviewStatus, 'completed');
+    assert.equal(forwarded.reviewAnswer, 'GREEN');
+    assert.equal(forwarded.reviewOutcome, 'approved');
+
+    const cached = await client.getVerificationStatus('user_1005');
+    assert.equal(cached.type, 'applicantReviewed');
+});
+
+test('the review outcome gauge tracks a bounded number of applicants', async () => {
+    const { getGauge } = await import('../src/metrics.js');
+    const approved = () => getGauge('verification_review_outcomes', { level: 'basic-kyc', outcome: 'approved' });
+
+    for (const userId of ['1101', '1102', '1103']) {
+        await client.generate(userId, 'basic-kyc');
+        await client.handleWebhookEvent(env.sumsub.review(`user_${userId}`, 'GREEN'));
+    }
+    await subscribers.flushDeliveries();
+
+    // Only the two most recently updated applicants are kept
+    assert.equal(approved(), 2);
+    assert.equal(client.forgetReviewOutcome('user_1101'), false);
+
+    assert.equal(client.forgetReviewOutcome('user_1103'), true);
+    assert.equal(approved(), 1);
+    assert.equal(client.forgetReviewOutcome('user_1103'), false);
+});
+
+test('Sumsub call latency is recorded per endpoint with applicant IDs collapsed', async () => {
+    const { getHistogram } = await import('../src/metrics.js');
+    assert.equal(client.endpointLabel('/resources/applicants/-;externalUserId=user_1/one'), '/resources/applicants/:applicant/one');
+    assert.equal(client.endpointLabel('/resources/applicants/-/levels'), '/resources/applicants/-/levels');
+    assert.equal(client.endpointLabel('/resources/accessTokens?userId=user_1&levelName=basic'), '/resources/accessTokens');
+    assert.equal(client.endpointLabel('/resources/inspections/abc/resources/123'), '/resources/inspections/:inspection/resources/:image');
+
+    await client.checkUserStatus('user_1001');
+    const histogram = getHistogram('sumsub_request_duration_seconds', {
+        tenant: 'default', method: 'GET', endpoint: '/resources/applicants/:applicant/one', status: 200
+    });
+    assert.ok(histogram.count >= 1);
+});
+
+test('handleWebhookEvent acknowledges event types without a handler', async () => {
+    const event = env.sumsub.buildWebhook('applicantSomethingNew', 'user_1007');
+
+    const result = await client.handleWebhookEvent(event);
+    await subscribers.flushDeliveries();
+
+    assert.equal(result.status, 'processed');
+    assert.equal(env.django.webhooks.at(-1).type, 'applicantSomethingNew');
+});
+
+test('handleWebhookEvent dead-letters the payload when Django is down', async () => {
+    const event = env.sumsub.review('user_1006', 'GREEN');
+    env.django.failures.webhook = 503;
+
+    try {
+        // Processing itself succeeds; only the delivery to Django is deferred
+        const result = await client.handleWebhookEvent(event);
+        assert.equal(result.status, 'processed');
+        await subscribers.flushDeliveries();
+    } finally {
+        env.django.failures.webhook = null;
+    }
+
+    const [entry] = (await deadLetters.getDeadLetterStore().list())
+        .filter(e => e.payload.externalUserId === 'user_1006');
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.subscriber, 'django');
+    assert.equal(entry.lastError.status, 503);
+});
+
+test('a new applicant is initiated in Django, and dead-lettered when that fails', async () => {
+    await client.generate('1009');
+    const event = env.sumsub.buildWebhook('applicantCreated', 'user_1009');
+    env.django.failures.initiate = 503;
+
+    try {
+        const result = await client.handleWebhookEvent(event);
+        assert.deepEqual(result.deliveries, ['django', 'django-initiate']);
+        await subscribers.flushDeliveries();
+    } finally {
+        env.django.failures.initiate = null;
+    }
+
+    const [entry] = (await deadLetters.getDeadLetterStore().list())
+        .filter(e => e.subscriber === 'django-initiate' && e.payload.externalUserId === 'user_1009');
+    assert.equal(entry.status, 'pending');
+    assert.equal(entry.lastError.status, 503);
+
+    await subscribers.redeliverDeadLetter(entry);
+    const initiated = env.django.requests.filter(r => r.path === '/kyc/verifications/initiate/').at(-1);
+    assert.deepEqual(initiated.body, {
+        external_user_id: 'user_1009',
+        applicant_id: event.applicantId,
+        level_name: 'kyc_verification'
+    });
+});
+
+test('verifyWebhookSignature accepts valid digests and rejects tampered ones', async () => {
+    const rawBody = JSON.stringify({ type: 'applicantCreated' });
+    const digest = env.sumsub.signWebhook(rawBody);
+
+    assert.equal((await client.verifyWebhookSignature(rawBody, digest)).verified, true);
+    await assert.rejects(client.verifyWebhookSignature(rawBody + ' ', digest), /Invalid webhook signature/);
+    await assert.rejects(client.verifyWebhookSignature(rawBody, undefined), /Missing x-payload-digest/);
+});
+
+test('verifyWebhookSignature honours the digest algorithm and accepts every active secret', async () => {
+    const { SumsubClient } = client;
+    const { getCounter } = await import('../src/metrics.js');
+    const { secretKeyId } = await import('../src/webhookSignature.js');
+    const rotating = new SumsubClient({ name: 'rotating', webhookSecret: 'old-secret, new-secret' });
+    const rawBody = JSON.stringify({ type: 'applicantReviewed' });
+
+    for (const [algorithm, header] of [['sha1', 'HMAC_SHA1_HEX'], ['sha256', 'HMAC_SHA256_HEX'], ['sha512', 'HMAC_SHA512_HEX']]) {
+        const result = await rotating.verifyWebhookSignature(rawBody, env.sumsub.signWebhook(rawBody, 'new-secret', algorithm), { algorithm: header });
+        assert.deepEqual(result, { verified: true, algorithm: header, keyId: secretKeyId('new-secret') });
+    }
+
+    const old = await rotating.verifyWebhookSignature(rawBody, env.sumsub.signWebhook(rawBody, 'old-secret'));
+    assert.equal(old.keyId, secretKeyId('old-secret'));
+    assert.equal(getCounter('sumsub_webhook_signature_total', {
+        tenant: 'rotating', algorithm: 'HMAC_SHA256_HEX', key: secretKeyId('old-secret'), result: 'valid'
+    }), 1);
+
+    // A SHA-256 digest presented as SHA-512 doesn't verify
+    await assert.rejects(rotating.verifyWebhookSignature(rawBody, env.sumsub.signWebhook(rawBody, 'new-secret'), { algorithm: 'HMAC_SHA512_HEX' }), /Invalid webhook signature/);
+    await assert.rejects(rotating.verifyWebhookSignature(rawBody, 'abc', { algorithm: 'HMAC_MD5_HEX' }), /Unsupported x-payload-digest-alg/);
+
+    const unconfigured = new SumsubClient({ name: 'unconfigured' });
+    await assert.rejects(unconfigured.verifyWebhookSignature(rawBody, 'abc'), /not configured for tenant unconfigured/);
+});
+
+// A server that answers each request with the next scripted response:
+// { status, headers, delayMs }. Requests past the script get 200 { ok: 1 }.
+async function startScriptedServer(script) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        const { status = 200, headers = {}, delayMs = 0 } = script[received.length] || {};
+        received.push(req.method);
+        setTimeout(() => {
+            res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+            res.end(JSON.stringify(status < 400 ? { ok: 1 } : { description: `status ${status}` }));
+        }, delayMs);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        received,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        stop: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+function scriptedClient(baseUrl, options = {}) {
+    return new client.SumsubClient({
+        name: 'scripted',
+        appToken: 'app-token',
+        secretKey: 'secret',
+        baseUrl,
+        maxRetries: 2,
+        rateLimit: { capacity: 10, refillPerSec: 0 },
+        ...options
+    });
+}
+
+test('requests that outlive the timeout are aborted, and only GETs are retried', async (t) => {
+    const server = await startScriptedServer([{ delayMs: 300 }, {}, { delayMs: 300 }]);
+    t.after(server.stop);
+    const sumsub = scriptedClient(server.baseUrl, { timeoutMs: 50 });
+
+    assert.deepEqual(await sumsub.request('/resources/applicants/a1/one', 'GET'), { ok: 1 });
+    assert.deepEqual(server.received, ['GET', 'GET']);
+
+    await assert.rejects(sumsub.request('/resources/applicants/a1/reset', 'POST'), (error) => {
+        assert.equal(error.code, 'ETIMEDOUT');
+        assert.match(error.message, /timed out after 50ms/);
+        return true;
+    });
+    assert.deepEqual(server.received, ['GET', 'GET', 'POST']);
+});
+
+test('5xx responses are retried for GETs only, up to maxRetries', async (t) => {
+    const server = await startScriptedServer([{ status: 502 }, { status: 503 }, { status: 503 }, { status: 500 }]);
+    t.after(server.stop);
+    const sumsub = scriptedClient(server.baseUrl);
+
+    await assert.rejects(sumsub.request('/resources/applicants/a1/one', 'GET'), { status: 503 });
+    assert.equal(server.received.length, 3);
+
+    await assert.rejects(sumsub.request('/resources/applicants/a1/reset', 'POST'), { status: 500 });
+    assert.equal(server.received.length, 4);
+});
+
+test('a 429 is retried after the Retry-After wait, even for a POST', async (t) => {
+    const server = await startScriptedServer([{ status: 429, headers: { 'Retry-After': '1' } }]);
+    t.after(server.stop);
+    const sumsub = scriptedClient(server.baseUrl);
+
+    const startedAt = Date.now();
+    assert.deepEqual(await sumsub.request('/resources/applicants/a1/reset', 'POST'), { ok: 1 });
+    assert.ok(Date.now() - startedAt >= 950);
+    assert.deepEqual(server.received, ['POST', 'POST']);
+});
+
+test('latency is recorded under the status Sumsub actually answered with', async (t) => {
+    const { getHistogram } = await import('../src/metrics.js');
+    const server = await startScriptedServer([{ status: 201 }, { status: 429, headers: { 'Retry-After': '0' } }, { status: 202 }]);
+    t.after(server.stop);
+    const sumsub = scriptedClient(server.baseUrl);
+    const recorded = (status) => getHistogram('sumsub_request_duration_seconds', {
+        tenant: 'scripted', method: 'POST', endpoint: '/resources/applicants/-/levels', status
+    })?.count ?? 0;
+
+    await sumsub.request('/resources/applicants/-/levels', 'POST');
+    await sumsub.request('/resources/applicants/-/levels', 'POST');
+    assert.deepEqual([201, 429, 202, 200].map(recorded), [1, 1, 1, 0]);
+});
+
+test('connection errors are retried, even for a POST', async (t) => {
+    const server = await startScriptedServer([]);
+    await server.stop();
+    const sumsub = scriptedClient(server.baseUrl);
+    t.mock.method(sumsub, 'send');
+
+    await assert.rejects(sumsub.request('/resources/applicants/a1/reset', 'POST'), { code: 'ECONNREFUSED' });
+    assert.equal(sumsub.send.mock.callCount(), 3);
+});
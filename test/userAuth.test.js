@@ -0,0 +1,108 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createDjangoMock } from '../mocks/djangoMock.js';
+import { createAuthenticator } from '../src/userAuth.js';
+
+let django;
+let validateUrl;
+let jwksUrl;
+
+before(async () => {
+    django = createDjangoMock();
+    await django.start();
+    validateUrl = `${django.baseUrl}/api/auth/validate-token/`;
+    jwksUrl = `${django.baseUrl}/api/auth/jwks/`;
+});
+
+after(() => django.stop());
+
+function validations() {
+    return django.requests.filter(r => r.path === '/api/auth/validate-token/').length;
+}
+
+test('HS256 tokens are verified locally with issuer, audience and expiry checks', async () => {
+    const auth = createAuthenticator({ mode: 'jwt', secret: 'shh', issuer: 'django', audience: ['kyc'] });
+    const sign = (claims, options = {}) => jwt.sign(claims, 'shh', { issuer: 'django', audience: 'kyc', expiresIn: '5m', ...options });
+
+    const user = await auth.authenticate(sign({ user_id: 7, email: 'a@example.com', role: 'admin' }));
+    assert.deepEqual(user, { id: 7, email: 'a@example.com', role: 'admin' });
+
+    await assert.rejects(auth.authenticate(sign({ user_id: 7 }, { issuer: 'someone-else' })), { status: 401 });
+    await assert.rejects(auth.authenticate(sign({ user_id: 7 }, { audience: 'other' })), { status: 401 });
+    await assert.rejects(auth.authenticate(sign({ user_id: 7 }, { expiresIn: '-5m' })), { status: 401 });
+    await assert.rejects(auth.authenticate(jwt.sign({ user_id: 7 }, 'wrong', { issuer: 'django', audience: 'kyc', expiresIn: '5m' })), { status: 401 });
+    await assert.rejects(auth.authenticate(jwt.sign({ user_id: 7 }, 'shh', { issuer: 'django', audience: 'kyc' })), /no expiry/);
+    await assert.rejects(auth.authenticate(sign({ user_id: 7, token_type: 'refresh' })), /refresh tokens/);
+
+    // Properly signed, but about nobody
+    await assert.rejects(auth.authenticate(sign({ role: 'admin' })), { status: 401, message: /no user_id or sub/ });
+    await assert.rejects(auth.authenticate(sign({ user_id: null, sub: '' })), { status: 401 });
+});
+
+test('RS256 tokens are verified against the JWKS, picking up rotated keys', async () => {
+    const auth = createAuthenticator({ mode: 'jwt', jwksUrl, issuer: 'django-mock' });
+
+    const user = await auth.authenticate(django.signToken({ user_id: 42, role: 'user' }));
+    assert.equal(user.id, 42);
+
+    django.rotateSigningKey();
+    const rotated = await createAuthenticator({ mode: 'jwt', jwksUrl }).authenticate(django.signToken({ sub: '43' }));
+    assert.equal(rotated.id, '43');
+
+    // HS256 signed with the public key must not be accepted
+    await assert.rejects(auth.authenticate(jwt.sign({ user_id: 1 }, 'anything', { expiresIn: '5m' })), { status: 401 });
+    assert.equal(validations(), 0);
+});
+
+test('cached JWKS keys keep working while the JWKS endpoint is down', async () => {
+    const auth = createAuthenticator({ mode: 'jwt', jwksUrl, jwksCacheTtlMs: 0 });
+    await auth.authenticate(django.signToken({ user_id: 42 }));
+
+    django.failures.jwks = 503;
+    try {
+        const user = await auth.authenticate(django.signToken({ user_id: 42 }));
+        assert.equal(user.id, 42);
+
+        const cold = createAuthenticator({ mode: 'jwt', jwksUrl });
+        await assert.rejects(cold.authenticate(django.signToken({ user_id: 42 })), { status: 503 });
+    } finally {
+        django.failures.jwks = null;
+    }
+});
+
+test('remote validation results are cached briefly', async () => {
+    const auth = createAuthenticator({ mode: 'remote', validateUrl, remoteCacheTtlMs: 60000 });
+    const before = validations();
+
+    assert.equal((await auth.authenticate('user-token')).id, 42);
+    assert.equal((await auth.authenticate('user-token')).id, 42);
+    assert.equal(validations(), before + 1);
+
+    await assert.rejects(auth.authenticate('nope'), { status: 401 });
+    await assert.rejects(auth.authenticate('nope'), { status: 401 });
+    assert.equal(validations(), before + 3);
+
+    django.tokens.set('anonymous-token', { email: 'nobody@example.com', role: 'admin' });
+    await assert.rejects(auth.authenticate('anonymous-token'), { status: 401, message: /no user ID/ });
+});
+
+test('hybrid mode falls back to Django for tokens it cannot verify locally', async () => {
+    const auth = createAuthenticator({ mode: 'hybrid', validateUrl, jwksUrl });
+    const before = validations();
+
+    assert.equal((await auth.authenticate(django.signToken({ user_id: 42 }))).id, 42);
+    assert.equal(validations(), before);
+
+    assert.equal((await auth.authenticate('admin-token')).id, 1);
+    assert.equal(validations(), before + 1);
+
+    // A JWT that fails verification is rejected, not retried remotely
+    await assert.rejects(auth.authenticate(django.signToken({ user_id: 42 }, { expiresIn: '-5m' })), { status: 401 });
+    assert.equal(validations(), before + 1);
+});
+
+test('misconfigured modes fail fast', () => {
+    assert.throws(() => createAuthenticator({ mode: 'jwt' }), /AUTH_JWT_SECRET/);
+    assert.throws(() => createAuthenticator({ mode: 'magic', validateUrl }), /Unknown AUTH_MODE/);
+});
@@ -0,0 +1,198 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+    createMemoryCache,
+    createFileCache,
+    createCache,
+    getVerificationCache,
+    setVerificationCache,
+    onVerificationInvalidated,
+    invalidateVerification
+} from '../src/verificationCache.js';
+
+let dir;
+let namespaces = 0;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verification-cache-'));
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Date.now() under the test's control, starting at `start`
+function useClock(t, start = 1_000_000) {
+    const clock = { now: start };
+    t.mock.method(Date, 'now', () => clock.now);
+    return clock;
+}
+
+for (const [name, create] of [
+    ['memory', (options) => createMemoryCache(options)],
+    ['file', (options) => createFileCache({ dir, namespace: `cache-${++namespaces}`, ...options })]
+]) {
+    test(`${name} cache entries expire after their TTL`, async (t) => {
+        const clock = useClock(t);
+        const cache = create({ ttlMs: 1000, maxSize: 10 });
+
+        await cache.set('a', { status: 'pending' });
+        await cache.set('b', { status: 'pending' }, 5000);
+        assert.deepEqual(await cache.get('a'), { status: 'pending' });
+
+        clock.now += 1000;
+        assert.equal(await cache.get('a'), undefined);
+        assert.deepEqual(await cache.get('b'), { status: 'pending' });
+        assert.equal(await cache.size(), 1);
+
+        clock.now += 4000;
+        assert.equal(await cache.get('b'), undefined);
+        assert.equal(await cache.size(), 0);
+    });
+
+    test(`${name} cache evicts the least recently used entry past maxSize`, async (t) => {
+        const clock = useClock(t);
+        const cache = create({ ttlMs: 60000, maxSize: 2 });
+
+        await cache.set('a', 1);
+        clock.now += 1;
+        await cache.set('b', 2);
+        clock.now += 1;
+        // Reading 'a' makes 'b' the least recently used
+        assert.equal(await cache.get('a'), 1);
+        clock.now += 1;
+        await cache.set('c', 3);
+
+        assert.equal(await cache.size(), 2);
+        assert.equal(await cache.get('b'), undefined);
+        assert.equal(await cache.get('a'), 1);
+        assert.equal(await cache.get('c'), 3);
+
+        assert.equal(await cache.delete('a'), true);
+        assert.equal(await cache.delete('a'), false);
+        await cache.clear();
+        assert.equal(await cache.size(), 0);
+    });
+}
+
+test('file caches in the same directory share entries, eviction and clears', async (t) => {
+    const clock = useClock(t);
+    const options = { dir, namespace: 'shared', ttlMs: 60000, maxSize: 2 };
+    const first = createFileCache(options);
+    const second = createFileCache(options);
+
+    await first.set('user_1', { reviewStatus: 'completed' });
+    assert.deepEqual(await second.get('user_1'), { reviewStatus: 'completed' });
+
+    clock.now += 1;
+    await second.set('user_2', { reviewStatus: 'init' });
+    clock.now += 1;
+    await first.get('user_1');
+    clock.now += 1;
+    // Evicts user_2, which neither instance has read since it was written
+    await first.set('user_3', { reviewStatus: 'pending' });
+
+    assert.equal(await second.size(), 2);
+    assert.equal(await second.get('user_2'), undefined);
+    assert.deepEqual(await second.get('user_1'), { reviewStatus: 'completed' });
+
+    // Other namespaces in the same directory are separate
+    const admin = createFileCache({ ...options, namespace: 'shared-admin' });
+    assert.equal(await admin.get('user_1'), undefined);
+
+    await second.delete('user_1');
+    assert.equal(await first.get('user_1'), undefined);
+    await first.clear();
+    assert.equal(await second.size(), 0);
+});
+
+// Runs `interleave` once, just before the cache's next call to fs.<method>
+function interleaveBefore(t, method, interleave) {
+    const original = fsPromises[method];
+    let pending = true;
+    t.mock.method(fsPromises, method, async (...args) => {
+        if (pending) {
+            pending = false;
+            await interleave();
+        }
+        return original(...args);
+    });
+}
+
+test('a file cache read never puts back an entry replaced while it was reading', async (t) => {
+    const options = { dir, namespace: 'read-race', ttlMs: 60000 };
+    const reader = createFileCache(options);
+    const webhook = createFileCache(options);
+    await reader.set('user_1', { reviewStatus: 'pending' });
+
+    interleaveBefore(t, 'utimes', () => webhook.set('user_1', { reviewStatus: 'completed' }));
+    assert.deepEqual(await reader.get('user_1'), { reviewStatus: 'pending' });
+    assert.deepEqual(await reader.get('user_1'), { reviewStatus: 'completed' });
+
+    await reader.set('user_2', { reviewStatus: 'pending' });
+    interleaveBefore(t, 'utimes', () => webhook.delete('user_2'));
+    await reader.get('user_2');
+    assert.equal(await reader.get('user_2'), undefined);
+});
+
+test('removing an expired file cache entry spares one written meanwhile', async (t) => {
+    const clock = useClock(t);
+    const options = { dir, namespace: 'expiry-race', ttlMs: 1000 };
+    const reader = createFileCache(options);
+    const webhook = createFileCache(options);
+    await reader.set('user_1', { reviewStatus: 'pending' });
+
+    clock.now += 1000;
+    interleaveBefore(t, 'stat', () => webhook.set('user_1', { reviewStatus: 'completed' }));
+    assert.equal(await reader.get('user_1'), undefined);
+    assert.deepEqual(await reader.get('user_1'), { reviewStatus: 'completed' });
+});
+
+test('the file cache ignores half-written entries', async () => {
+    const cache = createFileCache({ dir, namespace: 'corrupt' });
+    await cache.set('user_1', { status: 'pending' });
+
+    const [file] = fs.readdirSync(path.join(dir, 'corrupt'));
+    fs.writeFileSync(path.join(dir, 'corrupt', file), '{"value":');
+    assert.equal(await cache.get('user_1'), undefined);
+});
+
+test('createCache picks the backend and rejects unknown ones', () => {
+    assert.equal(typeof createCache({ backend: 'memory' }).get, 'function');
+    assert.equal(typeof createCache({ backend: 'file', dir }).get, 'function');
+    assert.throws(() => createCache({ backend: 'redis' }), /Unknown verification cache backend: redis/);
+});
+
+test('invalidateVerification drops the entry and notifies listeners, even when one fails', async () => {
+    const original = getVerificationCache();
+    const cache = createMemoryCache();
+    setVerificationCache(cache);
+
+    const seen = [];
+    const stopFailing = onVerificationInvalidated(() => {
+        throw new Error('listener failed');
+    });
+    const stop = onVerificationInvalidated(async (userId) => {
+        seen.push(userId);
+    });
+
+    try {
+        await cache.set('user_1', { status: 'pending' });
+        await invalidateVerification('user_1');
+
+        assert.equal(await cache.get('user_1'), undefined);
+        assert.deepEqual(seen, ['user_1']);
+
+        stop();
+        await invalidateVerification('user_2');
+        assert.deepEqual(seen, ['user_1']);
+    } finally {
+        stop();
+        stopFailing();
+        setVerificationCache(original);
+    }
+});
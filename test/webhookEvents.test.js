@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpretReview, processWebhookEvent, registerWebhookHandler, getWebhookHandlers } from '../src/webhookEvents.js';
+
+test('interpretReview reads the outcome from reviewAnswer, not reviewStatus', () => {
+    assert.equal(interpretReview({
+        reviewStatus: 'completed',
+        reviewResult: { reviewAnswer: 'GREEN' }
+    }).outcome, 'approved');
+
+    const rejected = interpretReview({
+        reviewStatus: 'completed',
+        reviewResult: { reviewAnswer: 'RED', reviewRejectType: 'FINAL', rejectLabels: ['FORGERY'] }
+    });
+    assert.equal(rejected.outcome, 'rejected');
+    assert.deepEqual(rejected.rejectLabels, ['FORGERY']);
+
+    assert.equal(interpretReview({
+        reviewStatus: 'completed',
+        reviewResult: { reviewAnswer: 'RED', reviewRejectType: 'RETRY' }
+    }).outcome, 'resubmission_requested');
+
+    assert.equal(interpretReview({ reviewStatus: 'onHold' }).outcome, 'onHold');
+    assert.equal(interpretReview({}).outcome, 'pending');
+});
+
+test('built-in handlers cover the Sumsub event catalogue', () => {
+    for (const type of [
+        'applicantCreated', 'applicantPending', 'applicantReviewed', 'applicantOnHold',
+        'applicantPersonalInfoChanged', 'applicantDeleted', 'applicantReset',
+        'applicantLevelChanged', 'applicantActionReviewed', 'applicantWorkflowCompleted'
+    ]) {
+        assert.ok(getWebhookHandlers(type).length > 0, `no handler for ${type}`);
+    }
+});
+
+test('registered handlers run for their event type and can be removed', async () => {
+    const seen = [];
+    const unregister = registerWebhookHandler('applicantTagsChanged', async (event, context) => {
+        seen.push([event.type, context.externalUserId]);
+    });
+
+    await processWebhookEvent({ type: 'applicantTagsChanged' }, { externalUserId: 'user_1' });
+    unregister();
+    await processWebhookEvent({ type: 'applicantTagsChanged' }, { externalUserId: 'user_2' });
+
+    assert.deepEqual(seen, [['applicantTagsChanged', 'user_1']]);
+});
+
+test('unknown event types are acknowledged without throwing', async () => {
+    await assert.doesNotReject(processWebhookEvent({ type: 'somethingNew' }, { externalUserId: 'user_1' }));
+});
+
+test('handler failures propagate to the caller', async () => {
+    const unregister = registerWebhookHandler('applicantActivated', async () => {
+        throw new Error('boom');
+    });
+
+    try {
+        await assert.rejects(processWebhookEvent({ type: 'applicantActivated' }, { externalUserId: 'user_1' }), /boom/);
+    } finally {
+        unregister();
+    }
+});
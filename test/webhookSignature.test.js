@@ -0,0 +1,30 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { assertWebhookSecrets, parseWebhookSecrets } from '../src/webhookSignature.js';
+import { loadConfig, setConfig } from '../src/config.js';
+
+function configure(env) {
+    setConfig(loadConfig({ ...process.env, ...env }));
+}
+
+afterEach(() => configure({}));
+
+test('parseWebhookSecrets accepts one secret, a comma-separated list or an array', () => {
+    assert.deepEqual(parseWebhookSecrets('a'), ['a']);
+    assert.deepEqual(parseWebhookSecrets(' a , b ,'), ['a', 'b']);
+    assert.deepEqual(parseWebhookSecrets(['a', '']), ['a']);
+    assert.deepEqual(parseWebhookSecrets(undefined), []);
+});
+
+test('assertWebhookSecrets refuses to start with an app that has no secret', () => {
+    const clients = [{ name: 'default', webhookSecrets: ['s'] }, { name: 'brand_b', webhookSecrets: [] }];
+
+    assert.throws(() => assertWebhookSecrets(clients), /not configured for tenant\(s\): brand_b/);
+    assert.doesNotThrow(() => assertWebhookSecrets(clients.slice(0, 1)));
+
+    configure({ WEBHOOK_INSECURE_DEV_MODE: 'true' });
+    assert.doesNotThrow(() => assertWebhookSecrets(clients));
+
+    configure({ WEBHOOK_INSECURE_DEV_MODE: 'true', NODE_ENV: 'production' });
+    assert.throws(() => assertWebhookSecrets(clients.slice(0, 1)), /cannot be enabled when NODE_ENV=production/);
+});
@@ -0,0 +1,201 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createAuditLog, setAuditLog } from '../src/auditLog.js';
+import { createMemoryDeadLetterStore, setDeadLetterStore } from '../src/deadLetterStore.js';
+import { startRetryWorker, retryEntry, computeBackoff } from '../src/webhookRetryWorker.js';
+import {
+    registerSubscriber,
+    unregisterSubscriber,
+    signDelivery,
+    dispatchWebhook,
+    redeliverDeadLetter,
+    flushDeliveries
+} from '../src/webhookSubscribers.js';
+
+// A consumer that records deliveries and answers with `status` after `delayMs`
+function createConsumer() {
+    const consumer = { deliveries: [], status: 200, delayMs: 0 };
+
+    consumer.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            setTimeout(() => {
+                consumer.deliveries.push({ headers: req.headers, body, at: Date.now() });
+                res.writeHead(consumer.status).end();
+            }, consumer.delayMs);
+        });
+    });
+    return consumer;
+}
+
+const risk = createConsumer();
+const crm = createConsumer();
+const store = createMemoryDeadLetterStore();
+let auditDir;
+
+before(async () => {
+    // Keep delivery audit records out of ./data
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscribers-audit-'));
+    setAuditLog(createAuditLog(path.join(auditDir, 'audit.log')));
+
+    for (const consumer of [risk, crm]) {
+        await new Promise(resolve => consumer.server.listen(0, '127.0.0.1', resolve));
+        consumer.url = `http://127.0.0.1:${consumer.server.address().port}/hooks`;
+    }
+
+    setDeadLetterStore(store);
+    unregisterSubscriber('django');
+    unregisterSubscriber('django-initiate');
+    registerSubscriber({ name: 'risk', url: risk.url, events: ['applicantReviewed', 'applicantOnHold'], secret: 'risk-secret' });
+    registerSubscriber({ name: 'crm', url: crm.url, secret: 'crm-secret' });
+});
+
+after(async () => {
+    for (const consumer of [risk, crm]) {
+        consumer.server.closeAllConnections();
+        await new Promise(resolve => consumer.server.close(resolve));
+    }
+    fs.rmSync(auditDir, { recursive: true, force: true });
+});
+
+test('deliveries go to the subscribers that want the event type, signed with their secret', async () => {
+    const payload = { type: 'applicantCreated', externalUserId: 'user_1' };
+    assert.deepEqual(await dispatchWebhook(payload), ['crm']);
+    assert.deepEqual(await dispatchWebhook({ type: 'applicantReviewed', externalUserId: 'user_1' }), ['risk', 'crm']);
+    await flushDeliveries();
+
+    assert.equal(risk.deliveries.length, 1);
+    assert.equal(crm.deliveries.length, 2);
+
+    const { headers, body } = crm.deliveries[0];
+    assert.deepEqual(JSON.parse(body), payload);
+    assert.equal(headers['x-webhook-event'], 'applicantCreated');
+    assert.equal(headers['x-webhook-signature'], `sha256=${signDelivery(body, 'crm-secret', headers['x-webhook-timestamp'])}`);
+    assert.ok(Math.abs(Number(headers['x-webhook-timestamp']) - Date.now() / 1000) < 5);
+});
+
+test('a slow subscriber does not hold up the others or the dispatcher', async () => {
+    crm.delayMs = 300;
+    try {
+        const startedAt = Date.now();
+        await dispatchWebhook({ type: 'applicantReviewed', externalUserId: 'user_2' });
+        assert.ok(Date.now() - startedAt < 50);
+
+        await flushDeliveries();
+        assert.ok(risk.deliveries.at(-1).at < crm.deliveries.at(-1).at - 200);
+    } finally {
+        crm.delayMs = 0;
+    }
+});
+
+test('failed deliveries are dead-lettered and retried per subscriber', async () => {
+    risk.status = 503;
+    try {
+        await dispatchWebhook({ type: 'applicantOnHold', externalUserId: 'user_3' });
+        await flushDeliveries();
+    } finally {
+        risk.status = 200;
+    }
+
+    const [entry] = await store.list({ subscriber: 'risk' });
+    assert.equal(entry.lastError.status, 503);
+    assert.equal((await store.list({ subscriber: 'crm' })).length, 0);
+
+    const worker = startRetryWorker(redeliverDeadLetter, { store });
+    try {
+        const [result] = await worker.runOnce();
+        assert.equal(result.status, 'delivered');
+    } finally {
+        worker.stop();
+    }
+
+    // The retry reuses the original delivery ID so consumers can deduplicate
+    const ids = risk.deliveries.slice(-2).map(d => d.headers['x-webhook-id']);
+    assert.equal(ids[1], entry.deliveryId);
+    assert.equal((await store.list()).length, 0);
+});
+
+test('each delivery is in the outbox until it succeeds, and the retry worker takes over ones a restart cut off', async () => {
+    crm.delayMs = 100;
+    try {
+        await dispatchWebhook({ type: 'applicantCreated', externalUserId: 'user_4' });
+        const [inFlight] = await store.list({ subscriber: 'crm' });
+        assert.equal(inFlight.status, 'delivering');
+        assert.ok(Date.parse(inFlight.nextAttemptAt) > Date.now());
+
+        await flushDeliveries();
+        assert.equal(crm.deliveries.at(-1).headers['x-webhook-id'], inFlight.deliveryId);
+        assert.equal((await store.list()).length, 0);
+    } finally {
+        crm.delayMs = 0;
+    }
+
+    // Left behind by a process that stopped mid-delivery
+    const payload = { type: 'applicantCreated', externalUserId: 'user_5' };
+    const orphaned = await store.add(payload, {
+        subscriber: 'crm',
+        deliveryId: 'orphaned-delivery',
+        status: 'delivering',
+        nextAttemptAt: new Date(Date.now() - 1000).toISOString()
+    });
+    const stillRunning = await store.add(payload, {
+        subscriber: 'crm',
+        status: 'delivering',
+        nextAttemptAt: new Date(Date.now() + 60000).toISOString()
+    });
+
+    const worker = startRetryWorker(redeliverDeadLetter, { store });
+    try {
+        const results = await worker.runOnce();
+        assert.deepEqual(results.map(result => [result.id, result.status]), [[orphaned.id, 'delivered']]);
+    } finally {
+        worker.stop();
+    }
+    assert.equal(crm.deliveries.at(-1).headers['x-webhook-id'], 'orphaned-delivery');
+    assert.deepEqual((await store.list()).map(entry => entry.id), [stillRunning.id]);
+    await store.remove(stillRunning.id);
+});
+
+test('a failing entry backs off exponentially, capped, until it runs out of attempts', async (t) => {
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    t.mock.method(Date, 'now', () => now);
+
+    const retries = createMemoryDeadLetterStore();
+    const settings = { store: retries, maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 5000 };
+    const failing = async () => {
+        throw Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+    };
+    const { id } = await retries.add({ type: 'applicantReviewed', externalUserId: 'user_6' }, { subscriber: 'crm' });
+
+    assert.deepEqual([1, 2, 3, 4].map(attempts => computeBackoff(attempts, settings)), [1000, 2000, 4000, 5000]);
+    for (const delayMs of [1000, 2000, 4000, 5000]) {
+        const result = await retryEntry(await retries.get(id), failing, settings);
+        const entry = await retries.get(id);
+
+        assert.equal(result.status, 'pending');
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.attempts, result.attempts);
+        assert.equal(entry.nextAttemptAt, new Date(now + delayMs).toISOString());
+        assert.equal(entry.lastError.status, 503);
+    }
+
+    const result = await retryEntry(await retries.get(id), failing, settings);
+    assert.equal(result.status, 'dead');
+    assert.equal(result.attempts, 5);
+    const entry = await retries.get(id);
+    assert.equal(entry.status, 'dead');
+    assert.equal(entry.attempts, 5);
+
+    // The worker leaves dead entries alone
+    const worker = startRetryWorker(failing, { ...settings, store: retries });
+    try {
+        assert.deepEqual(await worker.runOnce(), []);
+    } finally {
+        worker.stop();
+    }
+});